@@ -13,6 +13,7 @@ DEFAULT_BACKEND_URL="http://92.112.126.209:3000/api/data"
 DEFAULT_API_KEY=""
 DEFAULT_TIMEZONE="auto"
 DEFAULT_INTERVAL="5"
+DEFAULT_INTERFACES=""
 
 # Colors for output
 RED='\033[0;31m'
@@ -135,6 +136,7 @@ create_config() {
     local api_key="$3"
     local timezone="$4"
     local interval="$5"
+    local interfaces="$6"
     
     cat > "$CONFIG_FILE" << EOF
 # vnStat Agent Configuration File
@@ -145,6 +147,7 @@ BACKEND_URL="$backend_url"
 API_KEY="$api_key"
 TIMEZONE="$timezone"
 INTERVAL="$interval"
+INTERFACES="$interfaces"
 EOF
     
     chmod 600 "$CONFIG_FILE"
@@ -194,11 +197,11 @@ setup() {
     # Get API key
     echo ""
     print_status "$YELLOW" "🔐 API Key Configuration"
-    echo "The API key is generated during backend installation."
-    echo "Check your backend installation output or config.js file."
+    echo "Use a per-agent token issued with POST /api/admin/servers (recommended),"
+    echo "or the shared API key generated during backend installation (see config.js)."
     echo ""
     while [ -z "$api_key" ]; do
-        echo -n "Enter API key (required): "
+        echo -n "Enter agent token or API key (required): "
         read -r api_key
         if [ -z "$api_key" ]; then
             print_status "$RED" "API key is required! Cannot continue without it."
@@ -229,6 +232,16 @@ setup() {
         interval="$DEFAULT_INTERVAL"
     fi
     
+    # Get interfaces to monitor
+    echo ""
+    echo "Available interfaces: $(vnstat --iflist 2>/dev/null | sed 's/^Available interfaces: //')"
+    echo "Enter interfaces to monitor separated by spaces (e.g. eth0 wg0 docker0)."
+    echo -n "Press Enter to monitor vnStat's default interface only: "
+    read -r interfaces
+    if [ -z "$interfaces" ]; then
+        interfaces="$DEFAULT_INTERFACES"
+    fi
+    
     echo ""
     print_status "$BLUE" "Configuration Summary:"
     echo "  Server Name: $server_name"
@@ -236,12 +249,13 @@ setup() {
     echo "  API Key: ${api_key:0:10}..."
     echo "  Timezone: $timezone"
     echo "  Update Interval: ${interval}s"
+    echo "  Interfaces: ${interfaces:-vnStat default}"
     echo ""
     
     echo -n "Save this configuration? (y/n): "
     read -r confirm
     if [[ "$confirm" =~ ^[Yy]$ ]]; then
-        create_config "$server_name" "$backend_url" "$api_key" "$timezone" "$interval"
+        create_config "$server_name" "$backend_url" "$api_key" "$timezone" "$interval" "$interfaces"
         print_status "$GREEN" "Setup completed successfully!"
         echo ""
         echo "Next steps:"
@@ -255,6 +269,7 @@ setup() {
 # Function to send data to backend
 send_data() {
     local vnstat_data="$1"
+    local iface="$2"
     
     # Get current timestamp in specified timezone
     local timestamp
@@ -274,6 +289,10 @@ send_data() {
     local rx_bps=$(echo "$vnstat_data" | jq '.rx.bytespersecond // 0' 2>/dev/null || echo "0")
     local tx_bps=$(echo "$vnstat_data" | jq '.tx.bytespersecond // 0' 2>/dev/null || echo "0")
     
+    # Packet rates are sent only when vnStat reports them for both directions
+    local rx_pps=$(echo "$vnstat_data" | jq '.rx.packetspersecond // empty' 2>/dev/null)
+    local tx_pps=$(echo "$vnstat_data" | jq '.tx.packetspersecond // empty' 2>/dev/null)
+    
     # Validate that we got numeric values
     if ! [[ "$rx_bps" =~ ^[0-9]+(\.[0-9]+)?$ ]]; then
         rx_bps="0"
@@ -281,18 +300,39 @@ send_data() {
     if ! [[ "$tx_bps" =~ ^[0-9]+(\.[0-9]+)?$ ]]; then
         tx_bps="0"
     fi
+    if ! [[ "$rx_pps" =~ ^[0-9]+(\.[0-9]+)?$ ]] || ! [[ "$tx_pps" =~ ^[0-9]+(\.[0-9]+)?$ ]]; then
+        rx_pps=""
+        tx_pps=""
+    fi
     
     # Convert bytes per second to KB per second
     local rx_kbps=$(echo "scale=2; $rx_bps / 1024" | bc 2>/dev/null || echo "0")
     local tx_kbps=$(echo "scale=2; $tx_bps / 1024" | bc 2>/dev/null || echo "0")
     
-    # Build JSON payload
+    # Cumulative byte counters let the backend compute daily/monthly volumes
+    local counter_iface="${iface:-$(default_route_interface)}"
+    local rx_bytes=$(read_byte_counter "$counter_iface" rx)
+    local tx_bytes=$(read_byte_counter "$counter_iface" tx)
+    if ! [[ "$rx_bytes" =~ ^[0-9]+$ ]] || ! [[ "$tx_bytes" =~ ^[0-9]+$ ]]; then
+        rx_bytes=""
+        tx_bytes=""
+    fi
+    
+    # Build JSON payload (interface is omitted when monitoring vnStat's default)
     local json_payload=$(jq -n \
       --arg name "$SERVER_NAME" \
       --arg time "$timestamp" \
+      --arg iface "$iface" \
+      --arg rx_bytes "$rx_bytes" \
+      --arg tx_bytes "$tx_bytes" \
+      --arg rx_pps "$rx_pps" \
+      --arg tx_pps "$tx_pps" \
       --argjson rx "$rx_kbps" \
       --argjson tx "$tx_kbps" \
-      '{server_name: $name, timestamp: $time, rx_rate: $rx, tx_rate: $tx}')
+      '{server_name: $name, timestamp: $time, rx_rate: $rx, tx_rate: $tx}
+       + (if $iface != "" then {interface: $iface} else {} end)
+       + (if $rx_bytes != "" then {rx_bytes: ($rx_bytes | tonumber), tx_bytes: ($tx_bytes | tonumber)} else {} end)
+       + (if $rx_pps != "" then {rx_pps: ($rx_pps | tonumber), tx_pps: ($tx_pps | tonumber)} else {} end)')
     
     # Send to backend
     local response=$(curl -s -w "%{http_code}" -X POST "$BACKEND_URL" \
@@ -302,12 +342,52 @@ send_data() {
     
     local http_code="${response: -3}"
     if [ "$http_code" = "200" ] || [ "$http_code" = "201" ]; then
-        log_message "Data sent successfully (RX: ${rx_kbps}KB/s, TX: ${tx_kbps}KB/s)"
+        log_message "Data sent successfully${iface:+ [$iface]} (RX: ${rx_kbps}KB/s, TX: ${tx_kbps}KB/s)"
     else
-        log_message "Failed to send data (HTTP: $http_code)"
+        log_message "Failed to send data${iface:+ [$iface]} (HTTP: $http_code)"
+    fi
+}
+
+# Function to find the interface carrying the default route
+default_route_interface() {
+    ip route show default 2>/dev/null | awk '/default/ {for (i = 1; i < NF; i++) if ($i == "dev") {print $(i + 1); exit}}'
+}
+
+# Function to read an interface's cumulative byte counter (rx or tx)
+read_byte_counter() {
+    local iface="$1"
+    local direction="$2"
+    local counter_file="/sys/class/net/$iface/statistics/${direction}_bytes"
+    
+    if [ -n "$iface" ] && [ -r "$counter_file" ]; then
+        cat "$counter_file" 2>/dev/null
     fi
 }
 
+# Function to monitor one interface (empty name = vnStat's default interface)
+monitor_interface() {
+    local iface="$1"
+    local vnstat_args=(-l --json)
+    if [ -n "$iface" ]; then
+        vnstat_args+=(-i "$iface")
+    fi
+    
+    while true; do
+        log_message "Starting vnstat live monitoring${iface:+ on $iface}..."
+        
+        vnstat "${vnstat_args[@]}" | while IFS= read -r line; do
+            # Check if we got a valid JSON line with data
+            if echo "$line" | jq empty 2>/dev/null && [[ "$line" == *'"index"'* ]]; then
+                send_data "$line" "$iface"
+            fi
+        done
+        
+        # If vnstat exits, wait before restarting
+        log_message "vnstat${iface:+ ($iface)} exited, restarting in ${INTERVAL} seconds..."
+        sleep "$INTERVAL"
+    done
+}
+
 # Function to start the agent
 start_agent() {
     if is_running; then
@@ -323,6 +403,7 @@ start_agent() {
     print_status "$BLUE" "Starting vnStat Agent..."
     print_status "$BLUE" "Server: $SERVER_NAME"
     print_status "$BLUE" "Backend: $BACKEND_URL"
+    print_status "$BLUE" "Interfaces: ${INTERFACES:-vnStat default}"
     print_status "$BLUE" "Logging to: $LOG_FILE"
     
     # Start agent in background
@@ -333,27 +414,22 @@ start_agent() {
         # Cleanup function
         cleanup() {
             log_message "Agent stopping..."
+            kill $(jobs -p) 2>/dev/null
             rm -f "$PID_FILE"
             exit 0
         }
         
         trap cleanup SIGINT SIGTERM
         
-        # Main monitoring loop
-        while true; do
-            log_message "Starting vnstat live monitoring..."
-            
-            vnstat -l --json | while IFS= read -r line; do
-                # Check if we got a valid JSON line with data
-                if echo "$line" | jq empty 2>/dev/null && [[ "$line" == *'"index"'* ]]; then
-                    send_data "$line"
-                fi
+        # Main monitoring loop: one vnstat live monitor per configured interface
+        if [ -z "$INTERFACES" ]; then
+            monitor_interface "" &
+        else
+            for iface in $INTERFACES; do
+                monitor_interface "$iface" &
             done
-            
-            # If vnstat exits, wait before restarting
-            log_message "vnstat exited, restarting in ${INTERVAL} seconds..."
-            sleep "$INTERVAL"
-        done
+        fi
+        wait
     ) &
     
     sleep 1
@@ -400,6 +476,7 @@ show_status() {
             echo "  Backend: $BACKEND_URL"
             echo "  Timezone: $TIMEZONE"
             echo "  Interval: ${INTERVAL}s"
+            echo "  Interfaces: ${INTERFACES:-vnStat default}"
         fi
         
         if [ -f "$LOG_FILE" ]; then
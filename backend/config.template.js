@@ -11,11 +11,70 @@ module.exports = {
   
   // Database Configuration
   database: {
+    type: 'mysql', // 'mysql' or 'sqlite'
+    // file: './data/vnstat-dashboard.db', // SQLite only, relative to the backend directory
     host: '{{DB_HOST}}',
     user: '{{DB_USER}}',
     password: '{{DB_PASSWORD}}',
     database: '{{DB_NAME}}',
-    port: 3306
+    port: 3306,
+    connectionLimit: 10,          // MySQL only: pooled connections
+    healthCheckSeconds: 15,       // MySQL only: how often the connection is checked
+    reconnectMaxDelaySeconds: 30, // MySQL only: longest wait between reconnect attempts
+    queueTimeoutMs: 5000,         // MySQL only: how long queries wait for a reconnect before failing with 503
+    autoMigrate: true // Apply pending schema migrations on startup (else run: node migrate.js up)
+  },
+  
+  // Ingestion Configuration
+  ingest: {
+    maxBatchSize: 5000, // Samples accepted by one POST /api/data/batch call
+    bodyLimit: '10mb'   // Largest request body the API will parse
+  },
+  
+  // Sample Validation
+  validation: {
+    maxServerNameLength: 255,
+    maxRate: 12500000,        // KiB/s, roughly 100 Gbit/s
+    maxPacketRate: 150000000, // Packets/s, above 100 Gbit/s line rate
+    maxFutureSeconds: 300,    // Reject timestamps further ahead of server time
+    maxAgeDays: 30            // Reject timestamps further behind server time
+  },
+  
+  // Agent Clock Skew
+  clockSkew: {
+    warningSeconds: 30, // Flag agents whose clock is further off than this
+    windowSize: 30      // Recent samples the per-agent estimate is based on
+  },
+  
+  // Downsampling Rollups (1-minute, 1-hour and 1-day min/avg/max tables)
+  rollups: {
+    enabled: true,
+    intervalSeconds: 60 // How often new samples are rolled up
+  },
+  
+  // Data Retention in days (0 keeps data forever)
+  retention: {
+    rawDays: 30,       // Individual samples
+    rollup1mDays: 90,  // 1-minute rollups
+    rollup1hDays: 730, // 1-hour rollups
+    rollup1dDays: 0,   // 1-day rollups
+    purgeIntervalMinutes: 60, // How often expired rows are purged
+    deleteChunkSize: 5000,    // Rows removed per DELETE statement
+    chunkDelayMs: 100,        // Pause between DELETE statements
+    servers: {
+      // Per-server overrides, e.g.:
+      // 'busy-server': { rawDays: 7 }
+    }
+  },
+  
+  // Agent Credentials
+  agents: {
+    allowSharedKey: true // Set to false once every agent uses its own token
+  },
+  
+  // Prometheus Metrics
+  metrics: {
+    token: '' // Bearer token Prometheus scrapes /metrics with; empty turns /metrics off
   },
   
   // CORS Configuration
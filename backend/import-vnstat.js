@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Backfill a server's hourly, daily and monthly traffic totals from vnStat's
+// own database. Reads a vnstat --json export from a file or stdin, or runs
+// vnstat when neither is given, and posts it to POST /api/data/import.
+//
+//   node import-vnstat.js --server web-1 --file web-1.json
+//   vnstat --json | node import-vnstat.js --server web-1 --url http://dashboard:3000 --key <token> -
+//
+// Without --url/--key the values from config.js next to this script are used.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const usage = `Usage: node import-vnstat.js --server <name> [options] [file | -]
+
+Options:
+  --server <name>     server_name to import the data for (required)
+  --file <path>       vnStat JSON export to read; "-" reads stdin
+  --interface <name>  Only import this interface when running vnstat
+  --url <url>         Backend URL (default: from config.js, else http://localhost:3000)
+  --key <key>         API key or the server's agent token (default: from config.js)
+  --overwrite         Replace totals the dashboard already has for a period
+  -h, --help          Show this help
+
+Without --file, runs "vnstat --json" on this host.`;
+
+function parseArgs(argv) {
+  const args = { overwrite: false };
+  const valueFlags = { '--server': 'server', '--file': 'file', '--interface': 'interface', '--url': 'url', '--key': 'key' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueFlags[arg]) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      args[valueFlags[arg]] = argv[++i];
+    } else if (arg === '--overwrite') {
+      args.overwrite = true;
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '-' || !arg.startsWith('-')) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return args;
+}
+
+// Backend URL and shared key from config.js, if this runs on the backend host
+function loadLocalConfig() {
+  try {
+    const config = require(path.join(__dirname, 'config.js'));
+    const host = !config.api.host || config.api.host === '0.0.0.0' ? 'localhost' : config.api.host;
+    return { url: `http://${host}:${config.api.port}`, key: config.api.key };
+  } catch (err) {
+    return {};
+  }
+}
+
+function readExport(args) {
+  if (args.file === '-') return fs.readFileSync(0, 'utf8');
+  if (args.file) return fs.readFileSync(args.file, 'utf8');
+  const vnstatArgs = args.interface ? ['--json', '-i', args.interface] : ['--json'];
+  return execFileSync('vnstat', vnstatArgs, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(usage);
+    return;
+  }
+  if (!args.server) throw new Error(`--server is required\n\n${usage}`);
+
+  const local = loadLocalConfig();
+  const url = (args.url || local.url || 'http://localhost:3000').replace(/\/+$/, '');
+  const key = args.key || local.key;
+  if (!key) throw new Error('No API key: pass --key or run next to the backend config.js');
+
+  let body;
+  try {
+    body = JSON.parse(readExport(args));
+  } catch (err) {
+    throw new Error(`Could not read vnStat JSON export: ${err.message}`);
+  }
+
+  const query = new URLSearchParams({ server_name: args.server });
+  if (args.overwrite) query.set('overwrite', '1');
+  console.log(`📤 Importing vnStat history for ${args.server} into ${url}`);
+
+  const response = await fetch(`${url}/api/data/import?${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-api-key': key },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Import failed (HTTP ${response.status}): ${result.message || response.statusText}`);
+  }
+
+  console.log(`✅ Interfaces: ${result.interfaces.join(', ') || 'none'}`);
+  console.log(`   Entries: ${result.periods.hour} hourly, ${result.periods.day} daily, ${result.periods.month} monthly`);
+  console.log(`   Created: ${result.created}, replaced: ${result.replaced}, merged (partly counted): ${result.merged}, skipped (already counted): ${result.skipped}`);
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
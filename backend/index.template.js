@@ -1,9 +1,24 @@
 const express = require('express');
-const mysql = require('mysql2');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createSampleValidator, createRejectionTracker, SERVER_NAME_PATTERN } = require('./lib/validation');
+const { createClockSkewTracker } = require('./lib/clockSkew');
+const { TRAFFIC_PERIODS, counterDelta, periodStart } = require('./lib/trafficCounters');
+const { parseVnstatExport } = require('./lib/vnstatImport');
+const { createRollupManager, sampleSource, RESOLUTIONS } = require('./lib/rollups');
+const { createMigrator } = require('./lib/migrations');
+const { createStorage, observeQueries } = require('./lib/storage');
+const { createRetentionManager } = require('./lib/retention');
+const { parseDuration, parseTimeWindow, windowClause, RANGE_FORMAT } = require('./lib/timeRange');
+const { BILLING_INTERVAL_SECONDS, buildBillingReport, monthWindow, monthOf } = require('./lib/billing');
+const { encodeCursor, decodeCursor, keysetClause } = require('./lib/pagination');
+const { GAP_TOLERANCE, summarizeAvailability } = require('./lib/availability');
+const { createApiValidator, compareRoutes, listOperations, renderDocsPage } = require('./lib/openapi');
+const { buildApiSpec, FORMATS } = require('./lib/apiSpec');
+const { createMetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
 
 const app = express();
 
@@ -22,253 +37,2082 @@ const API_KEY = config.api.key;
 const port = config.api.port;
 const host = config.api.host;
 
-app.use(cors(config.cors.enabled ? { origin: config.cors.origin } : {}));
-app.use(bodyParser.json());
+// Ingestion limits (older config.js files have no ingest section)
+const ingestConfig = Object.assign({
+  maxBatchSize: 5000,
+  bodyLimit: '10mb'
+}, config.ingest);
 
-// 🔐 Middleware to check API key
+// Sample validation (older config.js files have no validation section)
+const sampleValidator = createSampleValidator(config.validation);
+const rejections = createRejectionTracker();
+
+// Agent clock skew estimates (older config.js files have no clockSkew section)
+const clockSkew = createClockSkewTracker(config.clockSkew);
+
+// Agent credentials (older config.js files have no agents section).
+// allowSharedKey lets agents keep submitting with config.api.key; turn it
+// off once every agent has its own token.
+const agentsConfig = Object.assign({
+  allowSharedKey: true
+}, config.agents);
+
+// Prometheus metrics, scraped from /metrics with their own token (older
+// config.js files have no metrics section, which leaves /metrics off)
+const metricsConfig = Object.assign({
+  token: ''
+}, config.metrics);
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter('vnstat_http_requests_total', 'HTTP requests answered, by route and status', ['method', 'route', 'status']);
+const httpRequestDuration = metrics.histogram('vnstat_http_request_duration_seconds', 'Time taken to answer HTTP requests, by route', ['method', 'route']);
+const ingestedSamples = metrics.counter('vnstat_ingested_samples_total', 'Submitted samples by result: accepted (newly stored), duplicate or rejected', ['result']);
+const dbQueryDuration = metrics.histogram('vnstat_db_query_duration_seconds', 'Database query latency, by statement type', ['operation']);
+const dbQueryErrors = metrics.counter('vnstat_db_query_errors_total', 'Failed database queries, by statement type', ['operation']);
+['accepted', 'duplicate', 'rejected'].forEach(result => ingestedSamples.inc({ result }, 0));
+
+// Count and time every request by the route that answered it. Requests no
+// route took (unknown paths, a missing API key) share the route "unmatched".
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+  next();
+});
+
+// Browsers only let pages read response headers that are exposed
+const exposedHeaders = ['X-Resolution', 'X-Next-Cursor'];
+app.use(cors(config.cors.enabled ? { origin: config.cors.origin, exposedHeaders } : { exposedHeaders }));
+app.use(bodyParser.json({ limit: ingestConfig.bodyLimit }));
+app.use('/api/data/batch', bodyParser.text({
+  type: ['application/x-ndjson', 'application/ndjson'],
+  limit: ingestConfig.bodyLimit
+}));
+
+// 🔐 Per-agent tokens: 'vnsa_' followed by 48 hex characters. Only a
+// SHA-256 hash of each token is stored in the servers table.
+const AGENT_TOKEN_PATTERN = /^vnsa_[0-9a-f]{48}$/;
+const AGENT_TOKEN_ROUTES = ['/data', '/data/batch', '/data/import'];
+// GET routes under /api that answer without a key
+const PUBLIC_ROUTES = ['/info', '/openapi.json', '/docs'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateAgentToken = () => `vnsa_${crypto.randomBytes(24).toString('hex')}`;
+
+// Find the active registry entry for an agent token, noting when it was last
+// used (at most once a minute to keep writes off the ingestion path)
+function lookupAgentToken(token, callback) {
+  const query = `
+    SELECT server_name, last_seen_at
+    FROM servers
+    WHERE token_hash = ? AND revoked_at IS NULL
+  `;
+  db.query(query, [hashToken(token)], (err, results) => {
+    if (err) return callback(err);
+    const agent = results[0];
+    if (!agent) return callback(null, null);
+    const now = new Date();
+    if (!agent.last_seen_at || now - agent.last_seen_at >= 60 * 1000) {
+      db.query('UPDATE servers SET last_seen_at = ? WHERE server_name = ?', [now, agent.server_name], err => {
+        if (err) console.error('Failed to update last_seen_at:', err.message);
+      });
+    }
+    callback(null, agent);
+  });
+}
+
+// 🔐 Middleware to check API key. The shared key grants full access; an
+// agent token only lets its agent submit data for its own server_name.
 app.use('/api', (req, res, next) => {
+  if (req.method === 'GET' && PUBLIC_ROUTES.includes(req.path)) {
+    return next();
+  }
   const key = req.headers['x-api-key'];
-  if (!key || key !== API_KEY) {
-    return res.status(403).json({ 
-      error: 'Forbidden', 
-      message: 'Invalid or missing API key. Include x-api-key header.' 
+  if (key && key === API_KEY) {
+    req.auth = { role: 'admin' };
+    return next();
+  }
+
+  const forbidden = () => res.status(403).json({ 
+    error: 'Forbidden', 
+    message: 'Invalid or missing API key. Include x-api-key header.' 
+  });
+  if (!key || !AGENT_TOKEN_PATTERN.test(key)) {
+    return forbidden();
+  }
+
+  lookupAgentToken(key, (err, agent) => {
+    if (err) {
+      console.error('Agent token lookup error:', err);
+      return sendDatabaseError(res, err, 'Failed to verify agent token');
+    }
+    if (!agent) {
+      return forbidden();
+    }
+    if (req.method !== 'POST' || !AGENT_TOKEN_ROUTES.includes(req.path)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Agent tokens may only submit data'
+      });
+    }
+    req.auth = { role: 'agent', server_name: agent.server_name };
+    next();
+  });
+});
+
+// 🔐 Ingestion routes: enforce allowSharedKey
+function requireIngestAccess(req, res, next) {
+  if (req.auth.role === 'admin' && !agentsConfig.allowSharedKey) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'The shared API key may not submit data; use a per-agent token'
     });
   }
   next();
-});
+}
+
+// Check a request's parameters and body against its operation in the API
+// description (lib/apiSpec.js), built once every route is defined below
+function validateRequest(req, res, next) {
+  apiValidator.validateRequest(req, res, next);
+}
+
+// 🔐 /metrics takes its own token (Authorization: Bearer <metrics.token>),
+// so a scraper never holds a key that can read or write data
+function requireScrapeToken(req, res, next) {
+  if (!metricsConfig.token) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Metrics are disabled; set metrics.token in config.js'
+    });
+  }
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+  const given = hashToken(match ? match[1] : '');
+  if (!crypto.timingSafeEqual(Buffer.from(given), Buffer.from(hashToken(metricsConfig.token)))) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing scrape token. Include an Authorization: Bearer header.'
+    });
+  }
+  next();
+}
+
+// 🔐 Reject samples an agent submits under another server's name
+function serverNameAuthError(req, sample) {
+  if (req.auth.role === 'agent' && sample.server_name !== req.auth.server_name) {
+    return `This token may only submit data for server_name "${req.auth.server_name}"`;
+  }
+  return null;
+}
+
+// Database: MySQL, or a SQLite file when database.type is 'sqlite' (see lib/storage)
+// Statement types queries are timed by in the metrics
+const QUERY_OPERATIONS = ['select', 'insert', 'update', 'delete'];
+
+function queryOperation(statement) {
+  const match = /^\s*(\w+)/.exec(typeof statement === 'string' ? statement : '');
+  const word = match ? match[1].toLowerCase() : '';
+  return QUERY_OPERATIONS.includes(word) ? word : 'other';
+}
+
+let db;
+try {
+  db = observeQueries(createStorage(config.database, __dirname), (statement, seconds, err) => {
+    const operation = queryOperation(statement);
+    dbQueryDuration.observe({ operation }, seconds);
+    if (err) dbQueryErrors.inc({ operation });
+  });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Answer a failed query: 503 with Retry-After while the database is
+// unreachable, 500 otherwise. details are added to the response body.
+function sendDatabaseError(res, err, message, details = {}) {
+  if (db.isUnavailableError(err)) {
+    const nextRetry = db.health().next_retry_at;
+    const retryAfter = nextRetry ? Math.max(1, Math.ceil((nextRetry - Date.now()) / 1000)) : 5;
+    res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Database is unavailable, try again shortly',
+      ...details
+    });
+  }
+  res.status(500).json({
+    error: 'Database Error',
+    message,
+    ...details
+  });
+}
+
+// Interface name stored for samples from agents that don't report one
+const DEFAULT_INTERFACE = 'default';
 
-// MySQL connection setup
-const db = mysql.createConnection({
-  host: config.database.host,
-  user: config.database.user,
-  password: config.database.password,
-  database: config.database.database,
-  port: config.database.port || 3306
+// Rollup tables and data retention (older config.js files have neither section).
+// The purge leaves samples alone until they have been rolled up.
+const retention = createRetentionManager(db, config.retention, {
+  pendingSince: () => rollups.oldestPending()
 });
+const rollups = createRollupManager(db, config.rollups, retention.settings);
 
-// Database connection with retry logic
+// Database connection. A MySQL server that is down at startup or goes away
+// later is reconnected in the background, and the API answers 503 for
+// anything that needs it in the meantime.
 function connectToDatabase() {
   db.connect(err => {
+    if (err && db.type === 'sqlite') {
+      console.error('❌ Failed to open SQLite database:');
+      console.error(`   File: ${db.info.file}`);
+      console.error(`   Error: ${err.message}`);
+      console.error('');
+      console.error('💡 Check that the backend may create and write this file (database.file in config.js)');
+      process.exit(1);
+    }
     if (err) {
       console.error('❌ Failed to connect to MySQL database:');
-      console.error(`   Host: ${config.database.host}:${config.database.port}`);
-      console.error(`   Database: ${config.database.database}`);
-      console.error(`   User: ${config.database.user}`);
+      console.error(`   Host: ${db.info.host}`);
+      console.error(`   Database: ${db.info.database}`);
+      console.error(`   User: ${db.info.user}`);
       console.error(`   Error: ${err.message}`);
       console.error('');
       console.error('💡 Please check your database configuration in config.js');
       console.error('   - Verify the database server is running');
       console.error('   - Check credentials and permissions');
       console.error('   - Ensure the database exists');
+      console.error('🔄 Retrying in the background; see /health for the connection state');
+    }
+
+    db.whenConnected(() => {
+      if (db.type === 'sqlite') {
+        console.log('✅ Opened SQLite database');
+        console.log(`   File: ${db.info.file}`);
+      } else {
+        console.log('✅ Connected to MySQL database');
+        console.log(`   Host: ${db.info.host}`);
+        console.log(`   Database: ${db.info.database}`);
+      }
+      startDatabaseJobs();
+    });
+  });
+}
+
+// Bring the schema up to date, then load state and start background jobs.
+// Losing the database half-way through is retried once it is back.
+function startDatabaseJobs() {
+  prepareSchema((err, status) => {
+    if (err && db.isUnavailableError(err)) {
+      console.error('⚠️  Database went away while preparing the schema; retrying once it is back');
+      return db.whenConnected(startDatabaseJobs);
+    }
+    if (err) {
+      console.error('❌ Failed to prepare database schema:', err.message);
       process.exit(1);
     }
-    
-    console.log('✅ Connected to MySQL database');
-    console.log(`   Host: ${config.database.host}:${config.database.port}`);
-    console.log(`   Database: ${config.database.database}`);
-
-    // Create table if not exists
-    const createTableQuery = `
-      CREATE TABLE IF NOT EXISTS vnstat_data (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        server_name VARCHAR(255) NOT NULL,
-        timestamp DATETIME NOT NULL,
-        rx_rate FLOAT NOT NULL DEFAULT 0,
-        tx_rate FLOAT NOT NULL DEFAULT 0,
-        INDEX idx_server_timestamp (server_name, timestamp),
-        INDEX idx_timestamp (timestamp)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `;
-    
-    db.query(createTableQuery, err => {
-      if (err) {
-        console.error('❌ Failed to create vnstat_data table:', err.message);
-        process.exit(1);
+    console.log(`✅ Database schema at version ${status.current_version} (${status.applied.length} migrations applied)`);
+    loadCounterState();
+    rollups.start();
+    retention.start();
+  });
+}
+
+// Schema changes live in migrations/ and are applied on startup unless
+// database.autoMigrate is false, in which case `node migrate.js up` must
+// have been run first
+const migrator = createMigrator(db);
+
+function prepareSchema(callback) {
+  if (config.database.autoMigrate === false) {
+    return migrator.status((err, status) => {
+      if (err) return callback(err);
+      if (status.pending.length > 0) {
+        return callback(new Error(`${status.pending.length} pending migration(s), run "node migrate.js up" first`));
       }
-      console.log('✅ Database table ready: vnstat_data');
+      callback(null, status);
     });
+  }
+  migrator.migrate(err => {
+    if (err) return callback(err);
+    migrator.status(callback);
   });
 }
 
 connectToDatabase();
 
-// Health check endpoint (no API key required)
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
+// Health check endpoint (no API key required). Answers 503 while the
+// database is unreachable so load balancers and monitors notice.
+app.get('/health', validateRequest, (req, res) => {
+  const database = db.health();
+  const healthy = database.status === 'connected';
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'healthy' : 'unhealthy',
     timestamp: new Date().toISOString(),
-    database: 'connected',
+    database,
     version: '2.0.0'
   });
 });
 
-// API Info endpoint (no API key required)
-app.get('/api/info', (req, res) => {
+// Prometheus scrape endpoint (scrape token instead of the API key)
+app.get('/metrics', requireScrapeToken, validateRequest, (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// API Info endpoint (no API key required). The endpoint list comes from
+// the API description.
+app.get('/api/info', validateRequest, (req, res) => {
   res.json({
     name: 'VnStat Dashboard API',
     version: '2.0.0',
-    endpoints: [
-      'POST /api/data - Submit network data',
-      'GET /api/servers - List servers with stats',
-      'GET /api/aggregate - Aggregated network statistics',
-      'GET /api/servers/:name/history - Server historical data'
-    ],
-    authentication: 'Required: x-api-key header'
+    endpoints: listOperations(apiSpec),
+    documentation: 'GET /api/openapi.json (OpenAPI 3), browsable at /api/docs',
+    time_ranges: '?range= as 90s, 20m, 6h, 7d, 2w, 3mo or 1y (m is minutes, mo is months), or ?from= and ?to= as ISO 8601 date-times',
+    authentication: 'Required: x-api-key header (shared API key, or a per-agent token for the POST /api/data routes)'
   });
 });
 
+// OpenAPI description of every route (no API key required)
+app.get('/api/openapi.json', validateRequest, (req, res) => {
+  res.json(apiSpec);
+});
+
+// The API description as a page to read in a browser (no API key required)
+app.get('/api/docs', validateRequest, (req, res) => {
+  res.type('html').send(apiDocsPage);
+});
+
+// Latest counter reading per server and interface, keyed by counterKey()
+const lastCounters = new Map();
+const TRAFFIC_TOTALS_KEY = ['server_name', 'interface', 'period', 'period_start'];
+
+const counterKey = (serverName, iface) => `${serverName}\u0000${iface}`;
+
+// Latest rates per server and interface for the metrics gauges, keyed by
+// counterKey(). An interface drops out of them once its latest sample is
+// older than LATEST_RATE_MAX_AGE_SECONDS, like a series Prometheus marks stale.
+const LATEST_RATE_MAX_AGE_SECONDS = 300;
+const latestRates = new Map();
+
+function recordLatestRates(samples) {
+  samples.forEach(sample => {
+    const iface = sample.interface || DEFAULT_INTERFACE;
+    const key = counterKey(sample.server_name, iface);
+    const time = new Date(sample.timestamp).getTime();
+    const current = latestRates.get(key);
+    if (current && current.time >= time) return;
+    latestRates.set(key, { server_name: sample.server_name, interface: iface, time, rx_rate: sample.rx_rate, tx_rate: sample.tx_rate });
+  });
+}
+
+function currentRates() {
+  const cutoff = Date.now() - LATEST_RATE_MAX_AGE_SECONDS * 1000;
+  latestRates.forEach((entry, key) => {
+    if (entry.time < cutoff) latestRates.delete(key);
+  });
+  return Array.from(latestRates.values());
+}
+
+// Rates are reported in KiB/s and exported in bytes/s
+const rateLabels = ['server_name', 'interface'];
+metrics.gauge('vnstat_rx_bytes_per_second', 'Latest receive rate reported for each server and interface', rateLabels,
+  () => currentRates().map(entry => ({ labels: entry, value: entry.rx_rate * 1024 })));
+metrics.gauge('vnstat_tx_bytes_per_second', 'Latest transmit rate reported for each server and interface', rateLabels,
+  () => currentRates().map(entry => ({ labels: entry, value: entry.tx_rate * 1024 })));
+metrics.gauge('vnstat_last_sample_timestamp_seconds', 'Time of the latest sample for each server and interface', rateLabels,
+  () => currentRates().map(entry => ({ labels: entry, value: entry.time / 1000 })));
+
+// Seed lastCounters from the database so deltas continue across restarts.
+// Readings that arrived while the query was running are newer and win.
+function loadCounterState() {
+  db.query('SELECT server_name, interface, timestamp, rx_bytes, tx_bytes FROM traffic_counters', (err, results) => {
+    if (err) {
+      console.error('❌ Failed to load traffic counters:', err.message);
+      return;
+    }
+    results.forEach(row => {
+      const key = counterKey(row.server_name, row.interface);
+      if (!lastCounters.has(key)) {
+        lastCounters.set(key, {
+          time: new Date(row.timestamp).getTime(),
+          rx_bytes: Number(row.rx_bytes),
+          tx_bytes: Number(row.tx_bytes)
+        });
+      }
+    });
+    console.log(`✅ Traffic counters loaded for ${results.length} interface(s)`);
+  });
+}
+
+// Turn counter readings into hourly, daily and monthly traffic totals.
+// Samples are processed oldest first; readings older than the last one seen
+// for their interface are ignored, and the first reading for an interface
+// only sets the baseline. A delta is credited to the period of the reading
+// that closes it, so traffic from an agent's offline gap lands there too.
+function recordCounters(samples, callback) {
+  const readings = samples
+    .filter(sample => sample.rx_bytes !== undefined && sample.tx_bytes !== undefined)
+    .map(sample => ({
+      server_name: sample.server_name,
+      interface: sample.interface || DEFAULT_INTERFACE,
+      time: new Date(sample.timestamp).getTime(),
+      rx_bytes: Number(sample.rx_bytes),
+      tx_bytes: Number(sample.tx_bytes)
+    }))
+    .filter(reading => !isNaN(reading.time))
+    .sort((a, b) => a.time - b.time);
+
+  const totals = new Map();
+  const latest = new Map();
+
+  readings.forEach(reading => {
+    const key = counterKey(reading.server_name, reading.interface);
+    const previous = lastCounters.get(key);
+    if (previous && reading.time <= previous.time) return;
+
+    lastCounters.set(key, { time: reading.time, rx_bytes: reading.rx_bytes, tx_bytes: reading.tx_bytes });
+    latest.set(key, reading);
+    if (!previous) return;
+
+    const rx = counterDelta(previous.rx_bytes, reading.rx_bytes);
+    const tx = counterDelta(previous.tx_bytes, reading.tx_bytes);
+    if (rx === 0 && tx === 0) return;
+
+    TRAFFIC_PERIODS.forEach(period => {
+      const start = periodStart(reading.time, period);
+      const totalKey = `${key}\u0000${period}\u0000${start.getTime()}`;
+      if (!totals.has(totalKey)) {
+        totals.set(totalKey, [reading.server_name, reading.interface, period, start, 0, 0]);
+      }
+      const row = totals.get(totalKey);
+      row[4] += rx;
+      row[5] += tx;
+    });
+  });
+
+  if (latest.size === 0) return callback(null);
+
+  const counterRows = Array.from(latest.values()).map(reading => [
+    reading.server_name, reading.interface, new Date(reading.time), reading.rx_bytes, reading.tx_bytes
+  ]);
+  const counterQuery = `
+    INSERT INTO traffic_counters (server_name, interface, timestamp, rx_bytes, tx_bytes) VALUES ?
+    ${db.sql.onConflict(['server_name', 'interface'], { set: ['timestamp', 'rx_bytes', 'tx_bytes'] })}
+  `;
+
+  db.query(counterQuery, [counterRows], err => {
+    if (err || totals.size === 0) return callback(err || null);
+    const totalsQuery = `
+      INSERT INTO traffic_totals (server_name, interface, period, period_start, rx_bytes, tx_bytes) VALUES ?
+      ${db.sql.onConflict(TRAFFIC_TOTALS_KEY, { add: ['rx_bytes', 'tx_bytes'] })}
+    `;
+    db.query(totalsQuery, [Array.from(totals.values())], callback);
+  });
+}
+
+// Server a rejected sample is counted against: an agent's own, otherwise
+// whatever name the sample carries
+const reportedServerName = (req, input) => (req.auth.role === 'agent' ? req.auth.server_name : input && input.server_name);
+
+// Count a rejected sample against its server and in the metrics
+function recordRejection(serverName, error) {
+  rejections.record(serverName, error);
+  ingestedSamples.inc({ result: 'rejected' });
+}
+
+// Validate one submitted sample against the Sample schema, then the checks
+// it can't express (timestamp bounds, paired fields), and count rejections
+// against its server. Returns { sample } with the sanitised sample, or
+// { error: { field, message } }.
+function checkSample(req, input) {
+  const schemaError = apiValidator.check(apiSpec.components.schemas.Sample, input, 'Sample');
+  const result = schemaError ? { error: schemaError } : sampleValidator.validate(input);
+  if (!result.error) {
+    const authError = serverNameAuthError(req, result.sample);
+    if (authError) result.error = { field: 'server_name', message: authError, forbidden: true };
+  }
+  if (result.error) {
+    recordRejection(reportedServerName(req, input), result.error);
+  }
+  return result;
+}
+
+// Column values for one vnstat_data row, in SAMPLE_COLUMNS order
+const SAMPLE_COLUMNS = 'server_name, interface, timestamp, rx_rate, tx_rate, rx_pps, tx_pps, rx_bytes, tx_bytes, received_at';
+function sampleRow(sample) {
+  return [
+    sample.server_name,
+    sample.interface || DEFAULT_INTERFACE,
+    sample.timestamp,
+    sample.rx_rate,
+    sample.tx_rate,
+    sample.rx_pps !== undefined ? sample.rx_pps : null,
+    sample.tx_pps !== undefined ? sample.tx_pps : null,
+    sample.rx_bytes !== undefined ? sample.rx_bytes : null,
+    sample.tx_bytes !== undefined ? sample.tx_bytes : null,
+    sample.received_at || new Date()
+  ];
+}
+
+// Build the optional "AND interface = ?" filter from ?interface= on query routes
+function interfaceFilter(req, column = 'interface') {
+  const iface = req.query.interface;
+  if (!iface) return { clause: '', params: [] };
+  return { clause: `AND ${column} = ?`, params: [iface] };
+}
+
 // POST endpoint to insert data
-app.post('/api/data', (req, res) => {
-  const { server_name, timestamp, rx_rate, tx_rate } = req.body;
+app.post('/api/data', requireIngestAccess, validateRequest, (req, res) => {
+  const receivedAt = new Date();
+  const { sample, error } = checkSample(req, req.body);
+  if (error) {
+    // An agent whose clock is far off has all its samples turned away, so
+    // its skew is measured on the rejected ones. Only for servers that are
+    // registered or already tracked, so that made-up names can't grow the
+    // tracker.
+    if (error.timestamp && !serverNameAuthError(req, error) &&
+        (req.auth.role === 'agent' || clockSkew.estimate(error.server_name))) {
+      clockSkew.record(error.server_name, error.timestamp, receivedAt);
+    }
+    return res.status(error.forbidden ? 403 : 400).json({
+      error: error.forbidden ? 'Forbidden' : 'Bad Request',
+      message: error.message,
+      field: error.field
+    });
+  }
+  sample.received_at = receivedAt;
   
-  if (!server_name || !timestamp || rx_rate === undefined || tx_rate === undefined) {
+  // The insert skips the row when uniq_sample already holds it, which is
+  // how a retried request is recognised as a duplicate
+  const query = `${db.sql.insertIgnore('vnstat_data', SAMPLE_COLUMNS)} VALUES (?)`;
+  db.query(query, [sampleRow(sample)], (err, result) => {
+    if (err) {
+      console.error('Database insert error:', err);
+      return sendDatabaseError(res, err, 'Failed to insert data');
+    }
+    if (result.affectedRows === 0) {
+      ingestedSamples.inc({ result: 'duplicate' });
+      return res.json({ success: true, status: 'duplicate', message: 'Sample was already stored' });
+    }
+    ingestedSamples.inc({ result: 'accepted' });
+    // Only live, newly stored samples say anything about the agent's clock
+    clockSkew.record(sample.server_name, sample.timestamp, receivedAt);
+    rollups.markDirty([sample]);
+    recordLatestRates([sample]);
+    recordCounters([sample], err => {
+      if (err) console.error('Traffic counter update error:', err);
+    });
+    res.json({ success: true, status: 'created', message: 'Data inserted successfully' });
+  });
+});
+
+// Rows per multi-row INSERT statement
+const BATCH_INSERT_CHUNK = 500;
+
+// Turn a batch request body into a list of samples. JSON bodies may be an
+// array or { samples: [...] }; NDJSON bodies have one sample per line.
+// Lines that fail to parse are kept as { parseError } so they can be
+// reported at their original position.
+function parseBatchBody(body) {
+  if (typeof body === 'string') {
+    return body
+      .split(/\r?\n/)
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          return { parseError: `Invalid JSON: ${err.message}` };
+        }
+      });
+  }
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.samples)) return body.samples;
+  return null;
+}
+
+// Identity of a sample for duplicate detection, matching uniq_sample
+const sampleKey = (serverName, iface, timestamp) =>
+  `${serverName}\u0000${iface}\u0000${new Date(timestamp).getTime()}`;
+
+// Store samples in chunks inside a single transaction. Calls back with a
+// flag per sample telling whether it was already stored (by an earlier
+// request or earlier in the same batch) instead of inserted.
+function storeSamplesInTransaction(samples, callback) {
+  db.transaction((connection, done) => {
+    const duplicates = new Array(samples.length).fill(false);
+    const seen = new Set();
+
+    const storeChunk = (offset) => {
+      if (offset >= samples.length) return done(null, duplicates);
+      const chunk = samples.slice(offset, offset + BATCH_INSERT_CHUNK);
+      const rows = chunk.map(sampleRow);
+      const keys = rows.map(row => [row[0], row[1], row[2]]);
+      const existingQuery = `
+        SELECT server_name, interface, timestamp
+        FROM vnstat_data
+        WHERE ${db.sql.tupleIn('server_name, interface, timestamp')}
+      `;
+
+      connection.query(existingQuery, [keys], (err, existing) => {
+        if (err) return done(err);
+        existing.forEach(row => seen.add(sampleKey(row.server_name, row.interface, row.timestamp)));
+
+        const newRows = [];
+        rows.forEach((row, i) => {
+          const key = sampleKey(row[0], row[1], row[2]);
+          if (seen.has(key)) {
+            duplicates[offset + i] = true;
+            return;
+          }
+          seen.add(key);
+          newRows.push(row);
+        });
+        if (newRows.length === 0) return storeChunk(offset + BATCH_INSERT_CHUNK);
+
+        const insertQuery = `${db.sql.insertIgnore('vnstat_data', SAMPLE_COLUMNS)} VALUES ?`;
+        connection.query(insertQuery, [newRows], err => {
+          if (err) return done(err);
+          storeChunk(offset + BATCH_INSERT_CHUNK);
+        });
+      });
+    };
+
+    storeChunk(0);
+  }, callback);
+}
+
+// POST endpoint to insert many samples at once (offline agents uploading a backlog)
+app.post('/api/data/batch', requireIngestAccess, validateRequest, (req, res) => {
+  const receivedAt = new Date();
+  const samples = parseBatchBody(req.body);
+
+  if (!samples) {
     return res.status(400).json({
       error: 'Bad Request',
-      message: 'Missing required fields: server_name, timestamp, rx_rate, tx_rate'
+      message: 'Body must be a JSON array of samples, { "samples": [...] } or NDJSON'
     });
   }
-  
-  const query = 'INSERT INTO vnstat_data (server_name, timestamp, rx_rate, tx_rate) VALUES (?, ?, ?, ?)';
-  db.query(query, [server_name, timestamp, rx_rate, tx_rate], (err) => {
+  if (samples.length === 0) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Batch contains no samples'
+    });
+  }
+  if (samples.length > ingestConfig.maxBatchSize) {
+    return res.status(413).json({
+      error: 'Payload Too Large',
+      message: `Batch contains ${samples.length} samples; the maximum is ${ingestConfig.maxBatchSize}`
+    });
+  }
+
+  const results = [];
+  const accepted = [];
+  const acceptedIndexes = [];
+  samples.forEach((input, index) => {
+    if (input && input.parseError) {
+      recordRejection(req.auth.server_name, { field: null, message: input.parseError });
+      results.push({ index, status: 'rejected', error: input.parseError, field: null });
+      return;
+    }
+    const { sample, error } = checkSample(req, input);
+    if (error) {
+      results.push({ index, status: 'rejected', error: error.message, field: error.field });
+      return;
+    }
+    results.push({ index, status: 'created' });
+    sample.received_at = receivedAt;
+    accepted.push(sample);
+    acceptedIndexes.push(results.length - 1);
+  });
+
+  const summary = {
+    received: samples.length,
+    accepted: accepted.length,
+    rejected: samples.length - accepted.length
+  };
+
+  if (accepted.length === 0) {
+    return res.json({ success: false, ...summary, created: 0, duplicates: 0, results });
+  }
+
+  storeSamplesInTransaction(accepted, (err, duplicates) => {
     if (err) {
-      console.error('Database insert error:', err);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: 'Failed to insert data'
+      console.error('Database batch insert error:', err);
+      return sendDatabaseError(res, err, 'Failed to insert batch; no samples were stored');
+    }
+    duplicates.forEach((duplicate, i) => {
+      if (duplicate) results[acceptedIndexes[i]].status = 'duplicate';
+    });
+    const duplicateCount = duplicates.filter(Boolean).length;
+
+    const created = accepted.filter((sample, i) => !duplicates[i]);
+    ingestedSamples.inc({ result: 'accepted' }, created.length);
+    ingestedSamples.inc({ result: 'duplicate' }, duplicateCount);
+    rollups.markDirty(created);
+    recordLatestRates(created);
+    recordCounters(created, err => {
+      if (err) console.error('Traffic counter update error:', err);
+    });
+    res.json({
+      success: true,
+      ...summary,
+      created: accepted.length - duplicateCount,
+      duplicates: duplicateCount,
+      results
+    });
+  });
+});
+
+// Identity of a traffic_totals row for one server, matching its primary key
+const totalKey = (iface, period, start) => `${iface}\u0000${period}\u0000${new Date(start).getTime()}`;
+
+// Multi-row INSERT of rows in BATCH_INSERT_CHUNK sized statements
+function insertInChunks(connection, query, rows, callback) {
+  const insertChunk = (offset) => {
+    if (offset >= rows.length) return callback(null);
+    connection.query(query, [rows.slice(offset, offset + BATCH_INSERT_CHUNK)], err => {
+      if (err) return callback(err);
+      insertChunk(offset + BATCH_INSERT_CHUNK);
+    });
+  };
+  insertChunk(0);
+}
+
+// Write imported totals for one server in a single transaction. A period
+// that already has a total (from live counters or an earlier import) may
+// only be partly counted, e.g. the day the agent was started, while vnStat
+// counted all of it: the total is raised to vnStat's figures where they are
+// higher, which adds the part the dashboard missed. With overwrite set the
+// imported values replace existing totals outright. Calls back with
+// { created, replaced, merged, skipped } row counts, skipped being periods
+// the dashboard had already counted in full.
+function importTotalsInTransaction(serverName, rows, overwrite, callback) {
+  db.transaction((connection, done) => {
+    const interfaces = Array.from(new Set(rows.map(row => row.interface)));
+    const existingQuery = `
+      SELECT interface, period, period_start, rx_bytes, tx_bytes
+      FROM traffic_totals
+      WHERE server_name = ? AND interface IN (?)
+    `;
+
+    connection.query(existingQuery, [serverName, interfaces], (err, existing) => {
+      if (err) return done(err);
+      const present = new Map(existing.map(row => [totalKey(row.interface, row.period, row.period_start), row]));
+
+      // The last entry wins if an export lists the same period twice
+      const unique = new Map();
+      rows.forEach(row => unique.set(totalKey(row.interface, row.period, row.period_start), row));
+
+      const newRows = [];
+      const updatedRows = [];
+      const counts = { created: 0, replaced: 0, merged: 0, skipped: 0 };
+      unique.forEach((row, key) => {
+        const values = [serverName, row.interface, row.period, row.period_start, row.rx_bytes, row.tx_bytes];
+        const current = present.get(key);
+        if (!current) {
+          newRows.push(values);
+          counts.created++;
+        } else if (overwrite) {
+          updatedRows.push(values);
+          counts.replaced++;
+        } else if (row.rx_bytes > Number(current.rx_bytes) || row.tx_bytes > Number(current.tx_bytes)) {
+          values[4] = Math.max(row.rx_bytes, Number(current.rx_bytes));
+          values[5] = Math.max(row.tx_bytes, Number(current.tx_bytes));
+          updatedRows.push(values);
+          counts.merged++;
+        } else {
+          counts.skipped++;
+        }
+      });
+
+      const columns = 'server_name, interface, period, period_start, rx_bytes, tx_bytes';
+      insertInChunks(connection, `${db.sql.insertIgnore('traffic_totals', columns)} VALUES ?`, newRows, err => {
+        if (err) return done(err);
+        const updateQuery = `
+          INSERT INTO traffic_totals (${columns}) VALUES ?
+          ${db.sql.onConflict(TRAFFIC_TOTALS_KEY, { set: ['rx_bytes', 'tx_bytes'] })}
+        `;
+        insertInChunks(connection, updateQuery, updatedRows, err => done(err, counts));
       });
+    });
+  }, callback);
+}
+
+// POST endpoint to backfill hourly, daily and monthly totals for one server
+// from vnStat's own database (the output of vnstat --json)
+app.post('/api/data/import', requireIngestAccess, validateRequest, (req, res) => {
+  const serverName = req.query.server_name.trim();
+  const overwrite = ['1', 'true'].includes(String(req.query.overwrite).trim());
+
+  const authError = serverNameAuthError(req, { server_name: serverName });
+  if (authError) {
+    return res.status(403).json({ error: 'Forbidden', message: authError, field: 'server_name' });
+  }
+
+  const { rows, interfaces, error } = parseVnstatExport(req.body);
+  if (error) {
+    return res.status(400).json({ error: 'Bad Request', message: error });
+  }
+
+  const periods = {};
+  TRAFFIC_PERIODS.forEach(period => {
+    periods[period] = rows.filter(row => row.period === period).length;
+  });
+  if (rows.length === 0) {
+    return res.json({ success: true, server_name: serverName, interfaces, periods, created: 0, replaced: 0, merged: 0, skipped: 0 });
+  }
+
+  importTotalsInTransaction(serverName, rows, overwrite, (err, counts) => {
+    if (err) {
+      console.error('Database import error:', err);
+      return sendDatabaseError(res, err, 'Failed to import vnStat data; nothing was stored');
     }
-    res.json({ success: true, message: 'Data inserted successfully' });
+    console.log(`📥 Imported vnStat totals for ${serverName}: ${counts.created} created, ${counts.replaced} replaced, ${counts.merged} merged, ${counts.skipped} skipped`);
+    res.json({ success: true, server_name: serverName, interfaces, periods, ...counts });
   });
 });
 
-// Helper function to parse time range to hours
-function parseTimeRangeToHours(range) {
-  if (!range) return 24; // Default to 24 hours
-  
-  const match = range.match(/^(\d+)([hdmwy])$/);
-  if (!match) return 24; // Default if invalid format
-  
-  const value = parseInt(match[1]);
-  const unit = match[2];
-  
-  switch (unit) {
-    case 'h': return value;           // hours
-    case 'd': return value * 24;      // days to hours
-    case 'w': return value * 24 * 7;  // weeks to hours
-    case 'm': return value * 24 * 30; // months to hours (approximate)
-    case 'y': return value * 24 * 365; // years to hours (approximate)
-    default: return 24;
+// 400 body for a time parameter (?range=, ?from=, ?to=, ?compare=) that didn't parse
+const invalidWindowResponse = (error) => ({ error: 'Bad Request', message: error.message, field: error.field });
+
+// Roll per-interface rows up into one entry per server. Rates are summed
+// across interfaces; data_points is the best-covered interface's count so
+// that uptime estimates don't scale with the number of interfaces.
+function groupInterfaceRows(rows) {
+  const servers = new Map();
+  rows.forEach(row => {
+    if (!servers.has(row.server_name)) {
+      servers.set(row.server_name, {
+        server_name: row.server_name,
+        latest_time: row.latest_time,
+        latest_received_at: row.latest_received_at,
+        rx_rate: 0,
+        tx_rate: 0,
+        rx_pps: null,
+        tx_pps: null,
+        data_points: 0,
+        interfaces: []
+      });
+    }
+    const server = servers.get(row.server_name);
+    server.rx_rate += Number(row.rx_rate) || 0;
+    server.tx_rate += Number(row.tx_rate) || 0;
+    // Packet rates stay null unless at least one interface reported them
+    if (row.rx_pps !== null && row.rx_pps !== undefined) {
+      server.rx_pps = (server.rx_pps || 0) + Number(row.rx_pps);
+      server.tx_pps = (server.tx_pps || 0) + Number(row.tx_pps);
+    }
+    server.data_points = Math.max(server.data_points, row.data_points);
+    if (row.latest_time > server.latest_time) {
+      server.latest_time = row.latest_time;
+    }
+    if (row.latest_received_at > server.latest_received_at || !server.latest_received_at) {
+      server.latest_received_at = row.latest_received_at;
+    }
+    server.interfaces.push({
+      interface: row.interface,
+      latest_time: row.latest_time,
+      rx_rate: row.rx_rate,
+      tx_rate: row.tx_rate,
+      rx_pps: row.rx_pps,
+      tx_pps: row.tx_pps,
+      data_points: row.data_points
+    });
+  });
+  return Array.from(servers.values());
+}
+
+// Choose the table a query route reads from: ?resolution=raw|1m|1h|1d, or
+// the rollup manager's pick for the window and the servers read (null for
+// every server). Returns null for an unknown value.
+function resolveSampleSource(req, window, serverNames = null) {
+  const requested = req.query.resolution;
+  if (requested && requested !== 'auto') {
+    return RESOLUTIONS.includes(requested) ? sampleSource(requested) : null;
   }
+  return sampleSource(rollups.pickResolution(window.rangeHours, window.hoursBack, serverNames));
+}
+
+// Before reading named servers at the given resolutions, roll up the
+// samples they sent since the last rollup run if any resolution is a rollup,
+// so the result includes them. Reads of every server rely on the background
+// run instead (see rolledUpUntil). A failed run leaves the rollups as they
+// were rather than failing the request.
+function freshRollups(resolutions, serverNames, callback) {
+  if (!serverNames || resolutions.every(resolution => !resolution || resolution === 'raw')) return callback();
+  rollups.flush(serverNames, err => {
+    if (err) console.error('Rollup run failed:', err.message);
+    callback();
+  });
+}
+
+// End (ms) of what can be read of every server's rollups up to toMs: the
+// oldest sample still waiting to be rolled up, as newer ones may be missing
+// from the rollup tables. Raw samples can be read up to toMs.
+function rolledUpUntil(source, toMs) {
+  const pending = rollups.oldestPending();
+  if (source.resolution === 'raw' || pending === null) return toMs;
+  return Math.min(toMs, pending);
+}
+
+// A window (from parseTimeWindow) read from every server's rollups, ending
+// where they may trail the samples (see rolledUpUntil)
+function rolledUpWindow(source, window) {
+  const toMs = window.to ? window.to.getTime() : Date.now();
+  const untilMs = rolledUpUntil(source, toMs);
+  if (untilMs === toMs) return window;
+  return { ...window, to: new Date(Math.max(untilMs, window.from.getTime())) };
+}
+
+const invalidResolutionResponse = {
+  error: 'Bad Request',
+  message: `resolution must be one of: auto, ${RESOLUTIONS.join(', ')}`
+};
+
+// Attach the current clock skew estimate to a server entry
+function withClockSkew(server) {
+  const skew = clockSkew.estimate(server.server_name);
+  return {
+    ...server,
+    clock_skew_seconds: skew ? skew.seconds : null,
+    clock_skew_warning: skew ? skew.warning : false
+  };
+}
+
+// Rates of each server per timestamp (per bucket at a rollup resolution),
+// with its interfaces added together: a query selecting server_name, time,
+// rx and tx, and its parameters. A server's peaks are the highest of these.
+function perTimeRates(source, window, filter) {
+  const time = windowClause(source.time, window);
+  return {
+    query: `
+      SELECT server_name, ${source.time} as time,
+        SUM(${source.peakColumn('rx')}) as rx, SUM(${source.peakColumn('tx')}) as tx
+      FROM ${source.table}
+      WHERE ${time.clause}
+      ${filter.clause}
+      GROUP BY server_name, ${source.time}
+    `,
+    params: [...time.params, ...filter.params]
+  };
 }
 
-// GET endpoint to fetch data per server with time range support
-app.get('/api/servers', (req, res) => {
-  const range = req.query.range || '24h'; // Default to 24 hours
-  const hoursBack = parseTimeRangeToHours(range);
+// Highest rx, tx and combined rate of each server in a window and when it
+// happened: callback(err, Map of server_name to { rx, tx, total }, each
+// { rate, time }). The per-timestamp rates are read once and all three
+// peaks found in one pass over them. At a rollup resolution the time is the
+// start of the bucket, and the peaks are upper bounds: they add up maxima
+// that may fall at different moments of it.
+function queryPeaks(source, window, filter, callback) {
+  const rates = perTimeRates(source, window, filter);
+  db.query(rates.query, rates.params, (err, results) => {
+    if (err) return callback(err);
+    const peaks = new Map();
+    results.forEach(row => {
+      if (!peaks.has(row.server_name)) peaks.set(row.server_name, {});
+      const peak = peaks.get(row.server_name);
+      const rx = Number(row.rx) || 0;
+      const tx = Number(row.tx) || 0;
+      [['rx', rx], ['tx', tx], ['total', rx + tx]].forEach(([metric, rate]) => {
+        // Of equal peaks, the earliest
+        const current = peak[metric];
+        if (!current || rate > current.rate || (rate === current.rate && row.time < current.time)) {
+          peak[metric] = { rate, time: row.time };
+        }
+      });
+    });
+    callback(null, peaks);
+  });
+}
+
+// GET endpoint to fetch data per server with time range support. Each
+// server also has its peak rates over the window (see queryPeaks).
+app.get('/api/servers', validateRequest, (req, res) => {
+  const { window, error } = parseTimeWindow(req.query, '24h');
+  if (error) return res.status(400).json(invalidWindowResponse(error));
+  const filter = interfaceFilter(req);
+  const source = resolveSampleSource(req, window);
+  if (!source) return res.status(400).json(invalidResolutionResponse);
+  const readWindow = rolledUpWindow(source, window);
+  const time = windowClause(source.time, readWindow);
   
   const query = `
     SELECT 
       server_name, 
-      MAX(timestamp) as latest_time,
-      AVG(rx_rate) as rx_rate,
-      AVG(tx_rate) as tx_rate,
-      COUNT(*) as data_points
-    FROM vnstat_data 
-    WHERE timestamp >= DATE_SUB(NOW(), INTERVAL ? HOUR)
-    GROUP BY server_name
-    ORDER BY server_name
+      interface,
+      ${source.latestTime} as latest_time,
+      ${source.latestReceivedAt} as latest_received_at,
+      ${source.avg('rx')} as rx_rate,
+      ${source.avg('tx')} as tx_rate,
+      ${source.avg('rx_pps')} as rx_pps,
+      ${source.avg('tx_pps')} as tx_pps,
+      ${source.count} as data_points
+    FROM ${source.table} 
+    WHERE ${time.clause}
+    ${filter.clause}
+    GROUP BY server_name, interface
+    ORDER BY server_name, interface
   `;
   
-  db.query(query, [hoursBack], (err, results) => {
+  db.query(query, [...time.params, ...filter.params], (err, results) => {
     if (err) {
       console.error('Database query error:', err);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: 'Failed to fetch server data'
-      });
+      return sendDatabaseError(res, err, 'Failed to fetch server data');
     }
-    res.json(results);
+    queryPeaks(source, readWindow, filter, (err, peaks) => {
+      if (err) {
+        console.error('Database query error:', err);
+        return sendDatabaseError(res, err, 'Failed to fetch server data');
+      }
+      res.set('X-Resolution', source.resolution);
+      res.json(groupInterfaceRows(results).map(server => ({
+        ...withClockSkew(server),
+        peak: peaks.get(server.server_name) || null
+      })));
+    });
   });
 });
 
 // GET endpoint to fetch aggregated throughput with time range support
-app.get('/api/aggregate', (req, res) => {
-  const range = req.query.range || '24h'; // Default to 24 hours
-  const hoursBack = parseTimeRangeToHours(range);
+app.get('/api/aggregate', validateRequest, (req, res) => {
+  const { window, error } = parseTimeWindow(req.query, '24h');
+  if (error) return res.status(400).json(invalidWindowResponse(error));
+  const filter = interfaceFilter(req);
+  const source = resolveSampleSource(req, window);
+  if (!source) return res.status(400).json(invalidResolutionResponse);
+  const time = windowClause(source.time, rolledUpWindow(source, window));
   
   const query = `
     SELECT 
       SUM(avg_rx) as total_rx, 
       SUM(avg_tx) as total_tx,
+      SUM(avg_rx_pps) as total_rx_pps,
+      SUM(avg_tx_pps) as total_tx_pps,
       COUNT(DISTINCT server_name) as server_count,
       MIN(earliest_time) as time_range_start,
       MAX(latest_time) as time_range_end
     FROM (
       SELECT 
         server_name,
-        AVG(rx_rate) as avg_rx,
-        AVG(tx_rate) as avg_tx,
-        MIN(timestamp) as earliest_time,
-        MAX(timestamp) as latest_time
-      FROM vnstat_data
-      WHERE timestamp >= DATE_SUB(NOW(), INTERVAL ? HOUR)
-      GROUP BY server_name
+        interface,
+        ${source.avg('rx')} as avg_rx,
+        ${source.avg('tx')} as avg_tx,
+        ${source.avg('rx_pps')} as avg_rx_pps,
+        ${source.avg('tx_pps')} as avg_tx_pps,
+        ${source.earliestTime} as earliest_time,
+        ${source.latestTime} as latest_time
+      FROM ${source.table}
+      WHERE ${time.clause}
+      ${filter.clause}
+      GROUP BY server_name, interface
     ) as server_averages
   `;
   
-  db.query(query, [hoursBack], (err, results) => {
+  db.query(query, [...time.params, ...filter.params], (err, results) => {
     if (err) {
       console.error('Database query error:', err);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: 'Failed to fetch aggregate data'
+      return sendDatabaseError(res, err, 'Failed to fetch aggregate data');
+    }
+    res.json({ ...results[0], resolution: source.resolution });
+  });
+});
+
+// Parse ?compare= for the history and series routes: how far back the
+// period to compare with lies, as a duration such as 1d or 1w. Returns
+// { compare } (null without the parameter) or { error }.
+function parseCompare(query) {
+  if (query.compare === undefined) return { compare: null };
+  const offsetMs = parseDuration(query.compare);
+  if (offsetMs === null) return { error: { field: 'compare', message: `compare must be ${RANGE_FORMAT}` } };
+  return { compare: { offset: String(query.compare).trim(), offsetMs } };
+}
+
+// The same window offsetMs earlier. An open window ends at now, shifted.
+function shiftWindow(window, offsetMs) {
+  const to = window.to ? window.to.getTime() : Date.now();
+  return {
+    ...window,
+    from: new Date(window.from.getTime() - offsetMs),
+    to: new Date(to - offsetMs),
+    hoursBack: window.hoursBack + offsetMs / 3600000
+  };
+}
+
+// Move rows from the compared period forward onto the current one, so both
+// can be drawn on the same time axis. original_timestamp keeps the real time.
+const shiftForward = (rows, offsetMs) => rows.map(row => ({
+  ...row,
+  timestamp: new Date(new Date(row.timestamp).getTime() + offsetMs),
+  original_timestamp: row.timestamp
+}));
+
+// Rows per history page: ?limit=, at most MAX_HISTORY_LIMIT
+const DEFAULT_HISTORY_LIMIT = 50; // Limit data points for chart performance
+const MAX_HISTORY_LIMIT = 10000;
+
+// Parse ?cursor= for the history route. Returns { cursor } (null without the
+// parameter) or { error }.
+function parseHistoryCursor(query) {
+  if (query.cursor === undefined) return { cursor: null };
+  const cursor = decodeCursor(query.cursor);
+  if (!cursor || !RESOLUTIONS.includes(cursor.resolution)) {
+    return { error: { field: 'cursor', message: 'cursor must be a value from an X-Next-Cursor header' } };
+  }
+  if (query.compare !== undefined) {
+    return { error: { field: 'cursor', message: 'cursor can\'t be combined with compare' } };
+  }
+  return { cursor };
+}
+
+// GET endpoint to fetch historical data for a specific server.
+// Rows carry their interface so clients can sum interfaces per time bucket.
+// Rollup rows (see the X-Resolution header) are bucket averages and also
+// carry the bucket's min/max rates and sample count. With ?compare= the
+// response becomes { rows, compare: { ..., rows } } with the compared rows
+// shifted forward by the offset.
+//
+// Each response holds the newest ?limit= rows of the window. When there are
+// older ones, the X-Next-Cursor header holds a cursor; passing it back as
+// ?cursor= returns the rows before them, at the same resolution.
+app.get('/api/servers/:serverName/history', validateRequest, (req, res) => {
+  const { serverName } = req.params;
+  const { window, error } = parseTimeWindow(req.query, '1h'); // Default to 1 hour for chart
+  if (error) return res.status(400).json(invalidWindowResponse(error));
+  const { compare, error: compareError } = parseCompare(req.query);
+  if (compareError) return res.status(400).json(invalidWindowResponse(compareError));
+  const { cursor, error: cursorError } = parseHistoryCursor(req.query);
+  if (cursorError) return res.status(400).json(invalidWindowResponse(cursorError));
+  const limit = req.query.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(req.query.limit);
+  const filter = interfaceFilter(req);
+  // Later pages stay at the resolution of the first one
+  const source = cursor ? sampleSource(cursor.resolution) : resolveSampleSource(req, window, [serverName]);
+  if (!source) return res.status(400).json(invalidResolutionResponse);
+  const compareWindow = compare ? shiftWindow(window, compare.offsetMs) : null;
+  const compareSource = compare ? resolveSampleSource(req, compareWindow, [serverName]) : null;
+
+  // callback(err, rows, nextCursor); rows in chronological order
+  const fetchRows = (rowWindow, rowSource, rowCursor, callback) => {
+    const time = windowClause(rowSource.time, rowWindow);
+    const keyset = keysetClause(rowSource.time, rowSource.cursorKey, rowCursor, 'desc');
+    const query = `
+      SELECT 
+        ${rowSource.time} as timestamp,
+        interface,
+        ${rowSource.rowColumns}
+      FROM ${rowSource.table} 
+      WHERE server_name = ? 
+      AND ${time.clause}
+      ${filter.clause}
+      ${keyset.clause}
+      ORDER BY ${rowSource.time} DESC, ${rowSource.cursorKey} DESC
+      LIMIT ?
+    `;
+    // One row more than asked for tells whether there is another page
+    db.query(query, [serverName, ...time.params, ...filter.params, ...keyset.params, limit + 1], (err, results) => {
+      if (err) return callback(err);
+      const rows = results.slice(0, limit);
+      const last = rows[rows.length - 1];
+      const nextCursor = results.length > limit
+        ? encodeCursor(rowSource.resolution, last.timestamp, last[rowSource.cursorKey])
+        : null;
+      // Reverse to get chronological order for chart
+      callback(null, rows.reverse(), nextCursor);
+    });
+  };
+
+  const resolutions = [source.resolution, compareSource && compareSource.resolution];
+  freshRollups(resolutions, [serverName], () => fetchRows(window, source, cursor, (err, rows, nextCursor) => {
+    if (err) {
+      console.error('Database query error:', err);
+      return sendDatabaseError(res, err, 'Failed to fetch server history');
+    }
+    res.set('X-Resolution', source.resolution);
+    if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+    if (!compare) return res.json(rows);
+
+    fetchRows(compareWindow, compareSource, null, (err, compareRows) => {
+      if (err) {
+        console.error('Database query error:', err);
+        return sendDatabaseError(res, err, 'Failed to fetch server history');
+      }
+      res.json({
+        resolution: source.resolution,
+        rows,
+        compare: {
+          offset: compare.offset,
+          offset_seconds: compare.offsetMs / 1000,
+          from: compareWindow.from,
+          to: compareWindow.to,
+          resolution: compareSource.resolution,
+          rows: shiftForward(compareRows, compare.offsetMs)
+        }
+      });
+    });
+  }));
+});
+
+// Rows read per query while exporting
+const EXPORT_PAGE_SIZE = 5000;
+
+// Value of a CSV field: dates as ISO 8601, null as empty, and text with
+// separators or quotes quoted
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export formats: content type, an optional first line and one line per row
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: (columns) => `${columns.join(',')}\n`,
+    line: (row, columns) => `${columns.map(column => csvField(row[column])).join(',')}\n`
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    header: () => '',
+    line: (row, columns) => `${JSON.stringify(row, columns)}\n`
+  }
+};
+
+// GET endpoint to download every row of a server's history in a window, as
+// CSV or NDJSON (?format=, default csv). Rows are read a page at a time and
+// written as they come, waiting whenever the client falls behind, so the
+// export is never held in memory as a whole.
+app.get('/api/servers/:serverName/export', validateRequest, (req, res) => {
+  const { serverName } = req.params;
+  const { window, error } = parseTimeWindow(req.query, '24h');
+  if (error) return res.status(400).json(invalidWindowResponse(error));
+  const formatName = req.query.format === undefined ? 'csv' : req.query.format.trim();
+  const format = EXPORT_FORMATS[formatName];
+  const filter = interfaceFilter(req);
+  const source = resolveSampleSource(req, window, [serverName]);
+  if (!source) return res.status(400).json(invalidResolutionResponse);
+  const columns = ['timestamp', 'interface', ...source.rowFields];
+  const time = windowClause(source.time, window);
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const writePage = (cursor) => {
+    const keyset = keysetClause(source.time, source.cursorKey, cursor, 'asc');
+    const query = `
+      SELECT 
+        ${source.time} as timestamp,
+        interface,
+        ${source.rowColumns}
+      FROM ${source.table} 
+      WHERE server_name = ? 
+      AND ${time.clause}
+      ${filter.clause}
+      ${keyset.clause}
+      ORDER BY ${source.time} ASC, ${source.cursorKey} ASC
+      LIMIT ?
+    `;
+    db.query(query, [serverName, ...time.params, ...filter.params, ...keyset.params, EXPORT_PAGE_SIZE], (err, rows) => {
+      if (closed) return;
+      if (err) {
+        console.error('Database query error:', err);
+        if (!res.headersSent) return sendDatabaseError(res, err, 'Failed to export server history');
+        // The status is long gone; cutting the connection tells the client
+        // the download is incomplete
+        return res.destroy(err);
+      }
+      if (!res.headersSent) {
+        res.set({
+          'Content-Type': format.contentType,
+          'Content-Disposition': `attachment; filename="${serverName.replace(/[^\w.-]/g, '_')}-${source.resolution}.${formatName}"`,
+          'X-Resolution': source.resolution
+        });
+        res.write(format.header(columns));
+      }
+      const text = rows.map(row => format.line(row, columns)).join('');
+      if (rows.length < EXPORT_PAGE_SIZE) return res.end(text);
+
+      const last = rows[rows.length - 1];
+      const next = () => writePage({ time: last.timestamp, key: last[source.cursorKey] });
+      if (res.write(text)) next();
+      else res.once('drain', next);
+    });
+  };
+
+  freshRollups([source.resolution], [serverName], () => writePage(null));
+});
+
+// Fixed-width buckets for the series route. Without ?step= the step is the
+// smallest of these that keeps the series at DEFAULT_SERIES_BUCKETS or fewer.
+const SERIES_STEPS = [10, 30, 60, 300, 600, 900, 1800, 3600, 3 * 3600, 6 * 3600, 12 * 3600, 86400];
+const DEFAULT_SERIES_BUCKETS = 60;
+const MAX_SERIES_BUCKETS = 2000;
+
+// Output columns for each rate summarised per bucket
+const SERIES_METRICS = [
+  { metric: 'rx', avg: 'rx_rate', min: 'rx_min', max: 'rx_max' },
+  { metric: 'tx', avg: 'tx_rate', min: 'tx_min', max: 'tx_max' },
+  { metric: 'rx_pps', avg: 'rx_pps', min: 'rx_pps_min', max: 'rx_pps_max' },
+  { metric: 'tx_pps', avg: 'tx_pps', min: 'tx_pps_min', max: 'tx_pps_max' }
+];
+const SERIES_COLUMNS = SERIES_METRICS.flatMap(m => [m.avg, m.min, m.max]);
+
+// Parse the window (?range=, ?from=, ?to=; default: the last hour) and
+// ?step= (seconds, or a duration such as 5m) for reading serverNames (null
+// for every server). Returns { window } or { error }.
+function parseSeriesWindow(query, serverNames) {
+  const parsed = parseTimeWindow(query, '1h');
+  if (parsed.error) return parsed;
+  // Whole seconds, as stored. Series always have an end, so that every
+  // bucket has the same width.
+  const toMs = Math.ceil((parsed.window.to || new Date()).getTime() / 1000) * 1000;
+  const fromMs = parsed.window.range === null
+    ? Math.floor(parsed.window.from.getTime() / 1000) * 1000
+    : toMs - parseDuration(parsed.window.range);
+  if (fromMs >= toMs) return { error: { field: 'from', message: 'from must be before to' } };
+  const spanSeconds = (toMs - fromMs) / 1000;
+
+  let step;
+  if (query.step === undefined) {
+    step = SERIES_STEPS.find(s => spanSeconds / s <= DEFAULT_SERIES_BUCKETS) || Math.ceil(spanSeconds / DEFAULT_SERIES_BUCKETS);
+  } else {
+    const text = String(query.step).trim();
+    step = /^\d+$/.test(text) ? Number(text) : Math.round((parseDuration(text) || 0) / 1000);
+    if (!step) return { error: { field: 'step', message: `step must be a whole number of seconds or ${RANGE_FORMAT}` } };
+  }
+  const buckets = Math.ceil(spanSeconds / step);
+  if (buckets > MAX_SERIES_BUCKETS) {
+    return { error: { field: 'step', message: `step is too small for this range: ${buckets} buckets, at most ${MAX_SERIES_BUCKETS}` } };
+  }
+  return seriesWindow(fromMs, toMs, step, serverNames);
+}
+
+// Series window of step-second buckets from fromMs to toMs, read at the
+// resolution rollups.pickSeriesResolution() picks for serverNames and
+// widened to its bucket boundaries. Returns { window } or { error }.
+function seriesWindow(fromMs, toMs, step, serverNames) {
+  const picked = rollups.pickSeriesResolution(fromMs, toMs, step * 1000, serverNames);
+  if (picked.error) return picked;
+  const buckets = Math.ceil((picked.toMs - picked.fromMs) / (step * 1000));
+  return { window: { fromMs: picked.fromMs, toMs: picked.toMs, step, buckets, resolution: picked.resolution } };
+}
+
+const nullableNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Combine per-interface bucket rows into one series with an entry for every
+// bucket, empty ones included. Interfaces are added together: averages
+// exactly, min and max as the sums of each interface's min and max. samples
+// is the best-covered interface's count, as in /api/servers.
+function buildSeries(rows, window) {
+  const series = [];
+  for (let i = 0; i < window.buckets; i++) {
+    const bucket = { timestamp: new Date(window.fromMs + i * window.step * 1000), samples: 0 };
+    SERIES_COLUMNS.forEach(column => { bucket[column] = null; });
+    series.push(bucket);
+  }
+  rows.forEach(row => {
+    const bucket = series[Number(row.bucket)];
+    if (!bucket) return;
+    bucket.samples = Math.max(bucket.samples, Number(row.samples) || 0);
+    SERIES_COLUMNS.forEach(column => {
+      const value = nullableNumber(row[column]);
+      if (value !== null) bucket[column] = (bucket[column] || 0) + value;
+    });
+  });
+  return series;
+}
+
+// Per-server, per-interface bucket rows over a series window for the given
+// servers (every server for null), with the resolution they were read at:
+// callback(err, { resolution, rows }). Reading every server, buckets past
+// where the rollups may trail the samples are left empty (see rolledUpUntil).
+function querySeriesRows(serverNames, window, filter, callback) {
+  const source = sampleSource(window.resolution);
+  const untilMs = serverNames ? window.toMs : rolledUpUntil(source, window.toMs);
+  const serverClause = serverNames ? `AND server_name IN (${serverNames.map(() => '?').join(', ')})` : '';
+  const query = `
+    SELECT
+      ${db.sql.bucketIndex(source.time, window.step)} as bucket,
+      server_name,
+      interface,
+      ${source.count} as samples,
+      ${SERIES_METRICS.map(m => `${source.avg(m.metric)} as ${m.avg}, ${source.min(m.metric)} as ${m.min}, ${source.max(m.metric)} as ${m.max}`).join(',\n      ')}
+    FROM ${source.table}
+    WHERE ${source.time} >= ? AND ${source.time} < ?
+    ${serverClause}
+    ${filter.clause}
+    GROUP BY bucket, server_name, interface
+  `;
+  const from = new Date(window.fromMs);
+  db.query(query, [from, from, new Date(untilMs), ...(serverNames || []), ...filter.params], (err, results) => {
+    if (err) return callback(err);
+    callback(null, { resolution: source.resolution, rows: results });
+  });
+}
+
+// Bucketed series for one server over a series window, with the resolution
+// it was read at: callback(err, { resolution, buckets })
+function fetchSeries(serverName, window, filter, callback) {
+  querySeriesRows([serverName], window, filter, (err, result) => {
+    if (err) return callback(err);
+    callback(null, { resolution: result.resolution, buckets: buildSeries(result.rows, window) });
+  });
+}
+
+// Fleet series: one series per server plus their sum, whose buckets also
+// count the servers that had samples in them
+function buildFleetSeries(rows, window) {
+  const byServer = new Map();
+  rows.forEach(row => {
+    if (!byServer.has(row.server_name)) byServer.set(row.server_name, []);
+    byServer.get(row.server_name).push(row);
+  });
+  const servers = Array.from(byServer.keys()).sort().map(serverName => ({
+    server_name: serverName,
+    buckets: buildSeries(byServer.get(serverName), window)
+  }));
+  const total = buildSeries(rows, window).map((bucket, index) => ({
+    ...bucket,
+    server_count: servers.filter(server => server.buckets[index].samples > 0).length
+  }));
+  return { servers, total };
+}
+
+// GET endpoint for a server's rates in fixed-width time buckets, with the
+// average, minimum, maximum and sample count of each bucket computed in SQL.
+// With ?compare= the response also has a compare object holding the same
+// buckets for the earlier period, shifted forward to line up with these.
+app.get('/api/servers/:serverName/series', validateRequest, (req, res) => {
+  const { serverName } = req.params;
+  const { window, error } = parseSeriesWindow(req.query, [serverName]);
+  if (error) return res.status(400).json(invalidWindowResponse(error));
+  const { compare, error: compareError } = parseCompare(req.query);
+  if (compareError) return res.status(400).json(invalidWindowResponse(compareError));
+  const { window: compareWindow, error: compareWindowError } = compare
+    ? seriesWindow(window.fromMs - compare.offsetMs, window.toMs - compare.offsetMs, window.step, [serverName])
+    : {};
+  if (compareWindowError) return res.status(400).json(invalidWindowResponse(compareWindowError));
+  const filter = interfaceFilter(req);
+
+  const resolutions = [window.resolution, compareWindow && compareWindow.resolution];
+  freshRollups(resolutions, [serverName], () => fetchSeries(serverName, window, filter, (err, series) => {
+    if (err) {
+      console.error('Database query error:', err);
+      return sendDatabaseError(res, err, 'Failed to fetch server series');
+    }
+    const body = {
+      server_name: serverName,
+      interface: req.query.interface || null,
+      from: new Date(window.fromMs),
+      to: new Date(window.toMs),
+      step: window.step,
+      resolution: series.resolution,
+      buckets: series.buckets
+    };
+    res.set('X-Resolution', series.resolution);
+    if (!compare) return res.json(body);
+
+    fetchSeries(serverName, compareWindow, filter, (err, compareSeries) => {
+      if (err) {
+        console.error('Database query error:', err);
+        return sendDatabaseError(res, err, 'Failed to fetch server series');
+      }
+      res.json({
+        ...body,
+        compare: {
+          offset: compare.offset,
+          offset_seconds: compare.offsetMs / 1000,
+          from: new Date(compareWindow.fromMs),
+          to: new Date(compareWindow.toMs),
+          resolution: compareSeries.resolution,
+          buckets: shiftForward(compareSeries.buckets, compare.offsetMs)
+        }
       });
+    });
+  }));
+});
+
+// Most servers /api/series and /api/availability take in ?servers=
+const MAX_SERIES_SERVERS = 200;
+
+// Parse ?servers= (comma-separated names) for /api/series and
+// /api/availability. Returns
+// { serverNames } (null for every server) or { error }.
+function parseServerList(query) {
+  if (query.servers === undefined) return { serverNames: null };
+  const serverNames = Array.from(new Set(String(query.servers).split(',').map(name => name.trim()).filter(Boolean)));
+  if (serverNames.length === 0 || serverNames.length > MAX_SERIES_SERVERS) {
+    return { error: { field: 'servers', message: `servers must list 1 to ${MAX_SERIES_SERVERS} comma-separated server names` } };
+  }
+  const invalid = serverNames.find(name => !SERVER_NAME_PATTERN.test(name));
+  if (invalid) return { error: { field: 'servers', message: `Invalid server name: ${invalid}` } };
+  return { serverNames };
+}
+
+// GET endpoint for many servers' rates in fixed-width buckets in one
+// request: a series per server (every server with samples in the window
+// unless ?servers= is given) and their sum. With ?compare= the response also
+// has the summed series for the earlier period.
+app.get('/api/series', validateRequest, (req, res) => {
+  const { serverNames, error: serversError } = parseServerList(req.query);
+  if (serversError) return res.status(400).json(invalidWindowResponse(serversError));
+  const { window, error } = parseSeriesWindow(req.query, serverNames);
+  if (error) return res.status(400).json(invalidWindowResponse(error));
+  const { compare, error: compareError } = parseCompare(req.query);
+  if (compareError) return res.status(400).json(invalidWindowResponse(compareError));
+  const { window: compareWindow, error: compareWindowError } = compare
+    ? seriesWindow(window.fromMs - compare.offsetMs, window.toMs - compare.offsetMs, window.step, serverNames)
+    : {};
+  if (compareWindowError) return res.status(400).json(invalidWindowResponse(compareWindowError));
+  const filter = interfaceFilter(req);
+
+  const resolutions = [window.resolution, compareWindow && compareWindow.resolution];
+  freshRollups(resolutions, serverNames, () => querySeriesRows(serverNames, window, filter, (err, result) => {
+    if (err) {
+      console.error('Database query error:', err);
+      return sendDatabaseError(res, err, 'Failed to fetch fleet series');
     }
-    res.json(results[0]);
+    const body = {
+      interface: req.query.interface || null,
+      from: new Date(window.fromMs),
+      to: new Date(window.toMs),
+      step: window.step,
+      resolution: result.resolution,
+      ...buildFleetSeries(result.rows, window)
+    };
+    res.set('X-Resolution', result.resolution);
+    if (!compare) return res.json(body);
+
+    querySeriesRows(serverNames, compareWindow, filter, (err, compareResult) => {
+      if (err) {
+        console.error('Database query error:', err);
+        return sendDatabaseError(res, err, 'Failed to fetch fleet series');
+      }
+      res.json({
+        ...body,
+        compare: {
+          offset: compare.offset,
+          offset_seconds: compare.offsetMs / 1000,
+          from: new Date(compareWindow.fromMs),
+          to: new Date(compareWindow.toMs),
+          resolution: compareResult.resolution,
+          total: shiftForward(buildFleetSeries(compareResult.rows, compareWindow).total, compare.offsetMs)
+        }
+      });
+    });
+  }));
+});
+
+// Default look-back for each traffic period, in the spirit of vnstat -h/-d/-m
+const TRAFFIC_DEFAULT_RANGES = { hour: '24h', day: '30d', month: '1y' };
+
+// Parse ?period= and the window for the traffic routes. Returns { traffic }
+// or { error } as a 400 body; the period was checked against TRAFFIC_PERIODS
+// by validateRequest. The cutoff is moved back to the start of its
+// period so the oldest bucket is never cut in half; until is null unless
+// ?to= was given.
+function parseTrafficQuery(req) {
+  const period = req.query.period === undefined ? 'day' : req.query.period.trim();
+  const { window, error } = parseTimeWindow(req.query, TRAFFIC_DEFAULT_RANGES[period]);
+  if (error) return { error: invalidWindowResponse(error) };
+  const since = periodStart(window.from.getTime(), period);
+  const time = windowClause('period_start', { from: since, to: window.to });
+  return { traffic: { period, range: window.range, since, until: window.to, time } };
+}
+
+// Convert summed byte columns (DECIMAL, returned as strings) to numbers
+function trafficRow(row) {
+  const rx = Number(row.rx_bytes) || 0;
+  const tx = Number(row.tx_bytes) || 0;
+  return { ...row, rx_bytes: rx, tx_bytes: tx, total_bytes: rx + tx };
+}
+
+// GET endpoint for fleet-wide transferred volume per hour, day or month
+app.get('/api/traffic', validateRequest, (req, res) => {
+  const { traffic, error } = parseTrafficQuery(req);
+  if (error) return res.status(400).json(error);
+  const filter = interfaceFilter(req);
+  const params = [traffic.period, ...traffic.time.params, ...filter.params];
+
+  const totalsQuery = `
+    SELECT 
+      period_start,
+      SUM(rx_bytes) as rx_bytes,
+      SUM(tx_bytes) as tx_bytes,
+      COUNT(DISTINCT server_name) as server_count
+    FROM traffic_totals
+    WHERE period = ? AND ${traffic.time.clause}
+    ${filter.clause}
+    GROUP BY period_start
+    ORDER BY period_start
+  `;
+  const serversQuery = `
+    SELECT 
+      server_name,
+      SUM(rx_bytes) as rx_bytes,
+      SUM(tx_bytes) as tx_bytes
+    FROM traffic_totals
+    WHERE period = ? AND ${traffic.time.clause}
+    ${filter.clause}
+    GROUP BY server_name
+    ORDER BY server_name
+  `;
+
+  db.query(totalsQuery, params, (err, totals) => {
+    if (err) {
+      console.error('Database query error:', err);
+      return sendDatabaseError(res, err, 'Failed to fetch traffic totals');
+    }
+    db.query(serversQuery, params, (err, servers) => {
+      if (err) {
+        console.error('Database query error:', err);
+        return sendDatabaseError(res, err, 'Failed to fetch traffic totals');
+      }
+      const serverTotals = servers.map(trafficRow);
+      res.json({
+        period: traffic.period,
+        range: traffic.range,
+        since: traffic.since,
+        until: traffic.until,
+        rx_bytes: serverTotals.reduce((sum, row) => sum + row.rx_bytes, 0),
+        tx_bytes: serverTotals.reduce((sum, row) => sum + row.tx_bytes, 0),
+        totals: totals.map(trafficRow),
+        servers: serverTotals
+      });
+    });
   });
 });
 
-// GET endpoint to fetch historical data for a specific server
-app.get('/api/servers/:serverName/history', (req, res) => {
+// GET endpoint for one server's transferred volume per hour, day or month
+app.get('/api/servers/:serverName/traffic', validateRequest, (req, res) => {
   const { serverName } = req.params;
-  const range = req.query.range || '1h'; // Default to 1 hour for chart
-  const hoursBack = parseTimeRangeToHours(range);
-  const limit = parseInt(req.query.limit) || 50; // Limit data points for chart performance
-  
+  const { traffic, error } = parseTrafficQuery(req);
+  if (error) return res.status(400).json(error);
+  const filter = interfaceFilter(req);
+
   const query = `
     SELECT 
-      timestamp,
-      rx_rate,
-      tx_rate
-    FROM vnstat_data 
-    WHERE server_name = ? 
-    AND timestamp >= DATE_SUB(NOW(), INTERVAL ? HOUR)
-    ORDER BY timestamp DESC
-    LIMIT ?
+      period_start,
+      SUM(rx_bytes) as rx_bytes,
+      SUM(tx_bytes) as tx_bytes
+    FROM traffic_totals
+    WHERE server_name = ? AND period = ? AND ${traffic.time.clause}
+    ${filter.clause}
+    GROUP BY period_start
+    ORDER BY period_start
   `;
-  
-  db.query(query, [serverName, hoursBack, limit], (err, results) => {
+
+  db.query(query, [serverName, traffic.period, ...traffic.time.params, ...filter.params], (err, results) => {
     if (err) {
       console.error('Database query error:', err);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: 'Failed to fetch server history'
+      return sendDatabaseError(res, err, 'Failed to fetch server traffic');
+    }
+    const totals = results.map(trafficRow);
+    res.json({
+      server_name: serverName,
+      period: traffic.period,
+      range: traffic.range,
+      since: traffic.since,
+      until: traffic.until,
+      rx_bytes: totals.reduce((sum, row) => sum + row.rx_bytes, 0),
+      tx_bytes: totals.reduce((sum, row) => sum + row.tx_bytes, 0),
+      totals
+    });
+  });
+});
+
+// Billing period for /api/billing: ?month=YYYY-MM, a window (?range=,
+// ?from=, ?to=) or by default the current month. Returns { period } or
+// { error } as a 400 body.
+function parseBillingPeriod(query) {
+  const hasWindow = query.range !== undefined || query.from !== undefined || query.to !== undefined;
+  if (query.month !== undefined && hasWindow) {
+    return { error: { error: 'Bad Request', message: 'Use either month or range/from/to, not both', field: 'month' } };
+  }
+  if (!hasWindow) {
+    const month = query.month === undefined ? monthOf(new Date()) : String(query.month).trim();
+    const bounds = monthWindow(month);
+    if (!bounds) return { error: { error: 'Bad Request', message: 'month must be given as YYYY-MM', field: 'month' } };
+    return { period: { month, from: bounds.from, to: bounds.to } };
+  }
+  const { window, error } = parseTimeWindow(query, '30d');
+  if (error) return { error: invalidWindowResponse(error) };
+  // Widened to whole intervals, which providers start on the clock's 5 minutes
+  const intervalMs = BILLING_INTERVAL_SECONDS * 1000;
+  const from = Math.floor(window.from.getTime() / intervalMs) * intervalMs;
+  const to = Math.ceil((window.to || new Date()).getTime() / intervalMs) * intervalMs;
+  return { period: { month: null, from: new Date(from), to: new Date(to) } };
+}
+
+// GET endpoint for burstable billing: average, 95th and 99th percentile and
+// maximum of the 5-minute average rates, per server and for the fleet
+app.get('/api/billing', validateRequest, (req, res) => {
+  const { period, error } = parseBillingPeriod(req.query);
+  if (error) return res.status(400).json(error);
+  const filter = interfaceFilter(req);
+  const intervalMs = BILLING_INTERVAL_SECONDS * 1000;
+  // The period is already on 5-minute boundaries, which every resolution
+  // fine enough for 5-minute intervals shares
+  const picked = rollups.pickSeriesResolution(period.from.getTime(), period.to.getTime(), intervalMs);
+  if (picked.error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Rates at 5-minute resolution are no longer kept for this period',
+      field: req.query.month !== undefined ? 'month' : 'from'
+    });
+  }
+  const source = sampleSource(picked.resolution);
+
+  const query = `
+    SELECT
+      server_name,
+      interface,
+      ${db.sql.bucketIndex(source.time, BILLING_INTERVAL_SECONDS)} as bucket,
+      ${source.avg('rx')} as rx_rate,
+      ${source.avg('tx')} as tx_rate
+    FROM ${source.table}
+    WHERE ${source.time} >= ? AND ${source.time} < ?
+    ${filter.clause}
+    GROUP BY server_name, interface, bucket
+  `;
+
+  const until = new Date(rolledUpUntil(source, period.to.getTime()));
+  db.query(query, [period.from, period.from, until, ...filter.params], (err, results) => {
+    if (err) {
+      console.error('Database query error:', err);
+      return sendDatabaseError(res, err, 'Failed to compute billing report');
+    }
+    // Intervals so far, for judging coverage of a period still in progress
+    const elapsedMs = Math.min(period.to.getTime(), Date.now()) - period.from.getTime();
+    res.set('X-Resolution', source.resolution);
+    res.json({
+      month: period.month,
+      from: period.from,
+      to: period.to,
+      interface: req.query.interface || null,
+      interval_seconds: BILLING_INTERVAL_SECONDS,
+      expected_intervals: Math.max(Math.ceil(elapsedMs / intervalMs), 0),
+      resolution: source.resolution,
+      ...buildBillingReport(results)
+    });
+  });
+});
+
+// Measures /api/top can rank servers by: average or peak rate over the
+// window (KiB/s), or bytes transferred according to the hourly traffic totals
+const TOP_METRICS = ['rx', 'tx', 'total'];
+const TOP_MEASURES = ['avg', 'peak', 'volume'];
+const DEFAULT_TOP_COUNT = 10;
+const MAX_TOP_COUNT = 100;
+
+// Parse ?metric=, ?by=, ?n= and the window for /api/top. Returns { top } or
+// { error } as a 400 body; validateRequest has checked metric, by and n
+// against TOP_METRICS, TOP_MEASURES and MAX_TOP_COUNT.
+function parseTopQuery(query) {
+  const metric = query.metric === undefined ? 'total' : query.metric.trim();
+  const by = query.by === undefined ? 'avg' : query.by.trim();
+  const n = query.n === undefined ? DEFAULT_TOP_COUNT : Number(query.n);
+  const { window, error } = parseTimeWindow(query, '24h');
+  if (error) return { error: invalidWindowResponse(error) };
+  return { top: { metric, by, n, window } };
+}
+
+// Per-server rx, tx and total for one measure, adding together the rows of
+// a server's interfaces
+function topServerValues(rows) {
+  const servers = new Map();
+  rows.forEach(row => {
+    const server = servers.get(row.server_name) || { server_name: row.server_name, rx: 0, tx: 0, total: 0 };
+    server.rx += Number(row.rx) || 0;
+    server.tx += Number(row.tx) || 0;
+    server.total += Number(row.total) || 0;
+    servers.set(row.server_name, server);
+  });
+  return Array.from(servers.values());
+}
+
+// GET endpoint ranking the servers that move the most traffic, with each
+// one's share of the fleet-wide sum of the same measure
+app.get('/api/top', validateRequest, (req, res) => {
+  const { top, error } = parseTopQuery(req.query);
+  if (error) return res.status(400).json(error);
+  const filter = interfaceFilter(req);
+  const source = top.by === 'volume' ? null : resolveSampleSource(req, top.window);
+  if (top.by !== 'volume' && !source) return res.status(400).json(invalidResolutionResponse);
+  const readWindow = source ? rolledUpWindow(source, top.window) : top.window;
+
+  let query;
+  let params;
+  if (source && top.by === 'peak') {
+    // The same peaks as /api/servers reports (see perTimeRates)
+    const rates = perTimeRates(source, readWindow, filter);
+    query = `
+      SELECT server_name, MAX(rx) as rx, MAX(tx) as tx, MAX(rx + tx) as total
+      FROM (${rates.query}) per_time
+      GROUP BY server_name
+    `;
+    params = rates.params;
+  } else if (source) {
+    const time = windowClause(source.time, readWindow);
+    query = `
+      SELECT server_name, interface,
+        ${source.avg('rx')} as rx, ${source.avg('tx')} as tx, ${source.avg('rx')} + ${source.avg('tx')} as total
+      FROM ${source.table}
+      WHERE ${time.clause}
+      ${filter.clause}
+      GROUP BY server_name, interface
+    `;
+    params = [...time.params, ...filter.params];
+  } else {
+    const time = windowClause('period_start', { from: periodStart(top.window.from.getTime(), 'hour'), to: top.window.to });
+    query = `
+      SELECT server_name, SUM(rx_bytes) as rx, SUM(tx_bytes) as tx, SUM(rx_bytes) + SUM(tx_bytes) as total
+      FROM traffic_totals
+      WHERE period = 'hour' AND ${time.clause}
+      ${filter.clause}
+      GROUP BY server_name
+    `;
+    params = [...time.params, ...filter.params];
+  }
+
+  db.query(query, params, (err, results) => {
+    if (err) {
+      console.error('Database query error:', err);
+      return sendDatabaseError(res, err, 'Failed to rank servers');
+    }
+    const servers = topServerValues(results);
+    const fleetTotal = servers.reduce((sum, server) => sum + server[top.metric], 0);
+    const ranked = servers
+      .sort((a, b) => b[top.metric] - a[top.metric] || a.server_name.localeCompare(b.server_name))
+      .slice(0, top.n)
+      .map((server, index) => ({
+        rank: index + 1,
+        ...server,
+        value: server[top.metric],
+        share: fleetTotal > 0 ? server[top.metric] / fleetTotal : null
+      }));
+    if (source) res.set('X-Resolution', source.resolution);
+    res.json({
+      metric: top.metric,
+      by: top.by,
+      unit: top.by === 'volume' ? 'bytes' : 'KiB/s',
+      range: top.window.range,
+      from: top.window.from,
+      to: top.window.to,
+      resolution: source ? source.resolution : null,
+      server_count: servers.length,
+      fleet_total: fleetTotal,
+      servers: ranked
+    });
+  });
+});
+
+// GET endpoint for each server's availability over a window: the share of
+// it covered by samples and the outages in between, measured against the
+// server's own reporting interval (lib/availability.js). Gaps shorter than
+// a bucket can't be seen at a rollup resolution.
+app.get('/api/availability', validateRequest, (req, res) => {
+  const { window, error } = parseTimeWindow(req.query, '24h');
+  if (error) return res.status(400).json(invalidWindowResponse(error));
+  const { serverNames, error: serversError } = parseServerList(req.query);
+  if (serversError) return res.status(400).json(invalidWindowResponse(serversError));
+  const filter = interfaceFilter(req);
+  const source = resolveSampleSource(req, window, serverNames);
+  if (!source) return res.status(400).json(invalidResolutionResponse);
+  // Servers named in ?servers= are rolled up before they are read; for
+  // every server the window ends where the rollups may trail the samples
+  const readWindow = serverNames ? window : rolledUpWindow(source, window);
+  const time = windowClause(source.time, readWindow);
+  const serverClause = serverNames ? `AND server_name IN (${serverNames.map(() => '?').join(', ')})` : '';
+  const fromMs = window.from.getTime();
+  const toMs = readWindow.to ? readWindow.to.getTime() : Date.now();
+
+  // One point per server and timestamp; for rollups with the most samples
+  // any interface had in the bucket
+  const query = `
+    SELECT
+      server_name,
+      ${source.time} as time,
+      ${source.resolution === 'raw' ? 'COUNT(*)' : 'MAX(samples)'} as samples
+    FROM ${source.table}
+    WHERE ${time.clause}
+    ${serverClause}
+    ${filter.clause}
+    GROUP BY server_name, ${source.time}
+    ORDER BY server_name, ${source.time}
+  `;
+
+  const params = [...time.params, ...(serverNames || []), ...filter.params];
+  freshRollups([source.resolution], serverNames, () => db.query(query, params, (err, results) => {
+    if (err) {
+      console.error('Database query error:', err);
+      return sendDatabaseError(res, err, 'Failed to fetch availability');
+    }
+    const points = new Map();
+    results.forEach(row => {
+      if (!points.has(row.server_name)) points.set(row.server_name, []);
+      points.get(row.server_name).push({ time: new Date(row.time).getTime(), samples: Number(row.samples) });
+    });
+
+    res.set('X-Resolution', source.resolution);
+    res.json({
+      from: window.from,
+      to: new Date(toMs),
+      resolution: source.resolution,
+      gap_tolerance: GAP_TOLERANCE,
+      servers: Array.from(points.keys()).sort().map(serverName => ({
+        server_name: serverName,
+        ...summarizeAvailability(points.get(serverName), fromMs, toMs, source.bucketMs, !window.to)
+      }))
+    });
+  }));
+});
+
+// Registry entry as returned by the admin routes (never includes the hash)
+const REGISTRY_COLUMNS = `
+  server_name, description, token_prefix, created_at, rotated_at, revoked_at, last_seen_at,
+  revoked_at IS NULL as active
+`;
+
+function registryRow(row) {
+  return { ...row, active: !!row.active };
+}
+
+// GET endpoint to list registered agents
+app.get('/api/admin/servers', validateRequest, (req, res) => {
+  db.query(`SELECT ${REGISTRY_COLUMNS} FROM servers ORDER BY server_name`, (err, results) => {
+    if (err) {
+      console.error('Database query error:', err);
+      return sendDatabaseError(res, err, 'Failed to fetch server registry');
+    }
+    res.json(results.map(registryRow));
+  });
+});
+
+// POST endpoint to register an agent. The token is only ever shown in this response.
+app.post('/api/admin/servers', validateRequest, (req, res) => {
+  const { server_name, description } = req.body;
+  const token = generateAgentToken();
+  const query = 'INSERT INTO servers (server_name, description, token_hash, token_prefix) VALUES (?, ?, ?, ?)';
+  db.query(query, [server_name, description || null, hashToken(token), token.slice(0, 12)], err => {
+    if (db.isDuplicateKeyError(err)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Server "${server_name}" is already registered; rotate its token instead`
+      });
+    }
+    if (err) {
+      console.error('Database insert error:', err);
+      return sendDatabaseError(res, err, 'Failed to register server');
+    }
+    res.status(201).json({ success: true, server_name, token });
+  });
+});
+
+// POST endpoint to issue a new token for an agent. The old token stops working
+// immediately and a revoked agent becomes active again.
+app.post('/api/admin/servers/:serverName/rotate', validateRequest, (req, res) => {
+  const { serverName } = req.params;
+  const token = generateAgentToken();
+  const query = `
+    UPDATE servers
+    SET token_hash = ?, token_prefix = ?, rotated_at = ?, revoked_at = NULL
+    WHERE server_name = ?
+  `;
+  db.query(query, [hashToken(token), token.slice(0, 12), new Date(), serverName], (err, result) => {
+    if (err) {
+      console.error('Database update error:', err);
+      return sendDatabaseError(res, err, 'Failed to rotate token');
+    }
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Server "${serverName}" is not registered`
+      });
+    }
+    res.json({ success: true, server_name: serverName, token });
+  });
+});
+
+// POST endpoint to revoke an agent's token
+app.post('/api/admin/servers/:serverName/revoke', validateRequest, (req, res) => {
+  const { serverName } = req.params;
+  const query = 'UPDATE servers SET revoked_at = COALESCE(revoked_at, ?) WHERE server_name = ?';
+  db.query(query, [new Date(), serverName], (err, result) => {
+    if (err) {
+      console.error('Database update error:', err);
+      return sendDatabaseError(res, err, 'Failed to revoke token');
+    }
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Server "${serverName}" is not registered`
       });
     }
-    // Reverse to get chronological order for chart
-    res.json(results.reverse());
+    res.json({ success: true, server_name: serverName, message: 'Token revoked' });
   });
 });
 
+// GET endpoint to report rollup progress
+app.get('/api/admin/rollups', validateRequest, (req, res) => {
+  res.json(rollups.status());
+});
+
+// GET endpoint to report applied and pending schema migrations
+app.get('/api/admin/migrations', validateRequest, (req, res) => {
+  migrator.status((err, status) => {
+    if (err) {
+      console.error('Database query error:', err);
+      return sendDatabaseError(res, err, err.message);
+    }
+    res.json(status);
+  });
+});
+
+// GET endpoint to report retention settings and recent purge runs
+app.get('/api/admin/retention', validateRequest, (req, res) => {
+  res.json(retention.report());
+});
+
+// POST endpoint to run the retention purge now instead of waiting for the schedule
+app.post('/api/admin/retention/run', validateRequest, (req, res) => {
+  retention.run((err, report) => {
+    if (err) {
+      console.error('Database query error:', err);
+      // The report of the partial run says what was purged before the error
+      return sendDatabaseError(res, err, 'Retention purge failed', { run: report });
+    }
+    if (!report) {
+      return res.status(409).json({ error: 'Conflict', message: 'A retention purge is already running' });
+    }
+    res.json({ success: true, run: report });
+  });
+});
+
+// GET endpoint to report each agent's estimated clock skew
+app.get('/api/clock-skew', validateRequest, (req, res) => {
+  res.json(clockSkew.report());
+});
+
+// GET endpoint to report rejected samples per server since the backend started
+app.get('/api/admin/rejections', validateRequest, (req, res) => {
+  res.json(rejections.report());
+});
+
 // Debug endpoint to check recent data
-app.get('/api/debug/recent', (req, res) => {
+app.get('/api/debug/recent', validateRequest, (req, res) => {
   const query = `
     SELECT 
       server_name, 
+      interface,
       timestamp, 
+      received_at,
       rx_rate, 
       tx_rate, 
-      TIMESTAMPDIFF(MINUTE, timestamp, NOW()) as minutes_ago 
+      rx_pps,
+      tx_pps
     FROM vnstat_data 
     ORDER BY timestamp DESC 
     LIMIT 20
@@ -277,33 +2121,69 @@ app.get('/api/debug/recent', (req, res) => {
   db.query(query, (err, results) => {
     if (err) {
       console.error('Database query error:', err);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: 'Failed to fetch debug data'
-      });
+      return sendDatabaseError(res, err, 'Failed to fetch debug data');
     }
+    const now = Date.now();
     res.json({
-      recent_data: results,
-      current_time: new Date().toISOString(),
+      recent_data: results.map(row => ({
+        ...row,
+        minutes_ago: Math.trunc((now - new Date(row.timestamp).getTime()) / 60000)
+      })),
+      current_time: new Date(now).toISOString(),
       api_key_configured: !!API_KEY,
-      database_config: {
-        host: config.database.host,
-        database: config.database.database,
-        user: config.database.user
-      }
+      database_config: db.info
     });
   });
 });
 
+// Describe the API now that every route and the constants it is built from
+// are defined. Samples turned away by the schema count as rejected like
+// those checkSample turns away.
+const apiSpec = buildApiSpec({
+  version: '2.0.0',
+  sampleLimits: sampleValidator.options,
+  defaultInterface: DEFAULT_INTERFACE,
+  maxBatchSize: ingestConfig.maxBatchSize,
+  maxHistoryLimit: MAX_HISTORY_LIMIT,
+  exportFormats: Object.keys(EXPORT_FORMATS),
+  maxSeriesBuckets: MAX_SERIES_BUCKETS,
+  maxSeriesServers: MAX_SERIES_SERVERS,
+  trafficPeriods: TRAFFIC_PERIODS,
+  topMetrics: TOP_METRICS,
+  topMeasures: TOP_MEASURES,
+  defaultTopCount: DEFAULT_TOP_COUNT,
+  maxTopCount: MAX_TOP_COUNT,
+  resolutions: RESOLUTIONS
+});
+const apiValidator = createApiValidator(apiSpec, {
+  formats: FORMATS,
+  onInvalid: (req, error) => {
+    if (req.route.path === '/api/data' && error.in === 'body') recordRejection(reportedServerName(req, req.body), error);
+  }
+});
+const apiDocsPage = renderDocsPage(apiSpec);
+
+// Every route must be described and validated, and every description served
+const routeProblems = compareRoutes(app, apiSpec, validateRequest);
+if (Object.values(routeProblems).some(list => list.length > 0)) {
+  console.error('❌ Routes and the API description (lib/apiSpec.js) disagree:');
+  routeProblems.undescribed.forEach(route => console.error(`   Not described: ${route}`));
+  routeProblems.unvalidated.forEach(route => console.error(`   Not validated: ${route}`));
+  routeProblems.unserved.forEach(route => console.error(`   Described but not served: ${route}`));
+  process.exit(1);
+}
+
 // Start server
 app.listen(port, host, () => {
   console.log('🚀 VnStat Dashboard Backend started successfully!');
   console.log(`   URL: http://${host}:${port}`);
   console.log(`   Health: http://${host}:${port}/health`);
   console.log(`   API Info: http://${host}:${port}/api/info`);
+  console.log(`   API Docs: http://${host}:${port}/api/docs`);
   console.log('');
   console.log('🔐 Security:');
   console.log(`   API Key: ${API_KEY ? '✅ Configured' : '❌ Not set'}`);
+  console.log(`   Metrics: ${metricsConfig.token ? '✅ /metrics with scrape token' : 'Off (set metrics.token to enable /metrics)'}`);
   console.log('   Remember to include x-api-key header in API requests');
   console.log('');
 });
\ No newline at end of file
@@ -0,0 +1,453 @@
+// OpenAPI 3 description of the backend's API
+//
+// Served as /api/openapi.json and as the /api/docs page, and every route
+// checks its request against it before running (lib/openapi.js), so what is
+// documented here is what the API accepts. Limits and allowed values come
+// from the code and config that enforce them, passed in as options.
+
+const { SERVER_NAME_PATTERN, INTERFACE_PATTERN, TIMESTAMP_PATTERN } = require('./validation');
+const { RANGE_PATTERN, RANGE_FORMAT } = require('./timeRange');
+
+// String formats the description uses: the pattern values must match and
+// how error messages describe them
+const FORMATS = {
+  'date-time': { pattern: TIMESTAMP_PATTERN, text: 'an ISO 8601 date-time' },
+  duration: { pattern: RANGE_PATTERN, text: RANGE_FORMAT },
+  step: { pattern: /^\d+(s|m|h|d|w|mo|y)?$/, text: `a whole number of seconds or ${RANGE_FORMAT}` },
+  month: { pattern: /^\d{4}-\d{2}$/, text: 'given as YYYY-MM' },
+  'server-name': { pattern: SERVER_NAME_PATTERN, text: 'a hostname-like name of letters, digits, dots, dashes and underscores' },
+  interface: { pattern: INTERFACE_PATTERN, text: '1-32 letters, digits or the characters _ . : @ -' }
+};
+
+const formatted = (format, extra) => ({ type: 'string', format, pattern: FORMATS[format].pattern.source, ...extra });
+const ref = (kind, name) => ({ $ref: `#/components/${kind}/${name}` });
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+const json = (schema) => ({ 'application/json': { schema } });
+
+// A 200 response with its description, plus the errors an operation may answer with
+const responses = (description, ...errors) => {
+  const result = { 200: { description } };
+  errors.forEach(status => { result[status] = ref('responses', status); });
+  return result;
+};
+
+// ?range=, ?from= and ?to=; defaultRange is used when none of them is given
+const windowParameters = (defaultRange) => [
+  query('range', formatted('duration', defaultRange ? { default: defaultRange } : {}),
+    'How far back to look, ending now or at to. Can\'t be combined with from.'),
+  ref('parameters', 'from'),
+  ref('parameters', 'to')
+];
+
+function buildApiSpec(options) {
+  const limits = options.sampleLimits;
+  const serverName = { name: 'serverName', in: 'path', required: true, schema: { type: 'string', minLength: 1, maxLength: 255 } };
+  const readErrors = [400, 403, 503];
+
+  const sampleSchema = {
+    type: 'object',
+    description: 'One reading from an agent. Fields other than these are ignored.',
+    required: ['server_name', 'timestamp', 'rx_rate', 'tx_rate'],
+    properties: {
+      server_name: formatted('server-name', { maxLength: limits.maxServerNameLength, description: 'Name of the reporting server' }),
+      interface: formatted('interface', { description: `Network interface; samples without one are stored as "${options.defaultInterface}"` }),
+      timestamp: formatted('date-time', {
+        description: `When the sample was taken; at most ${limits.maxFutureSeconds} seconds ahead of and ${limits.maxAgeDays} days behind the backend's clock`
+      }),
+      rx_rate: { type: 'number', minimum: 0, maximum: limits.maxRate, description: 'Receive rate in KiB/s' },
+      tx_rate: { type: 'number', minimum: 0, maximum: limits.maxRate, description: 'Transmit rate in KiB/s' },
+      rx_pps: { type: 'number', nullable: true, minimum: 0, maximum: limits.maxPacketRate, description: 'Packets received per second; sent together with tx_pps' },
+      tx_pps: { type: 'number', nullable: true, minimum: 0, maximum: limits.maxPacketRate, description: 'Packets sent per second; sent together with rx_pps' },
+      rx_bytes: { type: 'integer', nullable: true, minimum: 0, maximum: Number.MAX_SAFE_INTEGER, description: 'Cumulative received byte counter; sent together with tx_bytes' },
+      tx_bytes: { type: 'integer', nullable: true, minimum: 0, maximum: Number.MAX_SAFE_INTEGER, description: 'Cumulative sent byte counter; sent together with rx_bytes' }
+    }
+  };
+  // Samples in a batch are checked one by one, so that one bad sample
+  // doesn't turn the rest away
+  const sampleList = { type: 'array', minItems: 1, description: 'an array of samples' };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'VnStat Dashboard API',
+      version: options.version,
+      description: 'Network rates reported by vnStat agents, and the statistics the dashboard builds from them. ' +
+        `Time windows are given as range (${RANGE_FORMAT}) or as from and to ISO 8601 date-times; ` +
+        'an invalid parameter or body is answered with 400 naming the offending field.'
+    },
+    tags: [
+      { name: 'System', description: 'Status and documentation' },
+      { name: 'Ingestion', description: 'Routes agents submit samples and vnStat exports to' },
+      { name: 'Servers', description: 'Rates, history and traffic of individual servers' },
+      { name: 'Fleet', description: 'Statistics across all servers' },
+      { name: 'Admin', description: 'Agent registry, rollups, migrations, retention and diagnostics' }
+    ],
+    security: [{ apiKey: [] }],
+    paths: {
+      '/health': {
+        get: {
+          operationId: 'getHealth',
+          tags: ['System'],
+          summary: 'Backend and database status',
+          security: [],
+          responses: { 200: { description: 'The database is connected' }, 503: { description: 'The database is unreachable' } }
+        }
+      },
+      '/metrics': {
+        get: {
+          operationId: 'getMetrics',
+          tags: ['System'],
+          summary: 'Prometheus metrics',
+          description: 'Latest rates per server and interface, ingestion counters, database query latency and HTTP request ' +
+            'metrics in the Prometheus text format. Answers 404 while metrics.token is not set in config.js.',
+          security: [{ scrapeToken: [] }],
+          responses: {
+            200: { description: 'Metrics', content: { 'text/plain': { schema: { type: 'string' } } } },
+            401: { description: 'Missing or wrong scrape token', content: json(ref('schemas', 'Error')) },
+            404: { description: 'Metrics are disabled', content: json(ref('schemas', 'Error')) }
+          }
+        }
+      },
+      '/api/info': {
+        get: {
+          operationId: 'getInfo',
+          tags: ['System'],
+          summary: 'API name, version and list of endpoints',
+          security: [],
+          responses: responses('API summary')
+        }
+      },
+      '/api/openapi.json': {
+        get: {
+          operationId: 'getOpenApi',
+          tags: ['System'],
+          summary: 'This API description as an OpenAPI 3 document',
+          security: [],
+          responses: responses('OpenAPI document')
+        }
+      },
+      '/api/docs': {
+        get: {
+          operationId: 'getDocs',
+          tags: ['System'],
+          summary: 'Browsable API documentation',
+          security: [],
+          responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+        }
+      },
+      '/api/data': {
+        post: {
+          operationId: 'submitSample',
+          tags: ['Ingestion'],
+          summary: 'Submit network data',
+          description: 'A sample already stored (same server, interface and timestamp) is answered with status "duplicate". ' +
+            'Agent tokens may only submit samples for their own server_name.',
+          requestBody: { required: true, content: json(ref('schemas', 'Sample')) },
+          responses: responses('Stored or recognised as a duplicate', 400, 403, 503)
+        }
+      },
+      '/api/data/batch': {
+        post: {
+          operationId: 'submitBatch',
+          tags: ['Ingestion'],
+          summary: 'Submit many samples at once (JSON array or NDJSON)',
+          description: `At most ${options.maxBatchSize} samples per request (413 above that). Each sample is checked against ` +
+            'the Sample schema on its own; the response reports every sample as created, duplicate or rejected.',
+          requestBody: {
+            required: true,
+            content: {
+              ...json({
+                anyOf: [
+                  sampleList,
+                  {
+                    type: 'object',
+                    required: ['samples'],
+                    properties: { samples: sampleList },
+                    description: 'an object with a samples array'
+                  }
+                ]
+              }),
+              'application/x-ndjson': { schema: { type: 'string', description: 'One sample per line' } },
+              'application/ndjson': { schema: { type: 'string', description: 'One sample per line' } }
+            }
+          },
+          responses: { ...responses('Per-sample results', 400, 403, 503), 413: { description: 'Too many samples' } }
+        }
+      },
+      '/api/data/import': {
+        post: {
+          operationId: 'importVnstat',
+          tags: ['Ingestion'],
+          summary: 'Backfill traffic totals from a vnStat JSON export',
+          description: 'Hourly, daily and monthly totals that already exist are raised to the imported figures where those are higher, or replaced when overwrite is set.',
+          parameters: [
+            query('server_name', formatted('server-name', { maxLength: limits.maxServerNameLength }), 'Server the export belongs to', true),
+            query('overwrite', { type: 'boolean', default: false }, 'Replace totals that already exist')
+          ],
+          requestBody: { required: true, content: json({ type: 'object', description: 'The output of vnstat --json' }) },
+          responses: responses('Import summary', 400, 403, 503)
+        }
+      },
+      '/api/servers': {
+        get: {
+          operationId: 'listServers',
+          tags: ['Servers'],
+          summary: 'List servers with stats, peak rates and per-interface breakdown',
+          parameters: [...windowParameters('24h'), ref('parameters', 'interface'), ref('parameters', 'resolution')],
+          responses: responses('Servers with samples in the window', ...readErrors)
+        }
+      },
+      '/api/aggregate': {
+        get: {
+          operationId: 'getAggregate',
+          tags: ['Fleet'],
+          summary: 'Aggregated network statistics',
+          parameters: [...windowParameters('24h'), ref('parameters', 'interface'), ref('parameters', 'resolution')],
+          responses: responses('Summed average rates of every server', ...readErrors)
+        }
+      },
+      '/api/servers/{serverName}/history': {
+        parameters: [serverName],
+        get: {
+          operationId: 'getServerHistory',
+          tags: ['Servers'],
+          summary: 'Server historical data',
+          description: 'The newest limit rows of the window, oldest first. When there are older rows the X-Next-Cursor header ' +
+            'holds a cursor for them. With compare the response also holds the rows of an earlier period, shifted forward.',
+          parameters: [
+            ...windowParameters('1h'),
+            ref('parameters', 'compare'),
+            query('cursor', { type: 'string' }, 'X-Next-Cursor value of the previous page; can\'t be combined with compare'),
+            query('limit', { type: 'integer', minimum: 1, maximum: options.maxHistoryLimit, default: 50 }, 'Rows per page'),
+            ref('parameters', 'interface'),
+            ref('parameters', 'resolution')
+          ],
+          responses: responses('Rows, or { rows, compare } with compare', ...readErrors)
+        }
+      },
+      '/api/servers/{serverName}/export': {
+        parameters: [serverName],
+        get: {
+          operationId: 'exportServerHistory',
+          tags: ['Servers'],
+          summary: 'Every history row in a window as a download',
+          parameters: [
+            ...windowParameters('24h'),
+            query('format', { type: 'string', enum: options.exportFormats, default: options.exportFormats[0] }, 'File format'),
+            ref('parameters', 'interface'),
+            ref('parameters', 'resolution')
+          ],
+          responses: {
+            ...responses('The rows, streamed', ...readErrors),
+            200: {
+              description: 'The rows, streamed',
+              content: { 'text/csv': { schema: { type: 'string' } }, 'application/x-ndjson': { schema: { type: 'string' } } }
+            }
+          }
+        }
+      },
+      '/api/servers/{serverName}/series': {
+        parameters: [serverName],
+        get: {
+          operationId: 'getServerSeries',
+          tags: ['Servers'],
+          summary: 'Server rates in fixed-width buckets (avg, min, max, samples)',
+          parameters: [...windowParameters('1h'), ref('parameters', 'step'), ref('parameters', 'compare'), ref('parameters', 'interface')],
+          responses: responses('Buckets of the window', ...readErrors)
+        }
+      },
+      '/api/series': {
+        get: {
+          operationId: 'getFleetSeries',
+          tags: ['Fleet'],
+          summary: 'Per-server and summed series for many servers in one request',
+          parameters: [
+            ...windowParameters('1h'),
+            ref('parameters', 'step'),
+            ref('parameters', 'compare'),
+            ref('parameters', 'servers'),
+            ref('parameters', 'interface')
+          ],
+          responses: responses('A series per server and their sum', ...readErrors)
+        }
+      },
+      '/api/traffic': {
+        get: {
+          operationId: 'getFleetTraffic',
+          tags: ['Fleet'],
+          summary: 'Fleet-wide transferred bytes per hour, day or month',
+          parameters: [ref('parameters', 'period'), ...windowParameters(null), ref('parameters', 'interface')],
+          responses: responses('Totals per period and per server', ...readErrors)
+        }
+      },
+      '/api/servers/{serverName}/traffic': {
+        parameters: [serverName],
+        get: {
+          operationId: 'getServerTraffic',
+          tags: ['Servers'],
+          summary: 'Transferred bytes per hour, day or month for one server',
+          parameters: [ref('parameters', 'period'), ...windowParameters(null), ref('parameters', 'interface')],
+          responses: responses('Totals per period', ...readErrors)
+        }
+      },
+      '/api/billing': {
+        get: {
+          operationId: 'getBilling',
+          tags: ['Fleet'],
+          summary: '95th/99th percentile, average and peak of 5-minute rates per server and fleet-wide',
+          description: 'For a calendar month (default: the current one) or a window; month can\'t be combined with range, from or to.',
+          parameters: [
+            query('month', formatted('month'), 'Calendar month in the backend\'s time zone'),
+            ...windowParameters(null),
+            ref('parameters', 'interface')
+          ],
+          responses: responses('Billing report', ...readErrors)
+        }
+      },
+      '/api/top': {
+        get: {
+          operationId: 'getTopServers',
+          tags: ['Fleet'],
+          summary: 'Servers ranked by traffic with their share of the fleet',
+          parameters: [
+            query('metric', { type: 'string', enum: options.topMetrics, default: 'total' }, 'Rate or volume to rank by'),
+            query('by', { type: 'string', enum: options.topMeasures, default: 'avg' }, 'Average or peak rate, or bytes transferred'),
+            query('n', { type: 'integer', minimum: 1, maximum: options.maxTopCount, default: options.defaultTopCount }, 'Number of servers'),
+            ...windowParameters('24h'),
+            ref('parameters', 'interface'),
+            ref('parameters', 'resolution')
+          ],
+          responses: responses('Ranked servers', ...readErrors)
+        }
+      },
+      '/api/availability': {
+        get: {
+          operationId: 'getAvailability',
+          tags: ['Fleet'],
+          summary: 'Availability and outages per server, from gaps in its samples',
+          parameters: [...windowParameters('24h'), ref('parameters', 'servers'), ref('parameters', 'interface'), ref('parameters', 'resolution')],
+          responses: responses('Availability per server', ...readErrors)
+        }
+      },
+      '/api/admin/servers': {
+        get: {
+          operationId: 'listAgents',
+          tags: ['Admin'],
+          summary: 'List registered agents',
+          responses: responses('Registry entries', 403, 503)
+        },
+        post: {
+          operationId: 'registerAgent',
+          tags: ['Admin'],
+          summary: 'Register an agent and issue its token',
+          description: 'The token is only ever shown in this response.',
+          requestBody: { required: true, content: json(ref('schemas', 'AgentRegistration')) },
+          responses: { 201: { description: 'Registered; the response holds the token' }, 400: ref('responses', 400), 403: ref('responses', 403), 409: { description: 'Already registered' }, 503: ref('responses', 503) }
+        }
+      },
+      '/api/admin/servers/{serverName}/rotate': {
+        parameters: [serverName],
+        post: {
+          operationId: 'rotateAgentToken',
+          tags: ['Admin'],
+          summary: 'Issue a new token for an agent',
+          responses: { ...responses('The new token', 400, 403, 503), 404: { description: 'Not registered' } }
+        }
+      },
+      '/api/admin/servers/{serverName}/revoke': {
+        parameters: [serverName],
+        post: {
+          operationId: 'revokeAgentToken',
+          tags: ['Admin'],
+          summary: 'Revoke an agent token',
+          responses: { ...responses('Revoked', 400, 403, 503), 404: { description: 'Not registered' } }
+        }
+      },
+      '/api/admin/rejections': {
+        get: { operationId: 'getRejections', tags: ['Admin'], summary: 'Rejected samples per server since startup', responses: responses('Rejection counts', 403) }
+      },
+      '/api/admin/rollups': {
+        get: { operationId: 'getRollups', tags: ['Admin'], summary: 'Rollup status', responses: responses('Progress of each rollup tier', 403) }
+      },
+      '/api/admin/migrations': {
+        get: { operationId: 'getMigrations', tags: ['Admin'], summary: 'Applied and pending schema migrations', responses: responses('Migration status', 403, 503) }
+      },
+      '/api/admin/retention': {
+        get: { operationId: 'getRetention', tags: ['Admin'], summary: 'Retention settings and recent purge runs', responses: responses('Retention report', 403) }
+      },
+      '/api/admin/retention/run': {
+        post: {
+          operationId: 'runRetention',
+          tags: ['Admin'],
+          summary: 'Purge expired data now',
+          responses: { ...responses('The purge run', 403), 409: { description: 'A purge is already running' }, 500: { description: 'The purge failed' } }
+        }
+      },
+      '/api/clock-skew': {
+        get: { operationId: 'getClockSkew', tags: ['Admin'], summary: 'Estimated clock skew per agent', responses: responses('Skew per agent', 403) }
+      },
+      '/api/debug/recent': {
+        get: { operationId: 'getRecentSamples', tags: ['Admin'], summary: 'The 20 newest samples and the backend\'s view of its configuration', responses: responses('Recent samples', 403, 503) }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-api-key',
+          description: 'The shared API key from config.js, or an agent token (vnsa_...) for the POST /api/data routes'
+        },
+        scrapeToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'metrics.token from config.js; only accepted by /metrics'
+        }
+      },
+      parameters: {
+        from: query('from', formatted('date-time'), 'Start of an absolute window'),
+        to: query('to', formatted('date-time'), 'End of the window (exclusive); default: now'),
+        interface: query('interface', formatted('interface'), 'Only this interface; without it interfaces are summed'),
+        resolution: query('resolution', { type: 'string', enum: ['auto', ...options.resolutions], default: 'auto' },
+          'Raw samples or a rollup table; auto picks one suited to the window'),
+        compare: query('compare', formatted('duration'), 'Also return the period this far earlier, e.g. 1d or 1w'),
+        step: query('step', formatted('step'),
+          `Bucket width; default: the width that gives at most 60 buckets. At most ${options.maxSeriesBuckets} buckets per window.`),
+        servers: query('servers', { type: 'string' },
+          `Comma-separated server names, at most ${options.maxSeriesServers}; default: every server with samples in the window`),
+        period: query('period', { type: 'string', enum: options.trafficPeriods, default: 'day' },
+          'Bucket size; the default window is 24h for hour, 30d for day and 1y for month')
+      },
+      responses: {
+        400: { description: 'Invalid parameter or body', content: json(ref('schemas', 'Error')) },
+        403: { description: 'Missing or invalid API key, or not allowed with this key', content: json(ref('schemas', 'Error')) },
+        503: { description: 'The database is unreachable; see Retry-After', content: json(ref('schemas', 'Error')) }
+      },
+      schemas: {
+        Sample: sampleSchema,
+        AgentRegistration: {
+          type: 'object',
+          required: ['server_name'],
+          properties: {
+            server_name: formatted('server-name', { maxLength: limits.maxServerNameLength, description: 'The name the agent reports under' }),
+            description: { type: 'string', nullable: true, maxLength: 255, description: 'Free text shown in the registry' }
+          }
+        },
+        Error: {
+          type: 'object',
+          required: ['error', 'message'],
+          properties: {
+            error: { type: 'string', description: 'HTTP status text' },
+            message: { type: 'string' },
+            field: { type: 'string', nullable: true, description: 'The parameter or body field at fault' }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  FORMATS,
+  buildApiSpec
+};
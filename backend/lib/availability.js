@@ -0,0 +1,84 @@
+// Availability of each server from gaps in its sample stream
+//
+// Agents report at a fixed interval (5 seconds by default, configurable per
+// agent). Rather than assuming one, the interval is estimated from each
+// server's own samples, and a server counts as down whenever no sample
+// arrives for more than GAP_TOLERANCE intervals.
+
+// Intervals without a sample before a gap counts as an outage; allows for
+// a late or lost report now and then
+const GAP_TOLERANCE = 3;
+
+// The agent's default interval, used when a server has too few samples to
+// estimate its own
+const DEFAULT_INTERVAL_SECONDS = 5;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Reporting interval in ms from a server's points ({ time (ms), samples },
+// ascending): the typical time between points. Rollup buckets of bucketMs
+// that usually follow each other hold several reports, so there it is the
+// bucket length divided by the typical samples per bucket.
+function estimateInterval(points, bucketMs = 0) {
+  const deltas = [];
+  for (let i = 1; i < points.length; i++) {
+    const delta = points[i].time - points[i - 1].time;
+    if (delta > 0) deltas.push(delta);
+  }
+  let estimate = median(deltas);
+  if (bucketMs > 0 && (estimate === null || estimate <= bucketMs)) {
+    const perBucket = median(points.map(point => point.samples).filter(samples => samples > 0));
+    estimate = perBucket ? bucketMs / perBucket : null;
+  }
+  return estimate > 0 ? estimate : DEFAULT_INTERVAL_SECONDS * 1000;
+}
+
+// Availability of one server from fromMs to toMs. Each point stands for
+// the time up to the next report (or the end of its rollup bucket, if
+// later); a stretch longer than the allowed gap with nothing in it is an
+// outage. `open` says toMs is now, so an outage reaching it is ongoing.
+function summarizeAvailability(points, fromMs, toMs, bucketMs = 0, open = false) {
+  const intervalMs = estimateInterval(points, bucketMs);
+  const coverMs = Math.max(intervalMs, bucketMs);
+  const allowedGapMs = (GAP_TOLERANCE - 1) * intervalMs;
+
+  const outages = [];
+  const addOutage = (start, end, ongoing) => {
+    const from = Math.max(start, fromMs);
+    const to = Math.min(end, toMs);
+    if (to - from > allowedGapMs) outages.push({ from, to, ongoing });
+  };
+
+  let coveredUntil = fromMs;
+  points.forEach(point => {
+    addOutage(coveredUntil, point.time, false);
+    coveredUntil = Math.max(coveredUntil, point.time + coverMs);
+  });
+  addOutage(coveredUntil, toMs, open);
+
+  const downtimeMs = outages.reduce((sum, outage) => sum + (outage.to - outage.from), 0);
+  const spanMs = toMs - fromMs;
+  return {
+    interval_seconds: Math.round(intervalMs) / 1000,
+    availability: spanMs > 0 ? Math.max(0, 1 - downtimeMs / spanMs) * 100 : null,
+    downtime_seconds: Math.round(downtimeMs / 1000),
+    outages: outages.map(outage => ({
+      from: new Date(outage.from),
+      to: new Date(outage.to),
+      duration_seconds: Math.round((outage.to - outage.from) / 1000),
+      ongoing: outage.ongoing
+    }))
+  };
+}
+
+module.exports = {
+  GAP_TOLERANCE,
+  DEFAULT_INTERVAL_SECONDS,
+  estimateInterval,
+  summarizeAvailability
+};
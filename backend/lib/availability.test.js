@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GAP_TOLERANCE, estimateInterval, summarizeAvailability } = require('./availability');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Raw points every `every` seconds from `from` up to but not including `to`
+const reports = (from, to, every = 5) => {
+  const points = [];
+  for (let time = from; time < to; time += every) points.push({ time: time * SECOND, samples: 1 });
+  return points;
+};
+
+describe('estimateInterval', () => {
+  it('is the typical time between reports', () => {
+    assert.equal(estimateInterval([...reports(0, 60, 10), ...reports(300, 330, 10)]), 10 * SECOND);
+  });
+
+  it('divides rollup buckets by the typical samples in them', () => {
+    const points = [0, 1, 2].map(minute => ({ time: minute * MINUTE, samples: 4 }));
+    assert.equal(estimateInterval(points, MINUTE), 15 * SECOND);
+  });
+
+  it('falls back to the agent default with too few samples', () => {
+    assert.equal(estimateInterval([]), 5 * SECOND);
+    assert.equal(estimateInterval([{ time: 0, samples: 1 }]), 5 * SECOND);
+  });
+});
+
+describe('summarizeAvailability', () => {
+  it('is fully available when every report arrives', () => {
+    const summary = summarizeAvailability(reports(0, 100), 0, 100 * SECOND);
+    assert.deepEqual(summary, { interval_seconds: 5, availability: 100, downtime_seconds: 0, outages: [] });
+  });
+
+  it(`tolerates up to ${GAP_TOLERANCE - 1} missed reports in a row`, () => {
+    // Reports at 50s and 55s missed
+    const tolerated = summarizeAvailability([...reports(0, 50), ...reports(60, 100)], 0, 100 * SECOND);
+    assert.deepEqual(tolerated.outages, []);
+    // And the one at 60s too
+    const missed = summarizeAvailability([...reports(0, 50), ...reports(65, 100)], 0, 100 * SECOND);
+    assert.deepEqual(missed.outages, [{
+      from: new Date(50 * SECOND),
+      to: new Date(65 * SECOND),
+      duration_seconds: 15,
+      ongoing: false
+    }]);
+    assert.equal(missed.downtime_seconds, 15);
+    assert.equal(missed.availability, 85);
+  });
+
+  it('marks an outage reaching now as ongoing', () => {
+    const summary = summarizeAvailability(reports(0, 50), 0, 100 * SECOND, 0, true);
+    assert.deepEqual(summary.outages.map(outage => [outage.from.getTime(), outage.to.getTime(), outage.ongoing]),
+      [[50 * SECOND, 100 * SECOND, true]]);
+    // The same gap at the end of a closed window is over
+    assert.equal(summarizeAvailability(reports(0, 50), 0, 100 * SECOND).outages[0].ongoing, false);
+  });
+
+  it('clips outages to the window', () => {
+    const summary = summarizeAvailability(reports(200, 300), 100 * SECOND, 300 * SECOND);
+    assert.deepEqual(summary.outages.map(outage => [outage.from.getTime(), outage.to.getTime()]),
+      [[100 * SECOND, 200 * SECOND]]);
+    assert.equal(summary.availability, 50);
+  });
+
+  it('counts a rollup bucket with samples as covered to its end', () => {
+    const points = [0, 1, 2, 5].map(minute => ({ time: minute * MINUTE, samples: 12 }));
+    const summary = summarizeAvailability(points, 0, 6 * MINUTE, MINUTE);
+    assert.equal(summary.interval_seconds, 5);
+    assert.deepEqual(summary.outages.map(outage => [outage.from.getTime(), outage.to.getTime()]),
+      [[3 * MINUTE, 5 * MINUTE]]);
+  });
+
+  it('counts a server without samples as down the whole window', () => {
+    const summary = summarizeAvailability([], 0, MINUTE);
+    assert.equal(summary.availability, 0);
+    assert.equal(summary.downtime_seconds, 60);
+    assert.equal(summarizeAvailability([], 0, 0).availability, null);
+  });
+});
@@ -0,0 +1,107 @@
+// Burstable (95th percentile) billing figures
+//
+// Transit and VPS providers take the average rate of every 5-minute
+// interval in the billing period, drop the top 5% and bill the highest
+// remaining one. These helpers do the same with the rates agents report,
+// per server and for the fleet as a whole.
+
+// Length of a billing interval
+const BILLING_INTERVAL_SECONDS = 300;
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// Nearest-rank percentile of an ascending list: the smallest value with at
+// least p percent of the values at or below it
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length), 1) - 1];
+}
+
+// Average, 95th and 99th percentile and maximum of a list of rates
+function summarizeRates(values) {
+  if (values.length === 0) return { avg: null, p95: null, p99: null, max: null };
+  const sorted = values.slice().sort((a, b) => a - b);
+  return {
+    avg: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// Figures for one set of intervals (a Map of interval index to { rx, tx }).
+// Providers usually bill the higher of the inbound and outbound 95th
+// percentile, reported as billable_p95.
+function summarizeIntervals(intervals) {
+  const rx = [];
+  const tx = [];
+  intervals.forEach(interval => {
+    rx.push(interval.rx);
+    tx.push(interval.tx);
+  });
+  const rxStats = summarizeRates(rx);
+  const txStats = summarizeRates(tx);
+  return {
+    intervals: intervals.size,
+    rx: rxStats,
+    tx: txStats,
+    billable_p95: rxStats.p95 === null ? null : Math.max(rxStats.p95, txStats.p95)
+  };
+}
+
+// Per-server and fleet figures from rows of (server_name, bucket, rx_rate,
+// tx_rate) holding each interface's average rate per interval. Interfaces
+// of a server, and servers of the fleet, are added together per interval
+// before the percentiles are taken. Intervals without samples are left out
+// rather than counted as idle.
+function buildBillingReport(rows) {
+  const servers = new Map();
+  const fleet = new Map();
+  const add = (intervals, bucket, rx, tx) => {
+    const interval = intervals.get(bucket) || { rx: 0, tx: 0 };
+    interval.rx += rx;
+    interval.tx += tx;
+    intervals.set(bucket, interval);
+  };
+
+  rows.forEach(row => {
+    const bucket = Number(row.bucket);
+    const rx = Number(row.rx_rate) || 0;
+    const tx = Number(row.tx_rate) || 0;
+    if (!servers.has(row.server_name)) servers.set(row.server_name, new Map());
+    add(servers.get(row.server_name), bucket, rx, tx);
+    add(fleet, bucket, rx, tx);
+  });
+
+  return {
+    fleet: { server_count: servers.size, ...summarizeIntervals(fleet) },
+    servers: Array.from(servers.keys()).sort().map(serverName => ({
+      server_name: serverName,
+      ...summarizeIntervals(servers.get(serverName))
+    }))
+  };
+}
+
+// Start and end of a calendar month given as YYYY-MM, in the backend's local
+// time like the traffic totals, or null if the text isn't one
+function monthWindow(text) {
+  const match = MONTH_PATTERN.exec(String(text).trim());
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return { from: new Date(year, month, 1), to: new Date(year, month + 1, 1) };
+}
+
+// YYYY-MM of a date in the backend's local time
+function monthOf(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+module.exports = {
+  BILLING_INTERVAL_SECONDS,
+  percentile,
+  summarizeRates,
+  buildBillingReport,
+  monthWindow,
+  monthOf
+};
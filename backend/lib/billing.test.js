@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { percentile, summarizeRates, buildBillingReport, monthWindow, monthOf } = require('./billing');
+
+const range = (n) => Array.from({ length: n }, (_, i) => i + 1);
+
+describe('percentile', () => {
+  it('takes the nearest rank', () => {
+    // 95% of 20 values is exactly the 19th
+    assert.equal(percentile(range(20), 95), 19);
+    // 95% of 10 values rounds up to the 10th
+    assert.equal(percentile(range(10), 95), 10);
+    assert.equal(percentile(range(100), 99), 99);
+    assert.equal(percentile(range(100), 50), 50);
+  });
+
+  it('is the smallest value for p of zero and null without values', () => {
+    assert.equal(percentile([3, 7], 0), 3);
+    assert.equal(percentile([], 95), null);
+  });
+});
+
+describe('summarizeRates', () => {
+  it('averages and ranks without reordering the input', () => {
+    const values = [40, 10, 30, 20];
+    assert.deepEqual(summarizeRates(values), { avg: 25, p95: 40, p99: 40, max: 40 });
+    assert.deepEqual(values, [40, 10, 30, 20]);
+  });
+
+  it('is all null without rates', () => {
+    assert.deepEqual(summarizeRates([]), { avg: null, p95: null, p99: null, max: null });
+  });
+});
+
+describe('buildBillingReport', () => {
+  const row = (server_name, bucket, rx_rate, tx_rate) => ({ server_name, bucket, rx_rate, tx_rate });
+
+  it('adds interfaces of a server together per interval', () => {
+    const report = buildBillingReport([
+      row('web-1', 0, 10, 1),
+      row('web-1', 0, 5, 1),
+      row('web-1', 1, 20, 2)
+    ]);
+    const [server] = report.servers;
+    assert.equal(server.intervals, 2);
+    assert.deepEqual(server.rx, { avg: 17.5, p95: 20, p99: 20, max: 20 });
+  });
+
+  it('bills the higher of the inbound and outbound 95th percentile', () => {
+    const rows = range(20).map(i => row('web-1', i, i, 2 * i));
+    assert.equal(buildBillingReport(rows).servers[0].billable_p95, 38);
+  });
+
+  it('adds servers together per interval for the fleet', () => {
+    const report = buildBillingReport([
+      row('web-2', '0', '30', '3'),
+      row('web-1', '0', '10', '1'),
+      row('web-1', '1', '50', null)
+    ]);
+    assert.deepEqual(report.servers.map(server => server.server_name), ['web-1', 'web-2']);
+    assert.equal(report.fleet.server_count, 2);
+    assert.equal(report.fleet.intervals, 2);
+    assert.equal(report.fleet.rx.max, 50);
+    assert.equal(report.fleet.tx.avg, 2);
+  });
+
+  it('has no billable figure without samples', () => {
+    assert.deepEqual(buildBillingReport([]), {
+      fleet: { server_count: 0, intervals: 0, rx: summarizeRates([]), tx: summarizeRates([]), billable_p95: null },
+      servers: []
+    });
+  });
+});
+
+describe('monthWindow and monthOf', () => {
+  it('spans a local calendar month', () => {
+    assert.deepEqual(monthWindow('2026-02'), { from: new Date(2026, 1, 1), to: new Date(2026, 2, 1) });
+    assert.deepEqual(monthWindow(' 2026-12 ').to, new Date(2027, 0, 1));
+  });
+
+  it('is null for anything but YYYY-MM', () => {
+    for (const text of ['2026-13', '2026-1', '26-01', '2026-01-01', undefined]) {
+      assert.equal(monthWindow(text), null, String(text));
+    }
+  });
+
+  it('names the local month of a date', () => {
+    assert.equal(monthOf(new Date(2026, 0, 31, 23, 59)), '2026-01');
+    assert.equal(monthOf(new Date(2026, 9, 1)), '2026-10');
+  });
+});
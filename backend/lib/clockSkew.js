@@ -0,0 +1,59 @@
+// Rolling estimate of each agent's clock skew relative to the backend
+
+// Defaults for the clockSkew section of config.js
+const DEFAULT_CLOCK_SKEW = {
+  warningSeconds: 30, // Skew beyond this is flagged on the dashboard
+  windowSize: 30      // Live samples per server the estimate is based on
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Skew is the agent's timestamp minus the time the backend received the
+// sample, so a positive value means the agent's clock is ahead. The median
+// of the last windowSize offsets keeps one slow request from moving it.
+// Only feed it live samples: backlog uploads are late on purpose.
+function createClockSkewTracker(overrides) {
+  const options = Object.assign({}, DEFAULT_CLOCK_SKEW, overrides);
+  const servers = new Map();
+
+  const record = (serverName, timestamp, receivedAt) => {
+    if (!servers.has(serverName)) {
+      servers.set(serverName, { offsets: [], updated_at: null });
+    }
+    const entry = servers.get(serverName);
+    entry.offsets.push((new Date(timestamp).getTime() - new Date(receivedAt).getTime()) / 1000);
+    if (entry.offsets.length > options.windowSize) {
+      entry.offsets.shift();
+    }
+    entry.updated_at = new Date(receivedAt);
+  };
+
+  // { seconds, samples, warning, updated_at } for a server, or null if unknown
+  const estimate = (serverName) => {
+    const entry = servers.get(serverName);
+    if (!entry || entry.offsets.length === 0) return null;
+    const seconds = Math.round(median(entry.offsets));
+    return {
+      seconds,
+      samples: entry.offsets.length,
+      warning: Math.abs(seconds) > options.warningSeconds,
+      updated_at: entry.updated_at
+    };
+  };
+
+  const report = () => ({
+    warning_seconds: options.warningSeconds,
+    servers: Array.from(servers.keys()).sort().map(name => ({ server_name: name, ...estimate(name) }))
+  });
+
+  return { options, record, estimate, report };
+}
+
+module.exports = {
+  DEFAULT_CLOCK_SKEW,
+  createClockSkewTracker
+};
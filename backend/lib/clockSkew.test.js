@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClockSkewTracker } = require('./clockSkew');
+
+const RECEIVED = Date.parse('2026-10-19T12:00:00Z');
+
+// Record samples stamped `offsets` seconds from the time they were received
+function recordOffsets(tracker, serverName, offsets) {
+  offsets.forEach((offset, i) => {
+    const receivedAt = RECEIVED + i * 10000;
+    tracker.record(serverName, new Date(receivedAt + offset * 1000), new Date(receivedAt));
+  });
+}
+
+describe('createClockSkewTracker', () => {
+  it('knows nothing about a server without samples', () => {
+    assert.equal(createClockSkewTracker().estimate('web-1'), null);
+  });
+
+  it('estimates the median offset, positive when the agent is ahead', () => {
+    const tracker = createClockSkewTracker();
+    recordOffsets(tracker, 'web-1', [40, 45, 300, 42]);
+    const skew = tracker.estimate('web-1');
+    assert.equal(skew.seconds, 44);
+    assert.equal(skew.samples, 4);
+    assert.equal(skew.warning, true);
+    assert.deepEqual(skew.updated_at, new Date(RECEIVED + 30000));
+  });
+
+  it('only warns beyond warningSeconds', () => {
+    const tracker = createClockSkewTracker({ warningSeconds: 60 });
+    recordOffsets(tracker, 'behind', [-60, -60, -60]);
+    recordOffsets(tracker, 'far-behind', [-61]);
+    assert.equal(tracker.estimate('behind').warning, false);
+    assert.equal(tracker.estimate('far-behind').warning, true);
+  });
+
+  it('forgets offsets older than the window', () => {
+    const tracker = createClockSkewTracker({ windowSize: 3 });
+    recordOffsets(tracker, 'web-1', [100, 100, 100, 0, 0, 0]);
+    assert.deepEqual([tracker.estimate('web-1').seconds, tracker.estimate('web-1').samples], [0, 3]);
+  });
+
+  it('reports every server in name order', () => {
+    const tracker = createClockSkewTracker();
+    recordOffsets(tracker, 'web-2', [1]);
+    recordOffsets(tracker, 'web-1', [2]);
+    const report = tracker.report();
+    assert.equal(report.warning_seconds, 30);
+    assert.deepEqual(report.servers.map(server => [server.server_name, server.seconds]), [['web-1', 2], ['web-2', 1]]);
+  });
+});
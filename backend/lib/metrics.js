@@ -0,0 +1,120 @@
+// Prometheus metrics in the text exposition format (version 0.0.4)
+//
+// A registry holds counters, gauges and histograms, each with a fixed list
+// of label names; render() writes every series for a scrape. Gauges may
+// also be read at scrape time from a collect() function instead of being
+// set as things happen.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Bucket upper bounds in seconds for request and query durations
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+// '{a="1",b="2"}' for label names and their values, '' without labels
+function labelText(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`).join(',')}}`;
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  const register = (type, name, help, labelNames) => {
+    if (!METRIC_NAME_PATTERN.test(name)) throw new Error(`Invalid metric name: ${name}`);
+    if (metrics.some(metric => metric.name === name)) throw new Error(`Metric ${name} is already registered`);
+    const metric = { type, name, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  };
+
+  // Series of a metric for a { label: value } object, created on first use
+  const seriesFor = (metric, labels, create) => {
+    const values = metric.labelNames.map(name => (labels && labels[name] !== undefined ? String(labels[name]) : ''));
+    const key = values.join('\u0000');
+    if (!metric.series.has(key)) metric.series.set(key, { values, ...create() });
+    return metric.series.get(key);
+  };
+
+  // Counter: inc(labels, amount = 1)
+  const counter = (name, help, labelNames = []) => {
+    const metric = register('counter', name, help, labelNames);
+    return {
+      inc: (labels, amount = 1) => { seriesFor(metric, labels, () => ({ value: 0 })).value += amount; }
+    };
+  };
+
+  // Gauge: set(labels, value), or read at every scrape from
+  // collect() => [{ labels, value }]
+  const gauge = (name, help, labelNames = [], collect = null) => {
+    const metric = register('gauge', name, help, labelNames);
+    metric.collect = collect;
+    return {
+      set: (labels, value) => { seriesFor(metric, labels, () => ({ value: 0 })).value = value; }
+    };
+  };
+
+  // Histogram: observe(labels, value) counts value into every bucket whose
+  // upper bound it doesn't exceed
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets.slice().sort((a, b) => a - b);
+    return {
+      observe: (labels, value) => {
+        const series = seriesFor(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((bound, i) => {
+          if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  };
+
+  const renderMetric = (metric) => {
+    const lines = [`# HELP ${metric.name} ${escapeHelp(metric.help)}`, `# TYPE ${metric.name} ${metric.type}`];
+    if (metric.collect) {
+      metric.collect().forEach(({ labels, value }) => {
+        const values = metric.labelNames.map(name => (labels[name] !== undefined ? labels[name] : ''));
+        lines.push(`${metric.name}${labelText(metric.labelNames, values)} ${formatValue(value)}`);
+      });
+      return lines;
+    }
+    metric.series.forEach(series => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${labelText(metric.labelNames, series.values)} ${formatValue(series.value)}`);
+        return;
+      }
+      const names = [...metric.labelNames, 'le'];
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${labelText(names, [...series.values, formatValue(bound)])} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${labelText(names, [...series.values, '+Inf'])} ${series.count}`);
+      lines.push(`${metric.name}_sum${labelText(metric.labelNames, series.values)} ${formatValue(series.sum)}`);
+      lines.push(`${metric.name}_count${labelText(metric.labelNames, series.values)} ${series.count}`);
+    });
+    return lines;
+  };
+
+  // Every metric in the text format, ready to send to a scraper
+  const render = () => `${metrics.map(metric => renderMetric(metric).join('\n')).join('\n')}\n`;
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createMetricsRegistry
+};
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('./metrics');
+
+const lines = (registry) => registry.render().split('\n');
+
+describe('createMetricsRegistry', () => {
+  it('renders an empty registry as a single newline', () => {
+    assert.equal(createMetricsRegistry().render(), '\n');
+  });
+
+  it('counts per label set', () => {
+    const registry = createMetricsRegistry();
+    const requests = registry.counter('http_requests_total', 'Requests served', ['method', 'status']);
+    requests.inc({ method: 'GET', status: 200 });
+    requests.inc({ method: 'GET', status: 200 }, 2);
+    requests.inc({ method: 'POST' });
+    assert.equal(registry.render(), [
+      '# HELP http_requests_total Requests served',
+      '# TYPE http_requests_total counter',
+      'http_requests_total{method="GET",status="200"} 3',
+      'http_requests_total{method="POST",status=""} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('sets gauges or reads them from collect at every scrape', () => {
+    const registry = createMetricsRegistry();
+    registry.gauge('up', 'Whether the backend is up').set({}, 1);
+    let servers = [{ labels: { server: 'web-1' }, value: 12 }];
+    registry.gauge('last_seen_seconds', 'Seconds since the last sample', ['server'], () => servers);
+    assert.deepEqual(lines(registry).filter(line => !line.startsWith('#')), ['up 1', 'last_seen_seconds{server="web-1"} 12', '']);
+
+    servers = [{ labels: { server: 'web-2' }, value: Infinity }];
+    assert.ok(lines(registry).includes('last_seen_seconds{server="web-2"} +Inf'));
+    assert.ok(!lines(registry).includes('last_seen_seconds{server="web-1"} 12'));
+  });
+
+  it('counts histogram observations into cumulative buckets', () => {
+    const registry = createMetricsRegistry();
+    const duration = registry.histogram('query_seconds', 'Query time', ['query'], [1, 0.1]);
+    [0.05, 0.1, 0.5, 3].forEach(value => duration.observe({ query: 'series' }, value));
+    assert.deepEqual(lines(registry).slice(2), [
+      'query_seconds_bucket{query="series",le="0.1"} 2',
+      'query_seconds_bucket{query="series",le="1"} 3',
+      'query_seconds_bucket{query="series",le="+Inf"} 4',
+      'query_seconds_sum{query="series"} 3.65',
+      'query_seconds_count{query="series"} 4',
+      ''
+    ]);
+  });
+
+  it('escapes label values and help text', () => {
+    const registry = createMetricsRegistry();
+    registry.counter('odd_total', 'Line one\nback\\slash', ['name']).inc({ name: 'a "b"\\c\nd' });
+    assert.deepEqual(lines(registry), [
+      '# HELP odd_total Line one\\nback\\\\slash',
+      '# TYPE odd_total counter',
+      'odd_total{name="a \\"b\\"\\\\c\\nd"} 1',
+      ''
+    ]);
+  });
+
+  it('refuses invalid and duplicate names', () => {
+    const registry = createMetricsRegistry();
+    registry.counter('samples_total', 'Samples');
+    assert.throws(() => registry.gauge('samples_total', 'Again'), /Metric samples_total is already registered/);
+    assert.throws(() => registry.counter('2xx_total', 'Bad'), /Invalid metric name: 2xx_total/);
+    assert.throws(() => registry.counter('http-requests', 'Bad'), /Invalid metric name/);
+  });
+});
@@ -0,0 +1,181 @@
+// Versioned schema migrations, applied in order and tracked in schema_migrations
+//
+// Each file in backend/migrations is named <version>_<name>.js and exports
+// up(db, callback) and down(db, callback) for MySQL, plus the same pair under
+// `sqlite` for SQLite. `db` is a storage connection (lib/storage). Migrations
+// must not change once released; add a new one instead. MySQL databases set
+// up before migrations existed already have part of the schema, so the early
+// migrations only add what is missing.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Lock that keeps the backend and the migrate CLI from migrating at once
+const LOCK_NAME = 'vnstat_dashboard_migrations';
+
+const migrationsTable = {
+  mysql: `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) NOT NULL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `,
+  sqlite: `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT NOT NULL PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `
+};
+
+// Run callback-style steps one after another, stopping at the first error
+function runInSequence(steps, callback) {
+  const next = (index) => {
+    if (index >= steps.length) return callback(null);
+    steps[index](err => {
+      if (err) return callback(err);
+      next(index + 1);
+    });
+  };
+  next(0);
+}
+
+// Run SQL statements in order
+function runStatements(db, statements, callback) {
+  runInSequence(statements.map(statement => cb => db.query(statement, err => cb(err))), callback);
+}
+
+const columnExists = (db, table, column, callback) => db.columnExists(table, column, callback);
+const indexExists = (db, table, index, callback) => db.indexExists(table, index, callback);
+
+// ALTER TABLE unless `exists` reports the column or index is already there
+function alterUnless(exists, db, table, name, alterClause, callback) {
+  exists(db, table, name, (err, found) => {
+    if (err) return callback(err);
+    if (found) return callback(null);
+    db.query(`ALTER TABLE ${table} ${alterClause}`, err => callback(err));
+  });
+}
+
+const addColumnIfMissing = (db, table, column, alterClause, callback) =>
+  alterUnless(columnExists, db, table, column, alterClause, callback);
+
+const addIndexIfMissing = (db, table, index, alterClause, callback) =>
+  alterUnless(indexExists, db, table, index, alterClause, callback);
+
+// Read the migration files for a storage type, ordered by version
+function loadMigrations(type, directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const exported = require(path.join(directory, file));
+      const definition = type === 'mysql' ? exported : exported[type];
+      if (!definition || typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+        throw new Error(`Migration ${file} has no up() and down() for ${type}`);
+      }
+      return { version: match[1], name: match[2], up: definition.up, down: definition.down };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && Number(migration.version) === Number(migrations[index - 1].version)) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+const label = (migration) => `${migration.version}_${migration.name}`;
+
+function createMigrator(storage, directory = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(storage.type, directory);
+
+  const appliedVersions = (db, callback) => {
+    db.query(migrationsTable[storage.type], err => {
+      if (err) return callback(err);
+      db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY applied_at, version', callback);
+    });
+  };
+
+  // Applied, pending and unknown (applied but missing from this version)
+  // migrations, and the version the database is at
+  const status = (callback) => {
+    appliedVersions(storage, (err, rows) => {
+      if (err) return callback(err);
+      const applied = new Set(rows.map(row => row.version));
+      const known = new Set(migrations.map(m => m.version));
+      callback(null, {
+        current_version: rows.length > 0 ? rows[rows.length - 1].version : null,
+        latest_version: migrations.length > 0 ? migrations[migrations.length - 1].version : null,
+        applied: rows.filter(row => known.has(row.version)),
+        pending: migrations.filter(m => !applied.has(m.version)).map(m => ({ version: m.version, name: m.name })),
+        unknown: rows.filter(row => !known.has(row.version))
+      });
+    });
+  };
+
+  // Apply every pending migration in order. Calls back with the ones applied.
+  // MySQL commits schema changes immediately, so a failed migration leaves
+  // the earlier ones applied and is retried from the start next time; on
+  // SQLite the whole run is rolled back.
+  const migrate = (callback) => {
+    storage.exclusive(LOCK_NAME, (db, done) => {
+      appliedVersions(db, (err, rows) => {
+        if (err) return done(err);
+        const applied = new Set(rows.map(row => row.version));
+        const pending = migrations.filter(m => !applied.has(m.version));
+        const steps = pending.map(migration => cb => {
+          console.log(`🔧 Applying migration ${label(migration)}`);
+          migration.up(db, err => {
+            if (err) return cb(new Error(`Migration ${label(migration)} failed: ${err.message}`));
+            const insert = 'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)';
+            db.query(insert, [migration.version, migration.name, new Date()], cb);
+          });
+        });
+        runInSequence(steps, err => done(err, pending.map(m => ({ version: m.version, name: m.name }))));
+      });
+    }, callback);
+  };
+
+  // Revert the most recently applied migrations, newest first
+  const rollback = (count, callback) => {
+    storage.exclusive(LOCK_NAME, (db, done) => {
+      appliedVersions(db, (err, rows) => {
+        if (err) return done(err);
+        const targets = rows.slice(-count).reverse();
+        const missing = targets.find(row => !migrations.some(m => m.version === row.version));
+        if (missing) return done(new Error(`Migration ${missing.version}_${missing.name} is not in this version of the backend`));
+
+        const steps = targets.map(row => cb => {
+          const migration = migrations.find(m => m.version === row.version);
+          console.log(`↩️  Reverting migration ${label(migration)}`);
+          migration.down(db, err => {
+            if (err) return cb(new Error(`Reverting ${label(migration)} failed: ${err.message}`));
+            db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version], cb);
+          });
+        });
+        runInSequence(steps, err => done(err, targets.map(row => ({ version: row.version, name: row.name }))));
+      });
+    }, callback);
+  };
+
+  return { migrations, status, migrate, rollback };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  runInSequence,
+  runStatements,
+  columnExists,
+  indexExists,
+  addColumnIfMissing,
+  addIndexIfMissing,
+  loadMigrations,
+  createMigrator
+};
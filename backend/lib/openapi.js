@@ -0,0 +1,398 @@
+// OpenAPI 3 support: checking requests against the API description,
+// rendering it as a docs page and making sure every route is described
+//
+// Values are checked against the part of JSON Schema the description uses:
+// type, nullable, enum, format/pattern, minLength/maxLength,
+// minimum/maximum, required, properties, items, minItems/maxItems, anyOf
+// and $ref to the document's components. Query and path values arrive as
+// text and are first read as the type their schema names.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array'
+};
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+// The schema a { $ref: '#/components/...' } points to; other schemas as they are
+function resolveRef(document, schema) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    resolved = resolved.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], document);
+  }
+  return resolved;
+}
+
+// Call fn(method, path, operation, pathItem) for every operation in the document
+function forEachOperation(document, fn) {
+  Object.keys(document.paths).forEach(path => {
+    const pathItem = document.paths[path];
+    METHODS.filter(method => pathItem[method]).forEach(method => fn(method, path, pathItem[method], pathItem));
+  });
+}
+
+// '/api/servers/{serverName}' as Express writes it: '/api/servers/:serverName'
+const expressPath = (path) => path.replace(/\{([^}]+)\}/g, ':$1');
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+const matchesType = (type, value) => {
+  const actual = jsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// 'from 1 to 100', 'of at least 0' or '' for a schema without bounds
+function boundsText(schema) {
+  const hasMin = schema.minimum !== undefined;
+  const hasMax = schema.maximum !== undefined;
+  if (hasMin && hasMax) return `from ${schema.minimum} to ${schema.maximum}`;
+  if (hasMin) return `of at least ${schema.minimum}`;
+  if (hasMax) return `of at most ${schema.maximum}`;
+  return '';
+}
+
+function lengthText(schema) {
+  const { minLength, maxLength } = schema;
+  if (minLength !== undefined && maxLength !== undefined) return `${minLength}-${maxLength} characters long`;
+  if (maxLength !== undefined) return `at most ${maxLength} characters long`;
+  return `at least ${minLength} characters long`;
+}
+
+// A query or path value read as its schema's type. Text that doesn't read
+// as that type is left alone for the type check to report.
+function readParameter(schema, raw) {
+  if (typeof raw !== 'string') return raw;
+  const text = raw.trim();
+  if (schema.type === 'integer' && /^-?\d+$/.test(text)) return Number(text);
+  if (schema.type === 'number' && text !== '' && Number.isFinite(Number(text))) return Number(text);
+  if (schema.type === 'boolean' && ['true', '1'].includes(text)) return true;
+  if (schema.type === 'boolean' && ['false', '0'].includes(text)) return false;
+  return text;
+}
+
+// Build a validator for a document. options.formats maps the custom string
+// formats it uses to { pattern, text }, text finishing "<value> must be ...".
+// options.onInvalid(req, error) is told about every request turned away.
+function createApiValidator(document, options = {}) {
+  const formats = options.formats || {};
+  const patterns = new Map();
+  const compiled = (pattern) => {
+    if (!patterns.has(pattern)) patterns.set(pattern, new RegExp(pattern));
+    return patterns.get(pattern);
+  };
+
+  // First problem with a value as { field, message }, or null if it matches
+  // the schema. field is the path to the offending value (e.g.
+  // 'samples[2].rx_rate'), or null for the value itself, which messages
+  // call `label`.
+  const check = (schema, value, label, field = null) => {
+    const s = resolveRef(document, schema);
+    const fail = (message) => ({ field, message: `${field || label} ${message}` });
+    const path = (key) => (typeof key === 'number' ? `${field || ''}[${key}]` : field ? `${field}.${key}` : key);
+
+    if (value === null || value === undefined) return s.nullable ? null : fail('must not be null');
+
+    if (s.anyOf) {
+      const alternatives = s.anyOf.map(alternative => resolveRef(document, alternative));
+      const errors = alternatives.map(alternative => check(alternative, value, label, field));
+      if (errors.some(error => !error)) return null;
+      // Report against the one alternative of the value's type, if any
+      const sameType = alternatives.filter(alternative => !alternative.type || matchesType(alternative.type, value));
+      if (sameType.length === 1) return errors[alternatives.indexOf(sameType[0])];
+      return fail(`must be ${alternatives.map(alternative => alternative.description || TYPE_NAMES[alternative.type]).join(' or ')}`);
+    }
+
+    if (s.type && !matchesType(s.type, value)) {
+      const bounds = boundsText(s);
+      return fail(`must be ${TYPE_NAMES[s.type]}${bounds ? ` ${bounds}` : ''}`);
+    }
+    if (s.enum && !s.enum.includes(value)) return fail(`must be one of: ${s.enum.join(', ')}`);
+
+    if (typeof value === 'string') {
+      if ((s.minLength !== undefined && value.length < s.minLength) || (s.maxLength !== undefined && value.length > s.maxLength)) {
+        return fail(`must be ${lengthText(s)}`);
+      }
+      if (s.pattern && !compiled(s.pattern).test(value)) {
+        return fail(`must be ${formats[s.format] ? formats[s.format].text : `text matching ${s.pattern}`}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if ((s.minimum !== undefined && value < s.minimum) || (s.maximum !== undefined && value > s.maximum)) {
+        return fail(`must be ${TYPE_NAMES[s.type] || TYPE_NAMES.number} ${boundsText(s)}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (s.minItems !== undefined && value.length < s.minItems) return fail(`must hold at least ${s.minItems} item(s)`);
+      if (s.maxItems !== undefined && value.length > s.maxItems) return fail(`must hold at most ${s.maxItems} items`);
+      if (s.items) {
+        for (let i = 0; i < value.length; i++) {
+          const error = check(s.items, value[i], label, path(i));
+          if (error) return error;
+        }
+      }
+    }
+
+    if (jsonType(value) === 'object') {
+      // Null counts as missing, as agents send it for fields they don't have
+      const missing = (s.required || []).filter(name => value[name] === undefined || value[name] === null);
+      if (missing.length > 0) {
+        return { field: path(missing[0]), message: `Missing required fields: ${missing.join(', ')}` };
+      }
+      const properties = s.properties || {};
+      for (const name of Object.keys(properties)) {
+        if (value[name] === undefined) continue;
+        const error = check(properties[name], value[name], label, path(name));
+        if (error) return error;
+      }
+    }
+
+    return null;
+  };
+
+  // Operations by the method and Express path of the route serving them
+  const operations = new Map();
+  forEachOperation(document, (method, path, operation, pathItem) => {
+    const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+      .map(parameter => resolveRef(document, parameter));
+    operations.set(`${method} ${expressPath(path)}`, { operation, parameters });
+  });
+
+  // First problem with a request's parameters or body, as { in, field, message }
+  const checkRequest = ({ operation, parameters }, req) => {
+    for (const parameter of parameters) {
+      const source = parameter.in === 'query' ? req.query : parameter.in === 'path' ? req.params : null;
+      if (!source) continue;
+      const raw = source[parameter.name];
+      if (raw === undefined) {
+        if (parameter.required) return { in: parameter.in, field: parameter.name, message: `${parameter.name} is required` };
+        continue;
+      }
+      // ?a=1&a=2 and ?a[b]=1 arrive as an array and an object
+      if (typeof raw !== 'string') return { in: parameter.in, field: parameter.name, message: `${parameter.name} must be given once` };
+      const schema = resolveRef(document, parameter.schema);
+      const error = check(schema, readParameter(schema, raw), parameter.name, parameter.name);
+      if (error) return { in: parameter.in, ...error };
+    }
+
+    if (operation.requestBody) {
+      const { content } = resolveRef(document, operation.requestBody);
+      const mediaTypes = Object.keys(content);
+      const mediaType = req.is(mediaTypes) || (content['application/json'] ? 'application/json' : mediaTypes[0]);
+      const error = check(content[mediaType].schema, req.body, 'Body');
+      if (error) return { in: 'body', ...error };
+    }
+    return null;
+  };
+
+  // Middleware for routes described in the document: answers 400 naming the
+  // offending field when a request doesn't match its operation
+  const validateRequest = (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+    const entry = operations.get(`${method} ${req.route.path}`);
+    if (!entry) return next(new Error(`No operation in the API description for ${req.method} ${req.route.path}`));
+
+    const error = checkRequest(entry, req);
+    if (!error) return next();
+    if (options.onInvalid) options.onInvalid(req, error);
+    res.status(400).json({ error: 'Bad Request', message: error.message, field: error.field });
+  };
+
+  return { check, validateRequest };
+}
+
+// Differences between an Express app's routes and a document: routes no
+// operation describes, routes that don't run `middleware` (the validator)
+// and operations no route serves. Each entry reads 'GET /path'.
+function compareRoutes(app, document, middleware) {
+  const routes = new Map();
+  app._router.stack.filter(layer => layer.route).forEach(layer => {
+    Object.keys(layer.route.methods).forEach(method => {
+      routes.set(`${method} ${layer.route.path}`, layer.route.stack.some(handler => handler.handle === middleware));
+    });
+  });
+  const described = new Set();
+  forEachOperation(document, (method, path) => described.add(`${method} ${expressPath(path)}`));
+
+  const name = (key) => {
+    const [method, path] = key.split(' ');
+    return `${method.toUpperCase()} ${path}`;
+  };
+  return {
+    undescribed: Array.from(routes.keys()).filter(key => !described.has(key)).map(name),
+    unvalidated: Array.from(routes.keys()).filter(key => described.has(key) && !routes.get(key)).map(name),
+    unserved: Array.from(described).filter(key => !routes.has(key)).map(name)
+  };
+}
+
+// 'METHOD /path - summary' for every operation, in document order
+function listOperations(document) {
+  const list = [];
+  forEachOperation(document, (method, path, operation) => list.push(`${method.toUpperCase()} ${path} - ${operation.summary}`));
+  return list;
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// One-line description of a schema's type and constraints for the docs page
+function schemaSummary(document, schema) {
+  const s = resolveRef(document, schema);
+  if (s.anyOf) return s.anyOf.map(alternative => schemaSummary(document, alternative)).join(' or ');
+  const parts = [s.type === 'array' && s.items ? `array of ${schemaSummary(document, s.items)}` : s.type || 'any'];
+  if (schema.$ref) parts[0] = schema.$ref.split('/').pop();
+  if (s.format) parts.push(s.format);
+  if (s.enum) parts.push(`one of ${s.enum.join(', ')}`);
+  if (s.minimum !== undefined || s.maximum !== undefined) parts.push(boundsText(s));
+  if (s.minLength !== undefined || s.maxLength !== undefined) parts.push(lengthText(s));
+  if (s.minItems !== undefined) parts.push(`at least ${s.minItems} item(s)`);
+  if (s.maxItems !== undefined) parts.push(`at most ${s.maxItems} items`);
+  if (s.nullable) parts.push('nullable');
+  if (s.default !== undefined) parts.push(`default ${s.default}`);
+  return parts.join(', ');
+}
+
+function table(headings, rows) {
+  const head = headings.map(heading => `<th>${heading}</th>`).join('');
+  const body = rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function propertiesTable(document, schema) {
+  const s = resolveRef(document, schema);
+  const required = s.required || [];
+  return table(['Field', 'Type', 'Required', 'Description'], Object.keys(s.properties).map(name => [
+    `<code>${escapeHtml(name)}</code>`,
+    escapeHtml(schemaSummary(document, s.properties[name])),
+    required.includes(name) ? 'yes' : '',
+    escapeHtml(resolveRef(document, s.properties[name]).description || '')
+  ]));
+}
+
+function renderOperation(document, method, path, operation, pathItem) {
+  const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+    .map(parameter => resolveRef(document, parameter));
+  const parts = [
+    `<section class="operation" id="${escapeHtml(operation.operationId)}">`,
+    `<h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>`,
+    `<p><strong>${escapeHtml(operation.summary)}</strong></p>`
+  ];
+  if (operation.description) parts.push(`<p>${escapeHtml(operation.description)}</p>`);
+  if (operation.security && operation.security.length === 0) parts.push('<p class="note">No API key required.</p>');
+  if (operation.security && operation.security.length > 0) {
+    const schemes = (document.components && document.components.securitySchemes) || {};
+    const describe = (name) => (schemes[name] && schemes[name].description) || name;
+    const required = operation.security.map(requirement => Object.keys(requirement).map(describe).join(' and ')).join(' or ');
+    parts.push(`<p class="note">Authentication: ${escapeHtml(required)}</p>`);
+  }
+  if (parameters.length > 0) {
+    parts.push('<h4>Parameters</h4>', table(['Name', 'In', 'Type', 'Required', 'Description'], parameters.map(parameter => [
+      `<code>${escapeHtml(parameter.name)}</code>`,
+      parameter.in,
+      escapeHtml(schemaSummary(document, parameter.schema)),
+      parameter.required ? 'yes' : '',
+      escapeHtml(parameter.description || '')
+    ])));
+  }
+  if (operation.requestBody) {
+    const body = resolveRef(document, operation.requestBody);
+    parts.push('<h4>Request body</h4>');
+    if (body.description) parts.push(`<p>${escapeHtml(body.description)}</p>`);
+    Object.keys(body.content).forEach(mediaType => {
+      const schema = body.content[mediaType].schema;
+      const resolved = resolveRef(document, schema);
+      parts.push(`<p><code>${escapeHtml(mediaType)}</code>: ${escapeHtml(schemaSummary(document, schema))}</p>`);
+      if (resolved.properties && !schema.$ref) parts.push(propertiesTable(document, resolved));
+    });
+  }
+  parts.push('<h4>Responses</h4>', table(['Status', 'Description'], Object.keys(operation.responses).map(status => [
+    status,
+    escapeHtml(resolveRef(document, operation.responses[status]).description)
+  ])));
+  parts.push('</section>');
+  return parts.join('\n');
+}
+
+// Self-contained HTML page describing every operation and schema in the
+// document, grouped by tag, for reading in a browser
+function renderDocsPage(document) {
+  const byTag = new Map((document.tags || []).map(tag => [tag.name, []]));
+  forEachOperation(document, (method, path, operation, pathItem) => {
+    const tag = (operation.tags || ['Other'])[0];
+    if (!byTag.has(tag)) byTag.set(tag, []);
+    byTag.get(tag).push({ method, path, operation, html: renderOperation(document, method, path, operation, pathItem) });
+  });
+  const tagDescriptions = new Map((document.tags || []).map(tag => [tag.name, tag.description]));
+  const schemas = (document.components && document.components.schemas) || {};
+
+  const contents = Array.from(byTag.keys()).map(tag => `<li>${escapeHtml(tag)}<ul>${byTag.get(tag).map(entry =>
+    `<li><a href="#${escapeHtml(entry.operation.operationId)}">${entry.method.toUpperCase()} ${escapeHtml(entry.path)}</a></li>`
+  ).join('')}</ul></li>`).join('\n');
+  const sections = Array.from(byTag.keys()).map(tag => [
+    `<h2>${escapeHtml(tag)}</h2>`,
+    tagDescriptions.get(tag) ? `<p>${escapeHtml(tagDescriptions.get(tag))}</p>` : '',
+    ...byTag.get(tag).map(entry => entry.html)
+  ].join('\n')).join('\n');
+  const schemaSections = Object.keys(schemas).map(name => [
+    `<section class="operation" id="schema-${escapeHtml(name)}">`,
+    `<h3>${escapeHtml(name)}</h3>`,
+    schemas[name].description ? `<p>${escapeHtml(schemas[name].description)}</p>` : '',
+    schemas[name].properties ? propertiesTable(document, schemas[name]) : `<p>${escapeHtml(schemaSummary(document, schemas[name]))}</p>`,
+    '</section>'
+  ].join('\n')).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.info.title)} ${escapeHtml(document.info.version)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1100px; margin: 0 auto; padding: 20px; color: #222; line-height: 1.45; }
+code { background: #f2f2f2; padding: 1px 4px; border-radius: 3px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; font-size: 14px; }
+th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f7f7f7; }
+.operation { border: 1px solid #e3e3e3; border-radius: 6px; padding: 4px 16px; margin: 16px 0; }
+.method { display: inline-block; min-width: 52px; text-align: center; color: #fff; border-radius: 4px; padding: 2px 6px; font-size: 13px; }
+.method.get { background: #2196f3; }
+.method.post { background: #4caf50; }
+.method.put, .method.patch { background: #ff9800; }
+.method.delete { background: #f44336; }
+.note { color: #666; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+<p>${escapeHtml(document.info.description || '')}</p>
+<p>Machine-readable description: <a href="openapi.json">openapi.json</a> (OpenAPI ${escapeHtml(document.openapi)})</p>
+<ul>
+${contents}
+<li><a href="#schemas">Schemas</a></li>
+</ul>
+${sections}
+<h2 id="schemas">Schemas</h2>
+${schemaSections}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  createApiValidator,
+  compareRoutes,
+  listOperations,
+  renderDocsPage
+};
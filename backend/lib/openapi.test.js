@@ -0,0 +1,176 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createApiValidator, compareRoutes, listOperations } = require('./openapi');
+
+const document = {
+  openapi: '3.0.3',
+  info: { title: 'Test', version: '1' },
+  paths: {
+    '/api/servers/{serverName}': {
+      parameters: [{ name: 'serverName', in: 'path', required: true, schema: { $ref: '#/components/schemas/ServerName' } }],
+      get: {
+        summary: 'One server',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+          { name: 'ratio', in: 'query', schema: { type: 'number' } },
+          { name: 'raw', in: 'query', schema: { type: 'boolean' } },
+          { name: 'order', in: 'query', required: true, schema: { type: 'string', enum: ['asc', 'desc'] } }
+        ],
+        responses: { 200: { description: 'OK' } }
+      }
+    },
+    '/api/data': {
+      post: {
+        summary: 'Submit a sample',
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Sample' } } } },
+        responses: { 200: { description: 'OK' } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      ServerName: { type: 'string', format: 'server-name', pattern: '^[a-z0-9-]+$', maxLength: 8 },
+      Sample: {
+        type: 'object',
+        required: ['server_name', 'rx_rate'],
+        properties: {
+          server_name: { $ref: '#/components/schemas/ServerName' },
+          rx_rate: { type: 'number', minimum: 0 },
+          note: { type: 'string', nullable: true },
+          tags: { type: 'array', maxItems: 2, items: { type: 'string', minLength: 1 } },
+          timestamp: {
+            anyOf: [
+              { type: 'string', description: 'an ISO 8601 date-time' },
+              { type: 'integer', minimum: 0, description: 'Unix seconds' }
+            ]
+          }
+        }
+      }
+    }
+  }
+};
+
+const formats = { 'server-name': { text: 'a lowercase name' } };
+
+describe('createApiValidator check', () => {
+  const { check } = createApiValidator(document, { formats });
+  const Sample = document.components.schemas.Sample;
+  const sample = (fields = {}) => ({ server_name: 'web-1', rx_rate: 1.5, ...fields });
+
+  it('accepts a matching value', () => {
+    assert.equal(check(Sample, sample({ note: null, tags: ['a'], timestamp: 0 }), 'Sample'), null);
+  });
+
+  it('names every missing required field, null counting as missing', () => {
+    assert.deepEqual(check(Sample, { rx_rate: null }, 'Sample'), {
+      field: 'server_name',
+      message: 'Missing required fields: server_name, rx_rate'
+    });
+  });
+
+  it('reports the path to the offending value', () => {
+    assert.deepEqual(check(Sample, sample({ rx_rate: 'fast' }), 'Sample'), { field: 'rx_rate', message: 'rx_rate must be a number of at least 0' });
+    assert.deepEqual(check(Sample, sample({ tags: ['a', ''] }), 'Sample'), { field: 'tags[1]', message: 'tags[1] must be at least 1 characters long' });
+    assert.deepEqual(check({ type: 'array', items: Sample }, [sample(), sample({ rx_rate: -1 })], 'Body'), {
+      field: '[1].rx_rate',
+      message: '[1].rx_rate must be a number of at least 0'
+    });
+  });
+
+  it('checks bounds, lengths, item counts and enums', () => {
+    assert.equal(check(Sample, sample({ tags: ['a', 'b', 'c'] }), 'Sample').message, 'tags must hold at most 2 items');
+    assert.equal(check({ type: 'integer', minimum: 1, maximum: 100 }, 101, 'limit').message, 'limit must be a whole number from 1 to 100');
+    assert.equal(check({ type: 'integer' }, 1.5, 'limit').message, 'limit must be a whole number');
+    assert.equal(check({ type: 'string', enum: ['asc', 'desc'] }, 'up', 'order').message, 'order must be one of: asc, desc');
+    assert.equal(check({ type: 'string' }, null, 'order').message, 'order must not be null');
+  });
+
+  it('describes a pattern by its format', () => {
+    assert.equal(check(Sample, sample({ server_name: 'Web_1' }), 'Sample').message, 'server_name must be a lowercase name');
+    assert.equal(check({ type: 'string', pattern: '^x+$' }, 'y', 'name').message, 'name must be text matching ^x+$');
+    assert.equal(check(Sample, sample({ server_name: 'web-server-1' }), 'Sample').message, 'server_name must be at most 8 characters long');
+  });
+
+  it('reports anyOf against the alternative of the value\'s type', () => {
+    assert.equal(check(Sample, sample({ timestamp: -1 }), 'Sample').message, 'timestamp must be a whole number of at least 0');
+    assert.equal(check(Sample, sample({ timestamp: true }), 'Sample').message, 'timestamp must be an ISO 8601 date-time or Unix seconds');
+  });
+});
+
+describe('createApiValidator validateRequest', () => {
+  const invalid = [];
+  const { validateRequest } = createApiValidator(document, { formats, onInvalid: (req, error) => invalid.push(error) });
+
+  // Run the middleware and return what it did: call next() or respond
+  const run = (request) => {
+    const req = { method: 'GET', query: {}, params: {}, is: () => false, ...request };
+    let outcome = null;
+    const res = {
+      status(code) { outcome = { status: code }; return res; },
+      json(body) { outcome.body = body; }
+    };
+    validateRequest(req, res, (err) => { outcome = { next: true, err }; });
+    return outcome;
+  };
+  const get = (query, serverName = 'web-1') => run({ route: { path: '/api/servers/:serverName' }, params: { serverName }, query });
+
+  it('passes a request matching its operation, reading query values as their types', () => {
+    assert.deepEqual(get({ order: 'asc', limit: ' 10 ', ratio: '0.5', raw: '1' }), { next: true, err: undefined });
+  });
+
+  it('answers 400 naming the field', () => {
+    assert.deepEqual(get({ order: 'asc', limit: '0' }), {
+      status: 400,
+      body: { error: 'Bad Request', message: 'limit must be a whole number from 1 to 100', field: 'limit' }
+    });
+    assert.equal(get({ order: 'asc', raw: 'yes' }).body.message, 'raw must be true or false');
+    assert.equal(get({ order: 'asc', ratio: '' }).body.message, 'ratio must be a number');
+    assert.equal(get({}).body.message, 'order is required');
+    assert.equal(get({ order: 'asc' }, 'WEB').body.field, 'serverName');
+    assert.deepEqual(invalid[0], { in: 'query', field: 'limit', message: 'limit must be a whole number from 1 to 100' });
+  });
+
+  it('refuses a query parameter given more than once', () => {
+    assert.equal(get({ order: ['asc', 'desc'] }).body.message, 'order must be given once');
+    assert.equal(get({ order: { a: 'asc' } }).body.message, 'order must be given once');
+  });
+
+  it('checks the body against the operation\'s media type', () => {
+    const post = (body) => run({ method: 'POST', route: { path: '/api/data' }, body, is: () => 'application/json' });
+    assert.deepEqual(post({ server_name: 'web-1', rx_rate: 1 }), { next: true, err: undefined });
+    assert.equal(post({ server_name: 'web-1' }).body.message, 'Missing required fields: rx_rate');
+    assert.equal(post([]).body.message, 'Body must be an object');
+  });
+
+  it('fails routes the document doesn\'t describe', () => {
+    const outcome = run({ route: { path: '/api/unknown' } });
+    assert.equal(outcome.err.message, 'No operation in the API description for GET /api/unknown');
+  });
+});
+
+describe('compareRoutes', () => {
+  it('lists undescribed, unvalidated and unserved routes', () => {
+    const validate = (req, res, next) => next();
+    const handler = (req, res) => res.end();
+    const app = express();
+    app.get('/api/servers/:serverName', validate, handler);
+    app.post('/api/data', handler);
+    app.get('/api/extra', validate, handler);
+    assert.deepEqual(compareRoutes(app, document, validate), {
+      undescribed: ['GET /api/extra'],
+      unvalidated: ['POST /api/data'],
+      unserved: []
+    });
+
+    const empty = express();
+    empty.get('/health', handler);
+    assert.deepEqual(compareRoutes(empty, document, validate).unserved, ['GET /api/servers/:serverName', 'POST /api/data']);
+  });
+});
+
+describe('listOperations', () => {
+  it('lists every operation in document order', () => {
+    assert.deepEqual(listOperations(document), ['GET /api/servers/{serverName} - One server', 'POST /api/data - Submit a sample']);
+  });
+});
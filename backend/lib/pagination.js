@@ -0,0 +1,44 @@
+// Keyset (cursor) pagination over the sample tables
+//
+// Rows are ordered by time and then by a key that tells rows of one server
+// at the same time apart: the id for raw samples, the interface for rollup
+// buckets (sampleSource().cursorKey). A cursor marks the last row of a page,
+// so the next page starts right after it no matter how many rows came
+// before, and rows arriving in the meantime don't shift the pages.
+
+// Opaque cursor text for the row a page ended at, read at `resolution`
+function encodeCursor(resolution, time, key) {
+  const position = { r: resolution, t: new Date(time).getTime(), k: key };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// { resolution, time, key } from cursor text, or null if it isn't one
+function decodeCursor(text) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!position || typeof position.r !== 'string' || !Number.isFinite(position.t)) return null;
+  if (typeof position.k !== 'number' && typeof position.k !== 'string') return null;
+  return { resolution: position.r, time: new Date(position.t), key: position.k };
+}
+
+// SQL condition for the rows after a cursor when ordering by timeColumn and
+// keyColumn ascending ('asc') or descending ('desc'), with its parameters.
+// Without a cursor every row qualifies.
+function keysetClause(timeColumn, keyColumn, cursor, direction) {
+  if (!cursor) return { clause: '', params: [] };
+  const op = direction === 'desc' ? '<' : '>';
+  return {
+    clause: `AND (${timeColumn} ${op} ? OR (${timeColumn} = ? AND ${keyColumn} ${op} ?))`,
+    params: [cursor.time, cursor.time, cursor.key]
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  keysetClause
+};
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, keysetClause } = require('./pagination');
+
+const TIME = new Date('2026-10-19T12:00:00Z');
+
+describe('encodeCursor and decodeCursor', () => {
+  it('round-trip numeric and interface keys', () => {
+    assert.deepEqual(decodeCursor(encodeCursor('raw', TIME, 42)), { resolution: 'raw', time: TIME, key: 42 });
+    assert.deepEqual(decodeCursor(encodeCursor('1h', TIME.getTime(), 'eth0')), { resolution: '1h', time: TIME, key: 'eth0' });
+  });
+
+  it('produce URL-safe text', () => {
+    assert.match(encodeCursor('1m', TIME, 'wg0/peer?'), /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('reject text that is not a cursor', () => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    for (const text of [
+      'not a cursor',
+      '',
+      encode(null),
+      encode({ r: 'raw', t: 'yesterday', k: 1 }),
+      encode({ r: 5, t: 0, k: 1 }),
+      encode({ r: 'raw', t: 0 }),
+      encode({ r: 'raw', t: 0, k: [1] })
+    ]) {
+      assert.equal(decodeCursor(text), null, text);
+    }
+  });
+});
+
+describe('keysetClause', () => {
+  const cursor = { resolution: 'raw', time: TIME, key: 42 };
+
+  it('is empty without a cursor', () => {
+    assert.deepEqual(keysetClause('timestamp', 'id', null, 'asc'), { clause: '', params: [] });
+  });
+
+  it('continues after the cursor in either direction', () => {
+    assert.deepEqual(keysetClause('timestamp', 'id', cursor, 'asc'), {
+      clause: 'AND (timestamp > ? OR (timestamp = ? AND id > ?))',
+      params: [TIME, TIME, 42]
+    });
+    assert.equal(
+      keysetClause('bucket_start', 'interface_name', cursor, 'desc').clause,
+      'AND (bucket_start < ? OR (bucket_start = ? AND interface_name < ?))'
+    );
+  });
+});
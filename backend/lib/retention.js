@@ -0,0 +1,160 @@
+// Scheduled purge of samples and rollups past their retention period
+
+const { TIERS, bucketStart } = require('./rollups');
+
+// Defaults for the retention section of config.js (days, 0 keeps forever)
+const DEFAULT_RETENTION = {
+  rawDays: 30,
+  rollup1mDays: 90,
+  rollup1hDays: 730,
+  rollup1dDays: 0,
+  purgeIntervalMinutes: 60, // How often expired rows are purged
+  deleteChunkSize: 5000,    // Rows removed per DELETE statement
+  chunkDelayMs: 100,        // Pause between DELETEs so ingestion can get in
+  servers: {}               // Per-server overrides, e.g. { 'web-1': { rawDays: 7 } }
+};
+
+// Completed runs kept for the admin report
+const RUN_HISTORY = 10;
+
+// Purges each table server by server, in chunks of deleteChunkSize rows with
+// a pause in between, so the table is never locked for long while agents
+// write to it. `options.pendingSince()` returns the oldest sample time that
+// still has to be rolled up (or null); nothing from that point on is deleted.
+function createRetentionManager(db, overrides, options = {}) {
+  const settings = Object.assign({}, DEFAULT_RETENTION, overrides);
+  settings.servers = settings.servers || {};
+  const pendingSince = options.pendingSince || (() => null);
+
+  const history = [];
+  let running = false;
+  let timer = null;
+  let nextRunAt = null;
+
+  const retentionDays = (serverName, tier) => {
+    const override = settings.servers[serverName];
+    const days = override && override[tier.retentionKey] !== undefined
+      ? override[tier.retentionKey]
+      : settings[tier.retentionKey];
+    return Number(days) || 0;
+  };
+
+  // Oldest time kept for a server in a tier, or null to keep everything.
+  // The cutoff is moved back to a bucket boundary of the tier built from
+  // this one, so re-aggregating a bucket never sees half of its source rows.
+  const cutoffFor = (serverName, index, now) => {
+    const days = retentionDays(serverName, TIERS[index]);
+    if (days <= 0) return null;
+    let cutoff = now - days * 24 * 3600 * 1000;
+    if (TIERS[index + 1]) cutoff = bucketStart(cutoff, TIERS[index + 1]);
+    const pending = pendingSince();
+    if (pending !== null) cutoff = Math.min(cutoff, bucketStart(pending, TIERS[TIERS.length - 1]));
+    return cutoff;
+  };
+
+  // Delete one server's expired rows from a table, chunk by chunk
+  const purgeServer = (tier, serverName, cutoff, callback) => {
+    const time = tier.name === 'raw' ? 'timestamp' : 'bucket_start';
+    const query = db.sql.deleteLimit(tier.table, `server_name = ? AND ${time} < ?`, settings.deleteChunkSize);
+    let deleted = 0;
+    const deleteChunk = () => {
+      db.query(query, [serverName, new Date(cutoff)], (err, result) => {
+        if (err) return callback(err, deleted);
+        deleted += result.affectedRows;
+        if (result.affectedRows < settings.deleteChunkSize) return callback(null, deleted);
+        setTimeout(deleteChunk, settings.chunkDelayMs);
+      });
+    };
+    deleteChunk();
+  };
+
+  const purgeTier = (index, now, report, callback) => {
+    const tier = TIERS[index];
+    report.deleted[tier.name] = 0;
+    db.query(`SELECT DISTINCT server_name FROM ${tier.table}`, (err, rows) => {
+      if (err) return callback(err);
+      const servers = rows.map(row => row.server_name);
+      const next = (i) => {
+        if (i >= servers.length) return callback(null);
+        const serverName = servers[i];
+        const cutoff = cutoffFor(serverName, index, now);
+        if (cutoff === null) return next(i + 1);
+        purgeServer(tier, serverName, cutoff, (err, deleted) => {
+          if (deleted > 0) {
+            report.deleted[tier.name] += deleted;
+            if (!report.servers[serverName]) report.servers[serverName] = {};
+            report.servers[serverName][tier.name] = deleted;
+          }
+          if (err) return callback(err);
+          next(i + 1);
+        });
+      };
+      next(0);
+    });
+  };
+
+  // Purge every table once. Calls back with the run report, or with null if
+  // a run is already in progress.
+  const run = (callback = () => {}) => {
+    if (running) return callback(null, null);
+    running = true;
+    const now = Date.now();
+    const report = { started_at: new Date(now), finished_at: null, duration_ms: null, deleted: {}, servers: {}, error: null };
+
+    const finish = (err) => {
+      running = false;
+      report.finished_at = new Date();
+      report.duration_ms = report.finished_at - report.started_at;
+      // The cause goes to the log, not to the admin report
+      if (err) report.error = 'Purge failed; see the backend log';
+      history.unshift(report);
+      history.splice(RUN_HISTORY);
+      callback(err || null, report);
+    };
+
+    const next = (index) => {
+      if (index >= TIERS.length) return finish(null);
+      purgeTier(index, now, report, err => {
+        if (err) return finish(err);
+        next(index + 1);
+      });
+    };
+    next(0);
+  };
+
+  const start = () => {
+    const intervalMs = settings.purgeIntervalMinutes * 60 * 1000;
+    const tick = () => {
+      nextRunAt = new Date(Date.now() + intervalMs);
+      run((err, report) => {
+        if (err) return console.error('Retention purge failed:', err.message);
+        if (!report) return;
+        const purged = Object.entries(report.deleted).filter(([, count]) => count > 0);
+        if (purged.length > 0) {
+          console.log(`🧹 Purged expired rows: ${purged.map(([name, count]) => `${name} ${count}`).join(', ')}`);
+        }
+      });
+    };
+    tick();
+    timer = setInterval(tick, intervalMs);
+  };
+
+  const stop = () => clearInterval(timer);
+
+  const report = () => ({
+    running,
+    purge_interval_minutes: settings.purgeIntervalMinutes,
+    next_run_at: nextRunAt,
+    retention_days: Object.fromEntries(TIERS.map(tier => [tier.name, Number(settings[tier.retentionKey]) || 0])),
+    server_overrides: settings.servers,
+    last_run: history[0] || null,
+    history
+  });
+
+  return { settings, run, start, stop, report };
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  createRetentionManager
+};
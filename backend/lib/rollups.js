@@ -0,0 +1,372 @@
+// Downsampled copies of vnstat_data at 1-minute, 1-hour and 1-day resolution
+
+// Defaults for the rollups section of config.js
+const DEFAULT_ROLLUPS = {
+  enabled: true,
+  intervalSeconds: 60   // How often new samples are rolled up
+};
+
+// Resolutions from finest to coarsest. Each rollup tier is built from the
+// one before it. maxRangeHours is the longest range a tier is picked for
+// automatically; windowHours is how much of it one INSERT ... SELECT covers.
+const TIERS = [
+  { name: 'raw', table: 'vnstat_data', retentionKey: 'rawDays', maxRangeHours: 6 },
+  { name: '1m', table: 'vnstat_rollup_1m', retentionKey: 'rollup1mDays', maxRangeHours: 48,
+    bucketUnit: 'minute', bucketMs: 60 * 1000, windowHours: 24 },
+  { name: '1h', table: 'vnstat_rollup_1h', retentionKey: 'rollup1hDays', maxRangeHours: 90 * 24,
+    bucketUnit: 'hour', bucketMs: 3600 * 1000, windowHours: 30 * 24 },
+  { name: '1d', table: 'vnstat_rollup_1d', retentionKey: 'rollup1dDays', maxRangeHours: Infinity,
+    bucketUnit: 'day', bucketMs: 24 * 3600 * 1000, windowHours: 365 * 24 }
+];
+const RESOLUTIONS = TIERS.map(tier => tier.name);
+
+// Rate columns summarised in each rollup bucket, and the sample count their
+// averages are weighted by (packet rates are missing from older samples)
+const METRICS = [
+  { name: 'rx', column: 'rx_rate', weight: 'samples' },
+  { name: 'tx', column: 'tx_rate', weight: 'samples' },
+  { name: 'rx_pps', column: 'rx_pps', weight: 'pps_samples' },
+  { name: 'tx_pps', column: 'tx_pps', weight: 'pps_samples' }
+];
+
+const ROLLUP_COLUMNS = [
+  'server_name', 'interface', 'bucket_start', 'samples', 'pps_samples',
+  ...METRICS.flatMap(m => [`${m.name}_min`, `${m.name}_avg`, `${m.name}_max`]),
+  'last_timestamp', 'last_received_at'
+];
+
+// SELECT list that fills a tier's columns from the tier below it
+function rollupSelect(sql, tier, source) {
+  if (source.name === 'raw') {
+    return [
+      'server_name', 'interface', `${sql.timeBucket('timestamp', tier.bucketUnit)} as bucket`,
+      'COUNT(*)', 'COUNT(rx_pps)',
+      ...METRICS.flatMap(m => [`MIN(${m.column})`, `AVG(${m.column})`, `MAX(${m.column})`]),
+      'MAX(timestamp)', 'MAX(received_at)'
+    ].join(', ');
+  }
+  return [
+    'server_name', 'interface', `${sql.timeBucket('bucket_start', tier.bucketUnit)} as bucket`,
+    'SUM(samples)', 'SUM(pps_samples)',
+    ...METRICS.flatMap(m => [
+      `MIN(${m.name}_min)`,
+      `SUM(${m.name}_avg * ${m.weight}) / NULLIF(SUM(${m.weight}), 0)`,
+      `MAX(${m.name}_max)`
+    ]),
+    'MAX(last_timestamp)', 'MAX(last_received_at)'
+  ].join(', ');
+}
+
+// SQL fragments for reading rates at a resolution, so the query routes can
+// use the same statements for raw samples and rollups. Rollup averages are
+// weighted by sample count, which makes them equal to the raw AVG().
+function sampleSource(resolution) {
+  if (resolution === 'raw') {
+    return {
+      resolution,
+      table: 'vnstat_data',
+      time: 'timestamp',
+      bucketMs: 0,
+      earliestTime: 'MIN(timestamp)',
+      latestTime: 'MAX(timestamp)',
+      latestReceivedAt: 'MAX(received_at)',
+      count: 'COUNT(*)',
+      avg: metric => `AVG(${METRICS.find(m => m.name === metric).column})`,
+      min: metric => `MIN(${METRICS.find(m => m.name === metric).column})`,
+      max: metric => `MAX(${METRICS.find(m => m.name === metric).column})`,
+      // Highest rate of a row, for peaks found per row rather than per group
+      peakColumn: metric => METRICS.find(m => m.name === metric).column,
+      rowColumns: 'id, rx_rate, tx_rate, rx_pps, tx_pps',
+      rowFields: ['id', 'rx_rate', 'tx_rate', 'rx_pps', 'tx_pps'],
+      // Tells samples of a server with the same timestamp apart (lib/pagination.js)
+      cursorKey: 'id'
+    };
+  }
+  return {
+    resolution,
+    table: TIERS.find(tier => tier.name === resolution).table,
+    time: 'bucket_start',
+    bucketMs: TIERS.find(tier => tier.name === resolution).bucketMs,
+    earliestTime: 'MIN(bucket_start)',
+    latestTime: 'MAX(last_timestamp)',
+    latestReceivedAt: 'MAX(last_received_at)',
+    count: 'SUM(samples)',
+    avg: metric => {
+      const { weight } = METRICS.find(m => m.name === metric);
+      return `SUM(${metric}_avg * ${weight}) / NULLIF(SUM(${weight}), 0)`;
+    },
+    min: metric => `MIN(${metric}_min)`,
+    max: metric => `MAX(${metric}_max)`,
+    peakColumn: metric => `${metric}_max`,
+    rowColumns: `rx_avg as rx_rate, tx_avg as tx_rate, rx_pps_avg as rx_pps, tx_pps_avg as tx_pps,
+      rx_min, rx_max, tx_min, tx_max, samples`,
+    rowFields: ['rx_rate', 'tx_rate', 'rx_pps', 'tx_pps', 'rx_min', 'rx_max', 'tx_min', 'tx_max', 'samples'],
+    // A server has one bucket per interface and bucket_start
+    cursorKey: 'interface'
+  };
+}
+
+// Start of the bucket containing a time, in local time like sql.timeBucket()
+function bucketStart(time, tier) {
+  const d = new Date(time);
+  if (tier.name === '1d') return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+  if (tier.name === '1h') return new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours()).getTime();
+  d.setSeconds(0, 0);
+  return d.getTime();
+}
+
+// End of the bucket containing a time: the start of the next bucket, or the
+// time itself if it is on a bucket boundary
+function bucketEnd(time, tier) {
+  const start = bucketStart(time, tier);
+  if (start === time) return time;
+  if (tier.name === '1d') {
+    const d = new Date(start);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).getTime();
+  }
+  return start + tier.bucketMs;
+}
+
+// Maintains the rollup tables. New samples are reported through markDirty();
+// each run re-aggregates the affected buckets of those servers, so late
+// samples (batch uploads) are picked up too. Buckets are recomputed rather
+// than incremented, which makes a run safe to repeat. `retention` holds the
+// retention settings with their per-server overrides (lib/retention.js),
+// used to pick resolutions.
+function createRollupManager(db, rollupOverrides, retention = {}) {
+  const options = Object.assign({}, DEFAULT_ROLLUPS, rollupOverrides);
+  const dirty = new Map(); // server_name -> oldest new sample time (ms)
+  let inProgress = new Map(); // servers taken from dirty by the current run
+  let running = false;
+  let waiting = []; // callbacks of calls made while a run was in progress
+  let timer = null;
+  let lastRun = null;
+
+  // How long a tier keeps the data of the given servers (every server for
+  // null): the shortest of their retention periods, overrides included
+  const retentionHours = (tier, serverNames = null) => {
+    const overrides = retention.servers || {};
+    const serverOverrides = serverNames ? serverNames.map(name => overrides[name]) : [null, ...Object.values(overrides)];
+    return Math.min(...serverOverrides.map(override => {
+      const days = Number(override && override[tier.retentionKey] !== undefined
+        ? override[tier.retentionKey]
+        : retention[tier.retentionKey]) || 0;
+      return days > 0 ? days * 24 : Infinity;
+    }));
+  };
+
+  const markDirty = (samples) => {
+    samples.forEach(sample => {
+      const time = new Date(sample.timestamp).getTime();
+      const current = dirty.get(sample.server_name);
+      if (current === undefined || time < current) dirty.set(sample.server_name, time);
+    });
+  };
+
+  // Pick the resolution for a range of rangeHours starting hoursBack ago:
+  // the finest one meant for ranges this long that still holds data that
+  // far back for the servers read (serverNames, or null for every server)
+  const pickResolution = (rangeHours, hoursBack = rangeHours, serverNames = null) => {
+    if (!options.enabled) return 'raw';
+    const tier = TIERS.find(t => rangeHours <= t.maxRangeHours && hoursBack <= retentionHours(t, serverNames));
+    return (tier || TIERS[TIERS.length - 1]).name;
+  };
+
+  // Pick the resolution for fixed-width buckets of stepMs from fromMs to
+  // toMs: among the ones whose buckets divide stepMs and that still hold data
+  // from fromMs for serverNames (null for every server), the coarsest one no
+  // coarser than pickResolution() would use for the range, or else the
+  // finest one. The window is widened to that resolution's bucket boundaries
+  // so every bucket read lies inside one of the requested ones, and bucket
+  // min/max/avg come out as if computed from the samples. Returns
+  // { resolution, fromMs, toMs }, or { error } when only resolutions too
+  // coarse for stepMs hold data from that far back.
+  const pickSeriesResolution = (fromMs, toMs, stepMs, serverNames = null) => {
+    if (!options.enabled) return { resolution: 'raw', fromMs, toMs };
+    const hoursBack = (Date.now() - fromMs) / 3600000;
+    // Once every tier has been purged past fromMs, the longest-kept one
+    // still holds the most of the window
+    const kept = (t) => retentionHours(t, serverNames);
+    const longestKept = TIERS.reduce((best, t) => (kept(t) >= kept(best) ? t : best));
+    const holding = TIERS.filter(t => hoursBack <= kept(t));
+    const available = holding.length > 0 ? holding : [longestKept];
+    const fitting = available.filter(t => t.name === 'raw' || stepMs % t.bucketMs === 0);
+    if (fitting.length === 0) {
+      const finest = available[0];
+      return {
+        error: {
+          field: 'step',
+          message: `step must be a multiple of ${finest.bucketMs / 1000} seconds this far back, where nothing finer than ${finest.name} rollups is kept`
+        }
+      };
+    }
+    const coarsest = TIERS.findIndex(t => t.name === pickResolution((toMs - fromMs) / 3600000, hoursBack, serverNames));
+    const preferred = fitting.filter(t => TIERS.indexOf(t) <= coarsest);
+    const tier = preferred.length > 0 ? preferred[preferred.length - 1] : fitting[0];
+    if (tier.name === 'raw') return { resolution: 'raw', fromMs, toMs };
+    return { resolution: tier.name, fromMs: bucketStart(fromMs, tier), toMs: bucketEnd(toMs, tier) };
+  };
+
+  // Re-aggregate one tier for a server from `from` onwards, in windows of
+  // tier.windowHours so backfills don't turn into one huge statement
+  const rollupTier = (tier, source, serverName, from, callback) => {
+    const sourceTime = source.name === 'raw' ? 'timestamp' : 'bucket_start';
+    const query = `
+      INSERT INTO ${tier.table} (${ROLLUP_COLUMNS.join(', ')})
+      SELECT ${rollupSelect(db.sql, tier, source)}
+      FROM ${source.table}
+      WHERE server_name = ? AND ${sourceTime} >= ? AND ${sourceTime} < ?
+      GROUP BY server_name, interface, bucket
+      ${db.sql.onConflict(ROLLUP_COLUMNS.slice(0, 3), { set: ROLLUP_COLUMNS.slice(3) })}
+    `;
+    const windowMs = tier.windowHours * 3600 * 1000;
+    const step = (start) => {
+      if (start > Date.now()) return callback(null);
+      // Windows end on a bucket boundary so no bucket is split between two
+      // statements; the last one is left open so samples slightly in the
+      // future are included
+      const end = bucketStart(start + windowMs, tier);
+      const until = end > Date.now() ? new Date('9999-12-31') : new Date(end);
+      db.query(query, [serverName, new Date(start), until], err => {
+        if (err) return callback(err);
+        step(end);
+      });
+    };
+    step(from);
+  };
+
+  // Roll up every tier for one server, each from the tier below it
+  const rollupServer = (serverName, since, callback) => {
+    const next = (index) => {
+      if (index >= TIERS.length) return callback(null);
+      const tier = TIERS[index];
+      const source = TIERS[index - 1];
+      rollupTier(tier, source, serverName, bucketStart(since, tier), err => {
+        if (err) return callback(err);
+        next(index + 1);
+      });
+    };
+    next(1);
+  };
+
+  // Roll up the given dirty servers, taking them out of dirty
+  const rollupDirty = (serverNames, callback) => {
+    inProgress = new Map(serverNames.map(name => [name, dirty.get(name)]));
+    serverNames.forEach(name => dirty.delete(name));
+    const servers = Array.from(inProgress.entries());
+    const next = (index) => {
+      if (index >= servers.length) return callback(null);
+      const [serverName, since] = servers[index];
+      rollupServer(serverName, since, err => {
+        if (err) {
+          // Put the remaining work back so the next run retries it
+          servers.slice(index).forEach(([name, time]) => markDirty([{ server_name: name, timestamp: time }]));
+          inProgress.clear();
+          return callback(err);
+        }
+        inProgress.delete(serverName);
+        next(index + 1);
+      });
+    };
+    next(0);
+  };
+
+  // Oldest sample time (ms) that hasn't been rolled up yet, or null. The
+  // retention purge never deletes from this point on.
+  const oldestPending = () => {
+    if (!options.enabled) return null;
+    const times = [...dirty.values(), ...inProgress.values()];
+    return times.length > 0 ? Math.min(...times) : null;
+  };
+
+  // One run over the given dirty servers; calls made in the meantime wait
+  // for it
+  const runServers = (serverNames, callback) => {
+    running = true;
+    rollupDirty(serverNames, err => {
+      running = false;
+      if (!err) lastRun = { finished_at: new Date(), servers: serverNames.length };
+      const callbacks = [callback, ...waiting];
+      waiting = [];
+      callbacks.forEach(cb => cb(err));
+    });
+  };
+
+  // Roll up the servers marked dirty. A call made while a run is in
+  // progress calls back when that run finishes.
+  const run = (callback = () => {}) => {
+    if (running) {
+      waiting.push(callback);
+      return;
+    }
+    runServers(Array.from(dirty.keys()), callback);
+  };
+
+  // Roll up the samples received so far from the given servers, then call
+  // back, so that a read of their rollups doesn't trail their newest
+  // samples by up to intervalSeconds. Other servers are left to the next
+  // run. A run in progress may have started before some of the samples
+  // arrived, so it is waited for and the servers checked again.
+  const flush = (serverNames, callback) => {
+    if (!options.enabled) return callback(null);
+    const pending = serverNames.filter(name => dirty.has(name) || inProgress.has(name));
+    if (pending.length === 0) return callback(null);
+    if (running) {
+      waiting.push(err => (err ? callback(err) : flush(serverNames, callback)));
+      return;
+    }
+    runServers(pending, callback);
+  };
+
+  // Resume where the previous process left off: everything after each
+  // server's newest 1-minute bucket, or all of its samples on first start
+  const resume = (callback) => {
+    const query = `
+      SELECT d.server_name, COALESCE(MAX(r.last_bucket), MIN(d.first_sample)) as since
+      FROM (SELECT server_name, MIN(timestamp) as first_sample FROM vnstat_data GROUP BY server_name) d
+      LEFT JOIN (SELECT server_name, MAX(bucket_start) as last_bucket FROM vnstat_rollup_1m GROUP BY server_name) r
+        ON r.server_name = d.server_name
+      GROUP BY d.server_name
+    `;
+    db.query(query, (err, results) => {
+      if (err) return callback(err);
+      markDirty(results.map(row => ({ server_name: row.server_name, timestamp: row.since })));
+      callback(null);
+    });
+  };
+
+  const start = () => {
+    if (!options.enabled) return;
+    resume(err => {
+      if (err) console.error('❌ Failed to resume rollups:', err.message);
+      const tick = () => run(err => {
+        if (err) console.error('Rollup run failed:', err.message);
+      });
+      tick();
+      timer = setInterval(tick, options.intervalSeconds * 1000);
+    });
+  };
+
+  const stop = () => clearInterval(timer);
+
+  const status = () => ({
+    enabled: options.enabled,
+    interval_seconds: options.intervalSeconds,
+    pending_servers: dirty.size + inProgress.size,
+    oldest_pending: oldestPending() === null ? null : new Date(oldestPending()),
+    last_run: lastRun,
+    tiers: TIERS.map(tier => ({ resolution: tier.name, table: tier.table }))
+  });
+
+  return { options, markDirty, oldestPending, pickResolution, pickSeriesResolution, run, flush, start, stop, status };
+}
+
+module.exports = {
+  DEFAULT_ROLLUPS,
+  TIERS,
+  RESOLUTIONS,
+  bucketStart,
+  bucketEnd,
+  sampleSource,
+  createRollupManager
+};
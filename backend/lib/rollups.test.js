@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TIERS, bucketStart, bucketEnd, createRollupManager } = require('./rollups');
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+const tier = (name) => TIERS.find(t => t.name === name);
+
+// Default retention: raw 30 days, 1m 90 days, 1h two years, 1d forever
+const RETENTION = { rawDays: 30, rollup1mDays: 90, rollup1hDays: 730, rollup1dDays: 0 };
+const manager = (overrides = {}, retention = RETENTION) => createRollupManager(null, overrides, retention);
+
+describe('bucketStart and bucketEnd', () => {
+  const time = new Date(2026, 9, 19, 14, 35, 12).getTime();
+
+  it('find the local minute, hour and day around a time', () => {
+    assert.equal(bucketStart(time, tier('1m')), new Date(2026, 9, 19, 14, 35).getTime());
+    assert.equal(bucketStart(time, tier('1h')), new Date(2026, 9, 19, 14).getTime());
+    assert.equal(bucketStart(time, tier('1d')), new Date(2026, 9, 19).getTime());
+    assert.equal(bucketEnd(time, tier('1m')), new Date(2026, 9, 19, 14, 36).getTime());
+    assert.equal(bucketEnd(time, tier('1h')), new Date(2026, 9, 19, 15).getTime());
+    assert.equal(bucketEnd(time, tier('1d')), new Date(2026, 9, 20).getTime());
+  });
+
+  it('leave a time on a boundary where it is', () => {
+    const hour = new Date(2026, 9, 19, 14).getTime();
+    assert.equal(bucketStart(hour, tier('1h')), hour);
+    assert.equal(bucketEnd(hour, tier('1h')), hour);
+  });
+});
+
+describe('pickResolution', () => {
+  it('uses the finest table meant for the range that reaches back far enough', () => {
+    const rollups = manager();
+    assert.equal(rollups.pickResolution(1), 'raw');
+    assert.equal(rollups.pickResolution(24), '1m');
+    assert.equal(rollups.pickResolution(7 * 24), '1h');
+    assert.equal(rollups.pickResolution(365 * 24), '1d');
+    // A short window 60 days back is past raw retention
+    assert.equal(rollups.pickResolution(1, 60 * 24), '1m');
+  });
+
+  it('skips tables a server\'s retention override has purged that far back', () => {
+    const rollups = manager({}, { ...RETENTION, servers: { busy: { rawDays: 1 }, quiet: { rawDays: 0 } } });
+    assert.equal(rollups.pickResolution(1, 3 * 24, ['web-1']), 'raw');
+    assert.equal(rollups.pickResolution(1, 3 * 24, ['busy']), '1m');
+    assert.equal(rollups.pickResolution(1, 60 * 24, ['quiet']), 'raw');
+    // Reading every server, the shortest override counts
+    assert.equal(rollups.pickResolution(1, 3 * 24), '1m');
+  });
+
+  it('always reads raw samples when rollups are off', () => {
+    assert.equal(manager({ enabled: false }).pickResolution(365 * 24), 'raw');
+  });
+});
+
+describe('pickSeriesResolution', () => {
+  const rollups = manager();
+  const now = Date.now();
+
+  it('reads long relative ranges from rollups, widened to their buckets', () => {
+    const from = now - 7 * DAY - 1234;
+    const picked = rollups.pickSeriesResolution(from, now, 3 * HOUR);
+    assert.equal(picked.resolution, '1h');
+    assert.equal(picked.fromMs, bucketStart(from, tier('1h')));
+    assert.equal(picked.toMs, bucketEnd(now, tier('1h')));
+    assert.ok(picked.fromMs <= from && picked.toMs >= now);
+  });
+
+  it('uses the coarsest table whose buckets divide the step', () => {
+    // 1h buckets would be picked for 30 days, but don't divide 30 minutes
+    assert.equal(rollups.pickSeriesResolution(now - 30 * DAY, now, 30 * 60000).resolution, '1m');
+    // 90 seconds fits no rollup table
+    assert.equal(rollups.pickSeriesResolution(now - 2 * HOUR, now, 90000).resolution, 'raw');
+  });
+
+  it('reads short ranges from raw samples, as asked', () => {
+    const picked = rollups.pickSeriesResolution(now - HOUR - 500, now, 60000);
+    assert.deepEqual(picked, { resolution: 'raw', fromMs: now - HOUR - 500, toMs: now });
+  });
+
+  it('never reads a table purged past the start of the window', () => {
+    // Raw samples are only kept for 30 days
+    assert.equal(rollups.pickSeriesResolution(now - 40 * DAY, now - 39 * DAY, 60000).resolution, '1m');
+    // Beyond 90 days only hourly and daily rollups are left
+    assert.deepEqual(rollups.pickSeriesResolution(now - 180 * DAY, now, 1800000).error, {
+      field: 'step',
+      message: 'step must be a multiple of 3600 seconds this far back, where nothing finer than 1h rollups is kept'
+    });
+  });
+
+  it('only reads tables that hold the window for the servers read', () => {
+    const rollups = manager({}, { ...RETENTION, servers: { busy: { rawDays: 1, rollup1mDays: 2 } } });
+    const from = now - 5 * DAY;
+    assert.equal(rollups.pickSeriesResolution(from, from + HOUR, 60000, ['web-1']).resolution, 'raw');
+    assert.equal(rollups.pickSeriesResolution(from, from + HOUR, 3600000, ['busy', 'web-1']).resolution, '1h');
+    assert.equal(rollups.pickSeriesResolution(from, from + HOUR, 60000, ['busy']).error.field, 'step');
+  });
+
+  it('falls back to the longest-kept table once every table is purged past the window', () => {
+    const short = manager({}, { rawDays: 1, rollup1mDays: 2, rollup1hDays: 3, rollup1dDays: 4 });
+    assert.equal(short.pickSeriesResolution(now - 10 * DAY, now, DAY).resolution, '1d');
+  });
+
+  it('reads raw samples when rollups are off', () => {
+    const picked = manager({ enabled: false }).pickSeriesResolution(now - 30 * DAY, now, DAY);
+    assert.deepEqual(picked, { resolution: 'raw', fromMs: now - 30 * DAY, toMs: now });
+  });
+});
+
+describe('flush', () => {
+  // A database that takes a moment to answer every statement
+  const slowDb = () => {
+    const db = {
+      statements: 0,
+      sql: { timeBucket: column => column, onConflict: () => '' },
+      query: (statement, params, callback) => {
+        db.statements++;
+        setTimeout(() => callback(null, { affectedRows: 0 }), 5);
+      }
+    };
+    return db;
+  };
+
+  it('calls back at once when nothing is waiting to be rolled up', (t, done) => {
+    manager().flush(['web-1'], done);
+  });
+
+  it('rolls up pending samples before calling back', (t, done) => {
+    const db = slowDb();
+    const rollups = createRollupManager(db, {}, RETENTION);
+    rollups.markDirty([{ server_name: 'web-1', timestamp: new Date(Date.now() - 5000) }]);
+    rollups.flush(['web-1'], err => {
+      assert.equal(err, null);
+      assert.ok(db.statements > 0);
+      assert.equal(rollups.oldestPending(), null);
+      done();
+    });
+  });
+
+  it('waits for a run in progress and rolls up what arrived during it', (t, done) => {
+    const rollups = createRollupManager(slowDb(), {}, RETENTION);
+    rollups.markDirty([{ server_name: 'web-1', timestamp: new Date(Date.now() - 5000) }]);
+    rollups.run();
+    rollups.markDirty([{ server_name: 'web-2', timestamp: new Date(Date.now() - 5000) }]);
+    rollups.flush(['web-2'], err => {
+      assert.equal(err, null);
+      assert.equal(rollups.oldestPending(), null);
+      assert.equal(rollups.status().last_run.servers, 1);
+      done();
+    });
+  });
+
+  it('leaves the servers it was not given to the background run', (t, done) => {
+    const rollups = createRollupManager(slowDb(), {}, RETENTION);
+    const waiting = Date.now() - 5000;
+    rollups.markDirty([
+      { server_name: 'web-1', timestamp: new Date(Date.now() - 1000) },
+      { server_name: 'web-2', timestamp: new Date(waiting) }
+    ]);
+    rollups.flush(['web-1', 'web-3'], err => {
+      assert.equal(err, null);
+      assert.equal(rollups.status().last_run.servers, 1);
+      assert.equal(rollups.oldestPending(), waiting);
+      done();
+    });
+  });
+});
@@ -0,0 +1,101 @@
+// Storage backends for the dashboard database, selected by database.type in
+// config.js: 'mysql' (default, MySQL or MariaDB) or 'sqlite' (a local file).
+//
+// Both return the same interface, so the routes and background jobs write
+// their SQL once:
+//
+//   type, info                 backend name and connection details for logs
+//   connect(callback)          first connection; MySQL keeps retrying in
+//                              the background after a failure
+//   whenConnected(callback)    calls back once the database is reachable
+//   health()                   { status: 'connecting' | 'connected' |
+//                              'disconnected', ... } for /health
+//   query(sql, [params], callback)
+//                              SELECTs call back with rows, other statements
+//                              with { affectedRows, insertId }. An array
+//                              parameter expands to a list (IN (?)) and an
+//                              array of arrays to row groups (VALUES ?).
+//                              Date parameters and DATETIME results are in
+//                              the backend's local time on both backends.
+//   transaction(work, callback)
+//                              work(connection, done) runs inside a
+//                              transaction that commits when done() gets no
+//                              error and rolls back otherwise
+//   exclusive(name, work, callback)
+//                              work(connection, done) runs while no other
+//                              process holds the lock `name` (migrations)
+//   columnExists(table, column, callback), indexExists(table, index, callback)
+//   isDuplicateKeyError(err)
+//   isUnavailableError(err)    the query failed because the database is
+//                              unreachable, not because of the query
+//   close(callback)
+//   sql                        SQL fragments that differ between backends:
+//     insertIgnore(table, columns)   INSERT that skips rows with an existing key
+//     onConflict(keys, { set, add }) upsert tail: replace `set` columns with
+//                                    the new values, add the new values to `add`
+//     timeBucket(column, unit)       start of the minute/hour/day/month as
+//                                    'YYYY-MM-DD HH:MM:SS' text
+//     tupleIn(columns)               "(a, b) IN" a list of row groups (one ?)
+//     deleteLimit(table, where, limit)  DELETE of at most `limit` rows
+//     bucketIndex(column, stepSeconds)  whole steps from an origin time (one ?)
+//                                       to `column`, for fixed-width buckets
+//
+// Connections handed to work() have query, columnExists, indexExists and sql.
+//
+// observeQueries(storage, observe) wraps a storage so that observe(statement,
+// seconds, err) hears about every query it and its connections run.
+
+const path = require('path');
+const { createMysqlStorage } = require('./mysql');
+
+const STORAGE_TYPES = ['mysql', 'sqlite'];
+
+// Where the SQLite database lives unless database.file says otherwise
+const DEFAULT_SQLITE_FILE = './data/vnstat-dashboard.db';
+
+function createStorage(databaseConfig, baseDir) {
+  const type = databaseConfig.type || 'mysql';
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new Error(`database.type must be one of: ${STORAGE_TYPES.join(', ')}`);
+  }
+  if (type === 'mysql') return createMysqlStorage(databaseConfig);
+
+  // Only SQLite installs need the sqlite3 package
+  const { createSqliteStorage } = require('./sqlite');
+  const file = path.resolve(baseDir, databaseConfig.file || DEFAULT_SQLITE_FILE);
+  return createSqliteStorage(file);
+}
+
+// The same storage, timing each query on it and on the connections handed
+// to transaction() and exclusive() work
+function observeQueries(storage, observe) {
+  const timed = (query) => (statement, params, callback) => {
+    if (typeof params === 'function') {
+      callback = params;
+      params = [];
+    }
+    const started = process.hrtime.bigint();
+    query(statement, params, (err, results) => {
+      observe(statement, Number(process.hrtime.bigint() - started) / 1e9, err);
+      callback(err, results);
+    });
+  };
+  const withTimedConnection = (run) => (...args) => {
+    const work = args[args.length - 2];
+    args[args.length - 2] = (connection, done) => work({ ...connection, query: timed(connection.query) }, done);
+    return run(...args);
+  };
+
+  return Object.assign(Object.create(storage), {
+    query: timed(storage.query),
+    transaction: withTimedConnection(storage.transaction),
+    exclusive: withTimedConnection(storage.exclusive)
+  });
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  DEFAULT_SQLITE_FILE,
+  createStorage,
+  observeQueries
+};
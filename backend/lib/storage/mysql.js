@@ -0,0 +1,331 @@
+// MySQL / MariaDB storage on a mysql2 connection pool
+//
+// The pool is watched: a periodic health check, or any query failing with a
+// connection error, marks the database as disconnected, and it is then
+// reconnected with exponential backoff. While it is down, queries wait up to
+// queueTimeoutMs for it to come back and then fail with an error that
+// isUnavailableError() recognises, so the API can answer 503 instead of
+// hanging or exiting.
+
+const mysql = require('mysql2');
+
+// Defaults for the pool settings in the database section of config.js
+const DEFAULT_CONNECTION = {
+  connectionLimit: 10,          // Pooled connections to MySQL
+  healthCheckSeconds: 15,       // How often an idle database is checked
+  reconnectMaxDelaySeconds: 30, // Longest wait between reconnect attempts
+  queueTimeoutMs: 5000          // How long a query waits for a reconnect
+};
+
+// First reconnect attempt; each failed attempt doubles the wait
+const RECONNECT_MIN_DELAY_MS = 1000;
+
+// A health check that takes longer than this counts as failed
+const PING_TIMEOUT_MS = 5000;
+
+// Queries held while the database is down; later ones fail straight away
+const MAX_QUEUED_QUERIES = 1000;
+
+// Errors that mean the server is unreachable rather than the query is wrong.
+// mysql2 also flags every error that kills a connection as fatal.
+const CONNECTION_ERRORS = [
+  'PROTOCOL_CONNECTION_LOST',
+  'PROTOCOL_SEQUENCE_TIMEOUT',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EHOSTUNREACH',
+  'ENOTFOUND',
+  'EPIPE',
+  'ER_SERVER_SHUTDOWN',
+  'ER_CON_COUNT_ERROR'
+];
+
+const UNAVAILABLE = 'DB_UNAVAILABLE';
+
+const isConnectionError = (err) => !!err && (err.fatal === true || CONNECTION_ERRORS.includes(err.code));
+
+const TIME_BUCKET_FORMATS = {
+  minute: '%Y-%m-%d %H:%i:00',
+  hour: '%Y-%m-%d %H:00:00',
+  day: '%Y-%m-%d 00:00:00',
+  month: '%Y-%m-01 00:00:00'
+};
+
+// How long exclusive() waits for another process to release its lock
+const LOCK_TIMEOUT_SECONDS = 60;
+
+const sql = {
+  insertIgnore: (table, columns) => `INSERT IGNORE INTO ${table} (${columns})`,
+  onConflict: (keys, { set = [], add = [] }) => `ON DUPLICATE KEY UPDATE ${[
+    ...set.map(column => `${column} = VALUES(${column})`),
+    ...add.map(column => `${column} = ${column} + VALUES(${column})`)
+  ].join(', ')}`,
+  timeBucket: (column, unit) => `DATE_FORMAT(${column}, '${TIME_BUCKET_FORMATS[unit]}')`,
+  tupleIn: (columns) => `(${columns}) IN (?)`,
+  deleteLimit: (table, where, limit) => `DELETE FROM ${table} WHERE ${where} LIMIT ${limit}`,
+  bucketIndex: (column, stepSeconds) => `TIMESTAMPDIFF(SECOND, ?, ${column}) DIV ${stepSeconds}`
+};
+
+// Storage-like view over a function that runs one query
+function scoped(run) {
+  const query = (statement, params, callback) => {
+    if (typeof params === 'function') return run(statement, [], params);
+    run(statement, params, callback);
+  };
+
+  const columnExists = (table, column, callback) => {
+    const statement = `
+      SELECT COUNT(*) as found
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+    `;
+    query(statement, [table, column], (err, results) => {
+      if (err) return callback(err);
+      callback(null, results[0].found > 0);
+    });
+  };
+
+  const indexExists = (table, index, callback) => {
+    const statement = `
+      SELECT COUNT(*) as found
+      FROM INFORMATION_SCHEMA.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+    `;
+    query(statement, [table, index], (err, results) => {
+      if (err) return callback(err);
+      callback(null, results[0].found > 0);
+    });
+  };
+
+  return { type: 'mysql', sql, query, columnExists, indexExists };
+}
+
+function createMysqlStorage(options) {
+  const settings = Object.assign({}, DEFAULT_CONNECTION);
+  Object.keys(DEFAULT_CONNECTION).forEach(key => {
+    if (options[key] !== undefined) settings[key] = Number(options[key]);
+  });
+
+  const connectionOptions = {
+    host: options.host,
+    user: options.user,
+    password: options.password,
+    database: options.database,
+    port: options.port || 3306
+  };
+  const pool = mysql.createPool(Object.assign({
+    connectionLimit: settings.connectionLimit,
+    enableKeepAlive: true
+  }, connectionOptions));
+
+  // 'connecting' until the first check, then 'connected' or 'disconnected'
+  let state = 'connecting';
+  let stateSince = new Date();
+  let lastError = null;
+  let lastCheckAt = null;
+  let latencyMs = null;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let nextRetryAt = null;
+  let healthTimer = null;
+  let checking = false;
+  let closed = false;
+  const waiting = [];
+  const onConnected = [];
+
+  const unavailableError = () => {
+    const err = new Error(`Database is unavailable${lastError ? ` (${lastError.message})` : ''}`);
+    err.code = UNAVAILABLE;
+    return err;
+  };
+
+  const ping = (callback) => {
+    const started = Date.now();
+    pool.query({ sql: 'SELECT 1', timeout: PING_TIMEOUT_MS }, err => {
+      lastCheckAt = new Date();
+      if (!err) latencyMs = Date.now() - started;
+      callback(err || null);
+    });
+  };
+
+  const markConnected = () => {
+    if (state === 'connected') return;
+    if (state === 'disconnected') {
+      console.log(`✅ Reconnected to MySQL after ${Math.round((Date.now() - stateSince) / 1000)}s`);
+    }
+    state = 'connected';
+    stateSince = new Date();
+    reconnectAttempts = 0;
+    nextRetryAt = null;
+    waiting.splice(0).forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.task();
+    });
+    onConnected.splice(0).forEach(callback => callback());
+  };
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) return;
+    const delay = Math.min(RECONNECT_MIN_DELAY_MS * 2 ** reconnectAttempts, settings.reconnectMaxDelaySeconds * 1000);
+    nextRetryAt = new Date(Date.now() + delay);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      reconnectAttempts++;
+      ping(err => {
+        if (!err) return markConnected();
+        lastError = err;
+        console.error(`⚠️  MySQL reconnect attempt ${reconnectAttempts} failed: ${err.message}`);
+        scheduleReconnect();
+      });
+    }, delay);
+  };
+
+  const markDisconnected = (err) => {
+    lastError = err;
+    if (state === 'disconnected') return;
+    if (state === 'connected') console.error(`⚠️  Lost connection to MySQL: ${err.message}`);
+    state = 'disconnected';
+    stateSince = new Date();
+    scheduleReconnect();
+  };
+
+  // Run task now if the database is up, otherwise once it is back, or fail
+  // after queueTimeoutMs
+  const whenAvailable = (task, fail) => {
+    if (state === 'connected') return task();
+    if (closed || waiting.length >= MAX_QUEUED_QUERIES) return fail(unavailableError());
+    const entry = { task, fail };
+    entry.timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(entry), 1);
+      fail(unavailableError());
+    }, settings.queueTimeoutMs);
+    waiting.push(entry);
+  };
+
+  const shared = scoped((statement, params, callback) => {
+    whenAvailable(() => pool.query(statement, params, (err, results) => {
+      if (isConnectionError(err)) markDisconnected(err);
+      callback(err, results);
+    }), callback);
+  });
+
+  // Run work on a pool connection, releasing it afterwards. Transactions
+  // and locks need every statement on the same connection.
+  const withConnection = (work, callback) => {
+    whenAvailable(() => pool.getConnection((err, connection) => {
+      if (err) {
+        if (isConnectionError(err)) markDisconnected(err);
+        return callback(err);
+      }
+      work(connection, (workErr, result) => {
+        if (isConnectionError(workErr)) {
+          markDisconnected(workErr);
+          connection.destroy();
+        } else {
+          connection.release();
+        }
+        callback(workErr, result);
+      });
+    }), callback);
+  };
+
+  const onConnection = (connection) => scoped((statement, params, callback) => connection.query(statement, params, callback));
+
+  const transaction = (work, callback) => {
+    withConnection((connection, release) => {
+      connection.beginTransaction(err => {
+        if (err) return release(err);
+        work(onConnection(connection), (workErr, result) => {
+          if (workErr) return connection.rollback(() => release(workErr));
+          connection.commit(err => {
+            if (err) return connection.rollback(() => release(err));
+            release(null, result);
+          });
+        });
+      });
+    }, callback);
+  };
+
+  // GET_LOCK is held by the connection that took it, so work runs on that one
+  const exclusive = (name, work, callback) => {
+    withConnection((connection, release) => {
+      connection.query('SELECT GET_LOCK(?, ?) as locked', [name, LOCK_TIMEOUT_SECONDS], (err, results) => {
+        if (err) return release(err);
+        if (results[0].locked !== 1) {
+          return release(new Error(`Timed out waiting for lock ${name}`));
+        }
+        work(onConnection(connection), (workErr, result) => {
+          connection.query('SELECT RELEASE_LOCK(?)', [name], () => release(workErr, result));
+        });
+      });
+    }, callback);
+  };
+
+  // First connection check. On failure the database keeps being retried in
+  // the background; whenConnected() says when it is back.
+  const connect = (callback) => {
+    ping(err => {
+      if (err) markDisconnected(err);
+      else markConnected();
+      if (!healthTimer) {
+        healthTimer = setInterval(() => {
+          if (state !== 'connected' || checking) return;
+          checking = true;
+          ping(err => {
+            checking = false;
+            if (err) markDisconnected(err);
+          });
+        }, settings.healthCheckSeconds * 1000);
+      }
+      callback(err || null);
+    });
+  };
+
+  const whenConnected = (callback) => (state === 'connected' ? callback() : onConnected.push(callback));
+
+  const health = () => ({
+    status: state,
+    since: stateSince,
+    last_check_at: lastCheckAt,
+    latency_ms: latencyMs,
+    last_error: lastError ? lastError.message : null,
+    reconnect_attempts: reconnectAttempts,
+    next_retry_at: state === 'disconnected' ? nextRetryAt : null,
+    queued_queries: waiting.length,
+    pool_size: settings.connectionLimit
+  });
+
+  const close = (callback = () => {}) => {
+    closed = true;
+    clearInterval(healthTimer);
+    clearTimeout(reconnectTimer);
+    waiting.splice(0).forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.fail(unavailableError());
+    });
+    pool.end(() => callback());
+  };
+
+  return Object.assign(shared, {
+    info: {
+      type: 'mysql',
+      host: `${connectionOptions.host}:${connectionOptions.port}`,
+      database: connectionOptions.database,
+      user: connectionOptions.user
+    },
+    connect,
+    whenConnected,
+    health,
+    transaction,
+    exclusive,
+    isDuplicateKeyError: (err) => !!err && err.code === 'ER_DUP_ENTRY',
+    isUnavailableError: (err) => !!err && (err.code === UNAVAILABLE || isConnectionError(err)),
+    close
+  });
+}
+
+module.exports = {
+  DEFAULT_CONNECTION,
+  createMysqlStorage
+};
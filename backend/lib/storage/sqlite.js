@@ -0,0 +1,245 @@
+// SQLite storage on the sqlite3 package: the whole database in one local
+// file, for installs that don't want to run a MySQL server
+
+const fs = require('fs');
+const path = require('path');
+
+let sqlite3;
+try {
+  sqlite3 = require('sqlite3');
+} catch (err) {
+  throw new Error('database.type is "sqlite" but the sqlite3 package is not installed; run "npm install sqlite3" in the backend directory');
+}
+
+// How long a statement waits for another process (e.g. migrate.js) to
+// finish writing before it fails
+const BUSY_TIMEOUT_MS = 10000;
+
+const TIME_BUCKET_FORMATS = {
+  minute: '%Y-%m-%d %H:%M:00',
+  hour: '%Y-%m-%d %H:00:00',
+  day: '%Y-%m-%d 00:00:00',
+  month: '%Y-%m-01 00:00:00'
+};
+
+const sql = {
+  insertIgnore: (table, columns) => `INSERT OR IGNORE INTO ${table} (${columns})`,
+  onConflict: (keys, { set = [], add = [] }) => `ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${[
+    ...set.map(column => `${column} = excluded.${column}`),
+    ...add.map(column => `${column} = ${column} + excluded.${column}`)
+  ].join(', ')}`,
+  timeBucket: (column, unit) => `strftime('${TIME_BUCKET_FORMATS[unit]}', ${column})`,
+  tupleIn: (columns) => `(${columns}) IN (VALUES ?)`,
+  // SQLite is normally built without DELETE ... LIMIT
+  deleteLimit: (table, where, limit) =>
+    `DELETE FROM ${table} WHERE rowid IN (SELECT rowid FROM ${table} WHERE ${where} LIMIT ${limit})`,
+  // strftime('%s') reads the local time text as UTC, which cancels out in the difference
+  bucketIndex: (column, stepSeconds) => `((strftime('%s', ${column}) - strftime('%s', ?)) / ${stepSeconds})`
+};
+
+// DATETIME columns hold 'YYYY-MM-DD HH:MM:SS' text in local time, which
+// sorts and compares like the MySQL type. Like MySQL, fractions of a
+// second are rounded away.
+const DATETIME_TEXT = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
+const pad = (value) => String(value).padStart(2, '0');
+
+function formatDateTime(date) {
+  const d = new Date(Math.round(date.getTime() / 1000) * 1000);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function bindValue(value) {
+  if (value instanceof Date) return formatDateTime(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+// Result rows get Dates for DATETIME values, as mysql2 returns them
+function convertRow(row) {
+  Object.keys(row).forEach(key => {
+    const match = typeof row[key] === 'string' && DATETIME_TEXT.exec(row[key]);
+    if (match) {
+      row[key] = new Date(+match[1], match[2] - 1, +match[3], +match[4], +match[5], +match[6]);
+    }
+  });
+  return row;
+}
+
+// Expand array parameters the way mysql2 does: [a, b] becomes "?, ?" and
+// [[a, b], [c, d]] becomes "(?, ?), (?, ?)"
+function expandPlaceholders(statement, params) {
+  const values = [];
+  let index = 0;
+  let quote = null;
+  let text = '';
+  for (const ch of statement) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '?') {
+      const value = params[index++];
+      if (!Array.isArray(value)) {
+        values.push(bindValue(value));
+      } else {
+        text += value.map(item => {
+          if (!Array.isArray(item)) {
+            values.push(bindValue(item));
+            return '?';
+          }
+          item.forEach(v => values.push(bindValue(v)));
+          return `(${item.map(() => '?').join(', ')})`;
+        }).join(', ');
+        continue;
+      }
+    }
+    text += ch;
+  }
+  return { text, values };
+}
+
+const RETURNS_ROWS = /^\s*(SELECT|WITH|PRAGMA)\b/i;
+
+function createSqliteStorage(file) {
+  let db = null;
+  let openedAt = null;
+  let lastError = null;
+  const onOpen = [];
+
+  // Run one statement. sqlite3 executes a single statement per call.
+  const execute = (statement, params, callback) => {
+    if (!db) return callback(new Error('SQLite database is not open'));
+    const { text, values } = expandPlaceholders(statement, params || []);
+    if (RETURNS_ROWS.test(text)) {
+      return db.all(text, values, (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map(convertRow));
+      });
+    }
+    db.run(text, values, function (err) {
+      if (err) return callback(err);
+      callback(null, { affectedRows: this.changes, insertId: this.lastID });
+    });
+  };
+
+  const scoped = (run) => {
+    const query = (statement, params, callback) => {
+      if (typeof params === 'function') return run(statement, [], params);
+      run(statement, params, callback);
+    };
+
+    const columnExists = (table, column, callback) => {
+      query('SELECT COUNT(*) as found FROM pragma_table_info(?) WHERE name = ?', [table, column], (err, results) => {
+        if (err) return callback(err);
+        callback(null, results[0].found > 0);
+      });
+    };
+
+    const indexExists = (table, index, callback) => {
+      const statement = 'SELECT COUNT(*) as found FROM sqlite_master WHERE type = \'index\' AND tbl_name = ? AND name = ?';
+      query(statement, [table, index], (err, results) => {
+        if (err) return callback(err);
+        callback(null, results[0].found > 0);
+      });
+    };
+
+    return { type: 'sqlite', sql, query, columnExists, indexExists };
+  };
+
+  // There is a single connection, so while a transaction is open every
+  // other query waits for it instead of becoming part of it
+  let busy = false;
+  const waiting = [];
+  const whenIdle = (task) => (busy ? waiting.push(task) : task());
+  const release = () => {
+    busy = false;
+    while (!busy && waiting.length > 0) waiting.shift()();
+  };
+
+  // BEGIN IMMEDIATE takes the database's write lock up front, so other
+  // processes wait until the transaction ends
+  const transaction = (work, callback) => {
+    whenIdle(() => {
+      busy = true;
+      execute('BEGIN IMMEDIATE', [], err => {
+        if (err) {
+          release();
+          return callback(err);
+        }
+        work(scoped(execute), (workErr, result) => {
+          if (workErr) {
+            return execute('ROLLBACK', [], () => {
+              release();
+              callback(workErr);
+            });
+          }
+          execute('COMMIT', [], err => {
+            if (err) {
+              return execute('ROLLBACK', [], () => {
+                release();
+                callback(err);
+              });
+            }
+            release();
+            callback(null, result);
+          });
+        });
+      });
+    });
+  };
+
+  const connect = (callback) => {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    } catch (err) {
+      return callback(err);
+    }
+    const database = new sqlite3.Database(file, err => {
+      if (err) {
+        lastError = err;
+        return callback(err);
+      }
+      db = database;
+      openedAt = new Date();
+      // Statements run in the order they are issued
+      db.serialize();
+      db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+      // Readers (the dashboard) don't block the writer (agents) in WAL mode
+      db.run('PRAGMA journal_mode = WAL', err => {
+        if (!err) onOpen.splice(0).forEach(ready => ready());
+        callback(err || null);
+      });
+    });
+  };
+
+  // A local file doesn't go away like a server does, so the state is
+  // simply whether it has been opened
+  const health = () => ({
+    status: db ? 'connected' : 'connecting',
+    since: openedAt,
+    last_error: lastError ? lastError.message : null
+  });
+
+  const shared = scoped((statement, params, callback) => {
+    whenIdle(() => execute(statement, params, callback));
+  });
+
+  return Object.assign(shared, {
+    info: { type: 'sqlite', file },
+    connect,
+    whenConnected: (callback) => (db ? callback() : onOpen.push(callback)),
+    health,
+    transaction,
+    // DDL is transactional in SQLite and the write lock keeps other
+    // processes out, so a lock is simply a transaction
+    exclusive: (name, work, callback) => transaction(work, callback),
+    isDuplicateKeyError: (err) => !!err && err.code === 'SQLITE_CONSTRAINT' && /UNIQUE|PRIMARY KEY/.test(err.message),
+    isUnavailableError: (err) => !!err && err.code === 'SQLITE_CANTOPEN',
+    close: (callback = () => {}) => (db ? db.close(() => callback()) : callback())
+  });
+}
+
+module.exports = {
+  createSqliteStorage
+};
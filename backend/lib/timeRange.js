@@ -0,0 +1,97 @@
+// Time windows for the query routes: a relative ?range= (90s, 20m, 6h, 7d,
+// 2w, 3mo, 1y) ending now or at ?to=, or absolute ?from= and ?to= ISO 8601
+// date-times
+
+const { TIMESTAMP_PATTERN } = require('./validation');
+
+// Seconds per range unit. 'm' is minutes; months are 'mo' (30 days) and
+// years 'y' (365 days).
+const RANGE_UNITS = {
+  s: 1,
+  m: 60,
+  h: 3600,
+  d: 24 * 3600,
+  w: 7 * 24 * 3600,
+  mo: 30 * 24 * 3600,
+  y: 365 * 24 * 3600
+};
+const RANGE_PATTERN = /^(\d+)(s|m|h|d|w|mo|y)$/;
+
+const RANGE_FORMAT = 'a number followed by s, m, h, d, w, mo or y (e.g. 30m, 24h, 7d)';
+
+// Length of a duration such as '20m' in milliseconds, or null if the text
+// isn't one or is zero
+function parseDuration(text) {
+  const match = RANGE_PATTERN.exec(String(text).trim());
+  if (!match) return null;
+  const ms = Number(match[1]) * RANGE_UNITS[match[2]] * 1000;
+  return ms > 0 ? ms : null;
+}
+
+// Milliseconds for an ISO 8601 date-time query value, or NaN
+function parseTimestamp(value) {
+  const text = String(value).trim();
+  if (!TIMESTAMP_PATTERN.test(text)) return NaN;
+  return new Date(text).getTime();
+}
+
+// Work out the window a request asks for from ?range=, ?from= and ?to=.
+// Returns { window } or { error: { field, message } }. window.to is null
+// unless ?to= was given, so that open windows still include samples stamped
+// slightly in the future by agents with fast clocks.
+//
+//   from, to     Dates bounding the window (to exclusive)
+//   range        the relative range used, or null for ?from=
+//   rangeHours   length of the window
+//   hoursBack    how far back from now the window starts
+function parseTimeWindow(query, defaultRange) {
+  if (query.range !== undefined && query.from !== undefined) {
+    return { error: { field: 'range', message: 'Use either range or from, not both' } };
+  }
+
+  let toMs = null;
+  if (query.to !== undefined) {
+    toMs = parseTimestamp(query.to);
+    if (isNaN(toMs)) return { error: { field: 'to', message: 'to must be an ISO 8601 date-time' } };
+  }
+  const end = toMs === null ? Date.now() : toMs;
+
+  let fromMs;
+  let range = null;
+  if (query.from !== undefined) {
+    fromMs = parseTimestamp(query.from);
+    if (isNaN(fromMs)) return { error: { field: 'from', message: 'from must be an ISO 8601 date-time' } };
+    if (fromMs >= end) return { error: { field: 'from', message: 'from must be before to' } };
+  } else {
+    range = query.range === undefined ? defaultRange : String(query.range).trim();
+    const duration = parseDuration(range);
+    if (duration === null) return { error: { field: 'range', message: `range must be ${RANGE_FORMAT}` } };
+    fromMs = end - duration;
+  }
+
+  return {
+    window: {
+      from: new Date(fromMs),
+      to: toMs === null ? null : new Date(toMs),
+      range,
+      rangeHours: (end - fromMs) / 3600000,
+      hoursBack: (Date.now() - fromMs) / 3600000
+    }
+  };
+}
+
+// SQL condition keeping `column` inside a window, with its parameters
+function windowClause(column, window) {
+  if (!window.to) return { clause: `${column} >= ?`, params: [window.from] };
+  return { clause: `${column} >= ? AND ${column} < ?`, params: [window.from, window.to] };
+}
+
+module.exports = {
+  RANGE_UNITS,
+  RANGE_PATTERN,
+  RANGE_FORMAT,
+  parseDuration,
+  parseTimestamp,
+  parseTimeWindow,
+  windowClause
+};
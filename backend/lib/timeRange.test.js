@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, parseTimestamp, parseTimeWindow, windowClause } = require('./timeRange');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('parseDuration', () => {
+  it('reads every unit, with m for minutes and mo for months', () => {
+    assert.equal(parseDuration('90s'), 90 * 1000);
+    assert.equal(parseDuration('20m'), 20 * MINUTE);
+    assert.equal(parseDuration('6h'), 6 * HOUR);
+    assert.equal(parseDuration('7d'), 7 * DAY);
+    assert.equal(parseDuration('2w'), 14 * DAY);
+    assert.equal(parseDuration('3mo'), 90 * DAY);
+    assert.equal(parseDuration('1y'), 365 * DAY);
+    assert.equal(parseDuration(' 24h '), 24 * HOUR);
+  });
+
+  it('rejects zero, fractions and unknown units', () => {
+    for (const text of ['0h', '1.5h', '5', 'h', '1M', '-1d', '1 d']) {
+      assert.equal(parseDuration(text), null, text);
+    }
+  });
+});
+
+describe('parseTimestamp', () => {
+  it('reads ISO 8601 date-times', () => {
+    assert.equal(parseTimestamp('2026-10-19T12:00:00Z'), Date.parse('2026-10-19T12:00:00Z'));
+    assert.equal(parseTimestamp('2026-10-19T12:00+02:00'), Date.parse('2026-10-19T10:00:00Z'));
+  });
+
+  it('is NaN for anything else', () => {
+    assert.ok(Number.isNaN(parseTimestamp('yesterday')));
+    assert.ok(Number.isNaN(parseTimestamp('1760875200')));
+  });
+});
+
+describe('parseTimeWindow', () => {
+  it('uses the default range ending now', () => {
+    const before = Date.now();
+    const { window } = parseTimeWindow({}, '24h');
+    assert.equal(window.range, '24h');
+    assert.equal(window.to, null);
+    assert.equal(window.rangeHours, 24);
+    assert.ok(window.from.getTime() >= before - DAY && window.from.getTime() <= Date.now() - DAY);
+  });
+
+  it('ends a range at to', () => {
+    const { window } = parseTimeWindow({ range: '30m', to: '2026-10-19T12:00:00Z' }, '24h');
+    assert.deepEqual(window.from, new Date('2026-10-19T11:30:00Z'));
+    assert.deepEqual(window.to, new Date('2026-10-19T12:00:00Z'));
+    assert.equal(window.rangeHours, 0.5);
+  });
+
+  it('takes absolute from and to', () => {
+    const { window } = parseTimeWindow({ from: '2026-10-18T00:00:00Z', to: '2026-10-19T00:00:00Z' }, '24h');
+    assert.equal(window.range, null);
+    assert.equal(window.rangeHours, 24);
+    assert.ok(window.hoursBack > 24);
+  });
+
+  it('names the offending parameter', () => {
+    const fieldOf = (query) => parseTimeWindow(query, '24h').error.field;
+    assert.equal(fieldOf({ range: '1h', from: '2026-10-18T00:00:00Z' }), 'range');
+    assert.equal(fieldOf({ range: 'forever' }), 'range');
+    assert.equal(fieldOf({ from: 'yesterday' }), 'from');
+    assert.equal(fieldOf({ to: 'now' }), 'to');
+    assert.equal(fieldOf({ from: '2026-10-19T00:00:00Z', to: '2026-10-18T00:00:00Z' }), 'from');
+  });
+});
+
+describe('windowClause', () => {
+  it('leaves an open window unbounded at the end', () => {
+    const from = new Date('2026-10-19T00:00:00Z');
+    assert.deepEqual(windowClause('timestamp', { from, to: null }), { clause: 'timestamp >= ?', params: [from] });
+  });
+
+  it('excludes the end of a closed window', () => {
+    const from = new Date('2026-10-19T00:00:00Z');
+    const to = new Date('2026-10-20T00:00:00Z');
+    assert.deepEqual(windowClause('bucket_start', { from, to }), {
+      clause: 'bucket_start >= ? AND bucket_start < ?',
+      params: [from, to]
+    });
+  });
+});
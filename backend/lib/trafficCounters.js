@@ -0,0 +1,28 @@
+// Traffic totals from the cumulative byte counters agents report: how much
+// a counter moved between two readings, and the periods totals are kept for
+
+// Periods traffic totals are kept for, like vnstat -h/-d/-m
+const TRAFFIC_PERIODS = ['hour', 'day', 'month'];
+
+// Bytes transferred between two readings of a cumulative counter. Agents
+// read the kernel's 64-bit counters, which don't wrap in practice, so a
+// lower reading is a reset (reboot, interface re-created) and everything
+// counted since the reset is new traffic.
+function counterDelta(previous, current) {
+  if (current >= previous) return current - previous;
+  return current;
+}
+
+// Start of the hour, day or month containing a date, in the backend's local time
+function periodStart(date, period) {
+  const d = new Date(date);
+  if (period === 'month') return new Date(d.getFullYear(), d.getMonth(), 1);
+  if (period === 'day') return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours());
+}
+
+module.exports = {
+  TRAFFIC_PERIODS,
+  counterDelta,
+  periodStart
+};
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { counterDelta, periodStart } = require('./trafficCounters');
+
+describe('counterDelta', () => {
+  it('is the difference for a counter that went up', () => {
+    assert.equal(counterDelta(1000, 1500), 500);
+    assert.equal(counterDelta(1000, 1000), 0);
+  });
+
+  it('treats any drop as a reset and counts from zero', () => {
+    assert.equal(counterDelta(1000, 200), 200);
+    // A reboot with about 3 GiB counted is not a 32-bit wrap
+    assert.equal(counterDelta(3 * 1024 ** 3, 4096), 4096);
+    assert.equal(counterDelta(2 ** 32 - 1, 0), 0);
+    assert.equal(counterDelta(2 ** 40, 300), 300);
+  });
+});
+
+describe('periodStart', () => {
+  const time = new Date(2026, 9, 19, 14, 35, 12);
+
+  it('finds the start of the hour, day and month in local time', () => {
+    assert.deepEqual(periodStart(time, 'hour'), new Date(2026, 9, 19, 14));
+    assert.deepEqual(periodStart(time, 'day'), new Date(2026, 9, 19));
+    assert.deepEqual(periodStart(time, 'month'), new Date(2026, 9, 1));
+  });
+
+  it('accepts milliseconds', () => {
+    assert.deepEqual(periodStart(time.getTime(), 'day'), new Date(2026, 9, 19));
+  });
+});
@@ -0,0 +1,196 @@
+// Validation and sanitisation of samples submitted by agents
+
+// Defaults for the validation section of config.js
+const DEFAULT_VALIDATION = {
+  maxServerNameLength: 255,
+  maxRate: 12500000,        // KiB/s, roughly 100 Gbit/s
+  maxPacketRate: 150000000, // Packets/s, above 100 Gbit/s line rate
+  maxFutureSeconds: 300,    // How far ahead of server time a timestamp may be
+  maxAgeDays: 30            // How far behind server time a timestamp may be
+};
+
+// Hostname-like names: letters, digits, dots, dashes and underscores
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+// Linux interface names plus the separators used by VLAN and alias names
+const INTERFACE_PATTERN = /^[A-Za-z0-9_.:@-]{1,32}$/;
+// ISO 8601 date-time, with or without seconds, fraction and offset
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+const fail = (field, message) => ({ error: { field, message } });
+
+function checkRate(field, value, max, unit) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${field} must be a number`;
+  }
+  if (value < 0) {
+    return `${field} must not be negative`;
+  }
+  if (value > max) {
+    return `${field} exceeds the maximum of ${max} ${unit}`;
+  }
+  return null;
+}
+
+function checkCounter(field, value) {
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    return `${field} must be an integer byte counter`;
+  }
+  if (value < 0 || value > Number.MAX_SAFE_INTEGER) {
+    return `${field} must be between 0 and ${Number.MAX_SAFE_INTEGER}`;
+  }
+  return null;
+}
+
+// Build a validator from the validation section of config.js.
+// validate(sample) returns { sample } with a cleaned copy containing only
+// known fields, or { error: { field, message } } naming the offending field.
+// A timestamp too far ahead or behind is rejected with the sample's
+// server_name and timestamp added to the error.
+function createSampleValidator(overrides) {
+  const options = Object.assign({}, DEFAULT_VALIDATION, overrides);
+
+  const validate = (input, now = Date.now()) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return fail(null, 'Sample must be a JSON object');
+    }
+
+    const missing = ['server_name', 'timestamp', 'rx_rate', 'tx_rate']
+      .filter(field => input[field] === undefined || input[field] === null);
+    if (missing.length > 0) {
+      return fail(missing[0], `Missing required fields: ${missing.join(', ')}`);
+    }
+
+    if (typeof input.server_name !== 'string') {
+      return fail('server_name', 'server_name must be a string');
+    }
+    const serverName = input.server_name.trim();
+    if (serverName === '' || serverName.length > options.maxServerNameLength) {
+      return fail('server_name', `server_name must be 1-${options.maxServerNameLength} characters long`);
+    }
+    if (!SERVER_NAME_PATTERN.test(serverName)) {
+      return fail('server_name', 'server_name may only contain letters, digits, dots, dashes and underscores');
+    }
+
+    if (input.interface !== undefined && (typeof input.interface !== 'string' || !INTERFACE_PATTERN.test(input.interface))) {
+      return fail('interface', 'interface must be 1-32 letters, digits or the characters _ . : @ -');
+    }
+
+    if (typeof input.timestamp !== 'string' || !TIMESTAMP_PATTERN.test(input.timestamp.trim())) {
+      return fail('timestamp', 'timestamp must be an ISO 8601 date-time string');
+    }
+    const timestamp = new Date(input.timestamp.trim());
+    if (isNaN(timestamp.getTime())) {
+      return fail('timestamp', 'timestamp is not a valid date');
+    }
+    // These errors keep the server name and timestamp, which still tell how
+    // far off the agent's clock is
+    const outOfRange = (message) => ({ error: { field: 'timestamp', message, server_name: serverName, timestamp } });
+    if (timestamp.getTime() > now + options.maxFutureSeconds * 1000) {
+      return outOfRange(`timestamp is more than ${options.maxFutureSeconds} seconds in the future`);
+    }
+    if (timestamp.getTime() < now - options.maxAgeDays * 24 * 3600 * 1000) {
+      return outOfRange(`timestamp is more than ${options.maxAgeDays} days in the past`);
+    }
+    // Samples are stored with whole-second precision; truncating here keeps
+    // duplicate detection consistent with what the database holds
+    timestamp.setMilliseconds(0);
+
+    for (const field of ['rx_rate', 'tx_rate']) {
+      const rateError = checkRate(field, input[field], options.maxRate, 'KiB/s');
+      if (rateError) return fail(field, rateError);
+    }
+
+    const hasRxPackets = input.rx_pps !== undefined && input.rx_pps !== null;
+    const hasTxPackets = input.tx_pps !== undefined && input.tx_pps !== null;
+    if (hasRxPackets !== hasTxPackets) {
+      return fail(hasRxPackets ? 'tx_pps' : 'rx_pps', 'rx_pps and tx_pps must be sent together');
+    }
+    if (hasRxPackets) {
+      for (const field of ['rx_pps', 'tx_pps']) {
+        const rateError = checkRate(field, input[field], options.maxPacketRate, 'packets/s');
+        if (rateError) return fail(field, rateError);
+      }
+    }
+
+    const hasRx = input.rx_bytes !== undefined && input.rx_bytes !== null;
+    const hasTx = input.tx_bytes !== undefined && input.tx_bytes !== null;
+    if (hasRx !== hasTx) {
+      return fail(hasRx ? 'tx_bytes' : 'rx_bytes', 'rx_bytes and tx_bytes must be sent together');
+    }
+    if (hasRx) {
+      for (const field of ['rx_bytes', 'tx_bytes']) {
+        const counterError = checkCounter(field, input[field]);
+        if (counterError) return fail(field, counterError);
+      }
+    }
+
+    return {
+      sample: {
+        server_name: serverName,
+        interface: input.interface,
+        timestamp,
+        rx_rate: input.rx_rate,
+        tx_rate: input.tx_rate,
+        rx_pps: hasRxPackets ? input.rx_pps : undefined,
+        tx_pps: hasTxPackets ? input.tx_pps : undefined,
+        rx_bytes: hasRx ? input.rx_bytes : undefined,
+        tx_bytes: hasTx ? input.tx_bytes : undefined
+      }
+    };
+  };
+
+  return { options, validate };
+}
+
+// Most servers rejections are counted for separately; rejections for any
+// further names are counted together under OTHER_SERVERS
+const MAX_REJECTION_SERVERS = 1000;
+const OTHER_SERVERS = '(other)';
+
+// Count rejected samples per server so misbehaving agents stand out.
+// Rejected samples may carry any name, so names that aren't valid server
+// names are counted as '(invalid)' and the number of entries is capped at
+// maxServers, which keeps a client sending made-up names from growing the
+// report without bound.
+function createRejectionTracker(maxServers = MAX_REJECTION_SERVERS) {
+  const startedAt = new Date();
+  const servers = new Map();
+
+  const entryName = (serverName) => {
+    if (typeof serverName !== 'string' || serverName.trim() === '') return '(unknown)';
+    const name = serverName.trim();
+    if (name.length > DEFAULT_VALIDATION.maxServerNameLength || !SERVER_NAME_PATTERN.test(name)) return '(invalid)';
+    return servers.has(name) || servers.size < maxServers ? name : OTHER_SERVERS;
+  };
+
+  const record = (serverName, error) => {
+    const name = entryName(serverName);
+    if (!servers.has(name)) {
+      servers.set(name, { server_name: name, rejected: 0, by_field: {}, last_error: null, last_rejected_at: null });
+    }
+    const entry = servers.get(name);
+    const field = error.field || '(body)';
+    entry.rejected++;
+    entry.by_field[field] = (entry.by_field[field] || 0) + 1;
+    entry.last_error = error.message;
+    entry.last_rejected_at = new Date();
+  };
+
+  const report = () => ({
+    since: startedAt,
+    total_rejected: Array.from(servers.values()).reduce((sum, entry) => sum + entry.rejected, 0),
+    servers: Array.from(servers.values()).sort((a, b) => b.rejected - a.rejected)
+  });
+
+  return { record, report };
+}
+
+module.exports = {
+  DEFAULT_VALIDATION,
+  MAX_REJECTION_SERVERS,
+  SERVER_NAME_PATTERN,
+  INTERFACE_PATTERN,
+  TIMESTAMP_PATTERN,
+  createSampleValidator,
+  createRejectionTracker
+};
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSampleValidator, createRejectionTracker } = require('./validation');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+const sample = (fields = {}) => ({
+  server_name: 'web-1',
+  timestamp: '2026-10-19T11:59:30.250Z',
+  rx_rate: 10.5,
+  tx_rate: 2,
+  ...fields
+});
+
+describe('createSampleValidator', () => {
+  const { validate } = createSampleValidator();
+
+  it('returns a cleaned copy of a valid sample', () => {
+    const { sample: cleaned, error } = validate(sample({ server_name: ' web-1 ', extra: 'dropped' }), NOW);
+    assert.equal(error, undefined);
+    assert.equal(cleaned.server_name, 'web-1');
+    assert.equal(cleaned.extra, undefined);
+    assert.equal(cleaned.rx_pps, undefined);
+    // Stored with whole seconds, so duplicates are recognised
+    assert.deepEqual(cleaned.timestamp, new Date('2026-10-19T11:59:30Z'));
+  });
+
+  it('names the first missing field and lists all of them', () => {
+    const { error } = validate({ server_name: 'web-1', rx_rate: null }, NOW);
+    assert.deepEqual(error, { field: 'timestamp', message: 'Missing required fields: timestamp, rx_rate, tx_rate' });
+  });
+
+  it('rejects anything but an object', () => {
+    for (const input of [null, [], 'text']) {
+      assert.equal(validate(input, NOW).error.message, 'Sample must be a JSON object');
+    }
+  });
+
+  it('rejects server names that are not hostname-like', () => {
+    assert.equal(validate(sample({ server_name: 'web 1' }), NOW).error.field, 'server_name');
+    assert.equal(validate(sample({ server_name: '-web' }), NOW).error.field, 'server_name');
+    assert.equal(validate(sample({ server_name: 'x'.repeat(256) }), NOW).error.field, 'server_name');
+  });
+
+  it('checks rates are numbers within bounds', () => {
+    assert.equal(validate(sample({ rx_rate: '10' }), NOW).error.message, 'rx_rate must be a number');
+    assert.equal(validate(sample({ tx_rate: -1 }), NOW).error.message, 'tx_rate must not be negative');
+    assert.equal(validate(sample({ rx_rate: Infinity }), NOW).error.field, 'rx_rate');
+    assert.match(validate(sample({ rx_rate: 12500001 }), NOW).error.message, /exceeds the maximum of 12500000 KiB\/s/);
+  });
+
+  it('applies limits from the config overrides', () => {
+    const strict = createSampleValidator({ maxRate: 100 });
+    assert.equal(strict.validate(sample({ rx_rate: 101 }), NOW).error.field, 'rx_rate');
+    assert.equal(strict.options.maxFutureSeconds, 300);
+  });
+
+  it('rejects timestamps too far ahead or behind, keeping the server name and time', () => {
+    const ahead = validate(sample({ timestamp: '2026-10-19T12:05:01Z' }), NOW).error;
+    assert.equal(ahead.message, 'timestamp is more than 300 seconds in the future');
+    assert.equal(ahead.server_name, 'web-1');
+    assert.deepEqual(ahead.timestamp, new Date('2026-10-19T12:05:01Z'));
+
+    const behind = validate(sample({ timestamp: '2026-09-18T12:00:00Z' }), NOW).error;
+    assert.equal(behind.message, 'timestamp is more than 30 days in the past');
+
+    assert.equal(validate(sample({ timestamp: '2026-10-19T12:05:00Z' }), NOW).error, undefined);
+    assert.equal(validate(sample({ timestamp: 'yesterday' }), NOW).error.field, 'timestamp');
+  });
+
+  it('requires packet rates and byte counters in pairs', () => {
+    assert.equal(validate(sample({ rx_pps: 5 }), NOW).error.field, 'tx_pps');
+    assert.equal(validate(sample({ tx_bytes: 5 }), NOW).error.field, 'rx_bytes');
+    const { sample: cleaned } = validate(sample({ rx_pps: 5, tx_pps: 6, rx_bytes: 100, tx_bytes: 200 }), NOW);
+    assert.deepEqual([cleaned.rx_pps, cleaned.tx_pps, cleaned.rx_bytes, cleaned.tx_bytes], [5, 6, 100, 200]);
+  });
+
+  it('only accepts whole, non-negative byte counters', () => {
+    assert.equal(validate(sample({ rx_bytes: 1.5, tx_bytes: 1 }), NOW).error.message, 'rx_bytes must be an integer byte counter');
+    assert.equal(validate(sample({ rx_bytes: 1, tx_bytes: -1 }), NOW).error.field, 'tx_bytes');
+  });
+});
+
+describe('createRejectionTracker', () => {
+  it('counts rejections per server and field', () => {
+    const tracker = createRejectionTracker();
+    tracker.record('web-1', { field: 'rx_rate', message: 'rx_rate must be a number' });
+    tracker.record('web-1', { field: 'rx_rate', message: 'rx_rate must not be negative' });
+    tracker.record('web-2', { field: null, message: 'Invalid JSON' });
+
+    const report = tracker.report();
+    assert.equal(report.total_rejected, 3);
+    const [first, second] = report.servers;
+    assert.equal(first.server_name, 'web-1');
+    assert.deepEqual(first.by_field, { rx_rate: 2 });
+    assert.equal(first.last_error, 'rx_rate must not be negative');
+    assert.deepEqual(second.by_field, { '(body)': 1 });
+  });
+
+  it('groups missing and invalid names', () => {
+    const tracker = createRejectionTracker();
+    [undefined, '', 'not a name', 'x'.repeat(300)].forEach(name => tracker.record(name, { field: 'server_name', message: '' }));
+    const names = tracker.report().servers.map(entry => [entry.server_name, entry.rejected]);
+    assert.deepEqual(names, [['(unknown)', 2], ['(invalid)', 2]]);
+  });
+
+  it('counts names beyond the cap together', () => {
+    const tracker = createRejectionTracker(2);
+    ['a', 'b', 'c', 'd', 'a'].forEach(name => tracker.record(name, { field: 'rx_rate', message: '' }));
+    const names = tracker.report().servers.map(entry => [entry.server_name, entry.rejected]);
+    assert.deepEqual(names, [['a', 2], ['(other)', 2], ['b', 1]]);
+  });
+});
@@ -0,0 +1,83 @@
+// Conversion of vnStat's JSON export (vnstat --json) into traffic totals
+
+const { INTERFACE_PATTERN } = require('./validation');
+
+// vnStat 2.x (jsonversion 2) reports bytes under hour/day/month; vnStat 1.x
+// (jsonversion 1) reports KiB under hours/days/months
+const PERIOD_KEYS = {
+  2: { hour: 'hour', day: 'day', month: 'month' },
+  1: { hour: 'hours', day: 'days', month: 'months' }
+};
+
+const isCount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Start of the period an export entry covers, in the backend's local time.
+// vnStat 1.x hour entries carry the hour in their id instead of a time field.
+function entryStart(entry, period, version) {
+  const date = entry && entry.date;
+  if (!date || !Number.isInteger(date.year) || !Number.isInteger(date.month)) return null;
+  if (period === 'month') return new Date(date.year, date.month - 1, 1);
+  if (!Number.isInteger(date.day)) return null;
+  if (period === 'day') return new Date(date.year, date.month - 1, date.day);
+  const hour = version === 1 ? entry.id : entry.time && entry.time.hour;
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) return null;
+  return new Date(date.year, date.month - 1, date.day, hour);
+}
+
+// Parse an export into traffic_totals rows. Returns { rows, interfaces } where
+// rows are { interface, period, period_start, rx_bytes, tx_bytes }, or
+// { error } when the document isn't a usable vnStat JSON export. Entries
+// without traffic are skipped; a missing row already means none was counted.
+function parseVnstatExport(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.interfaces)) {
+    return { error: 'Body must be a vnStat JSON export (vnstat --json) with an interfaces array' };
+  }
+  const version = Number(data.jsonversion);
+  if (!PERIOD_KEYS[version]) {
+    return { error: `Unsupported vnStat jsonversion: ${data.jsonversion}` };
+  }
+  const unit = version === 1 ? 1024 : 1;
+
+  const rows = [];
+  const interfaces = [];
+  for (const iface of data.interfaces) {
+    // vnStat 1.x calls the interface "id", 2.x calls it "name"
+    const name = iface && (version === 1 ? iface.id : iface.name);
+    if (typeof name !== 'string' || !INTERFACE_PATTERN.test(name)) {
+      return { error: `Invalid interface name in export: ${JSON.stringify(name)}` };
+    }
+    interfaces.push(name);
+    const traffic = iface.traffic || {};
+
+    for (const [period, key] of Object.entries(PERIOD_KEYS[version])) {
+      const entries = traffic[key] || [];
+      if (!Array.isArray(entries)) {
+        return { error: `traffic.${key} of interface ${name} must be an array` };
+      }
+      for (const entry of entries) {
+        if (!entry || !isCount(entry.rx) || !isCount(entry.tx)) {
+          return { error: `Invalid ${period} entry for interface ${name}: ${JSON.stringify(entry)}` };
+        }
+        // vnStat 1.x pads its hour list with empty, undated entries
+        if (entry.rx === 0 && entry.tx === 0) continue;
+        const start = entryStart(entry, period, version);
+        if (!start || isNaN(start.getTime())) {
+          return { error: `Invalid date in ${period} entry for interface ${name}: ${JSON.stringify(entry)}` };
+        }
+        rows.push({
+          interface: name,
+          period,
+          period_start: start,
+          rx_bytes: Math.round(entry.rx * unit),
+          tx_bytes: Math.round(entry.tx * unit)
+        });
+      }
+    }
+  }
+
+  return { rows, interfaces };
+}
+
+module.exports = {
+  parseVnstatExport
+};
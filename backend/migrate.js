@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Apply, revert or list the schema migrations in migrations/ using the
+// database settings (MySQL or SQLite) from config.js next to this script.
+//
+//   node migrate.js status
+//   node migrate.js up
+//   node migrate.js down 1
+
+const config = require('./config.js');
+const { createMigrator } = require('./lib/migrations');
+const { createStorage } = require('./lib/storage');
+
+const usage = `Usage: node migrate.js <command>
+
+Commands:
+  status       List applied and pending migrations (default)
+  up           Apply all pending migrations
+  down [n]     Revert the last n applied migrations (default 1)`;
+
+function printStatus(db, status) {
+  const name = db.type === 'sqlite' ? db.info.file : db.info.database;
+  console.log(`Database: ${name} at version ${status.current_version || 'none'} (latest ${status.latest_version})`);
+  status.applied.forEach(m => console.log(`  ✅ ${m.version}_${m.name}  applied ${new Date(m.applied_at).toISOString()}`));
+  status.pending.forEach(m => console.log(`  ⏳ ${m.version}_${m.name}  pending`));
+  status.unknown.forEach(m => console.log(`  ❓ ${m.version}_${m.name}  applied, but not part of this version`));
+  if (status.pending.length === 0) console.log('Schema is up to date');
+}
+
+function main() {
+  const [command = 'status', countArg] = process.argv.slice(2);
+  if (command === '-h' || command === '--help') {
+    console.log(usage);
+    return;
+  }
+  const count = countArg === undefined ? 1 : Number(countArg);
+  if (!['status', 'up', 'down'].includes(command) || !Number.isInteger(count) || count < 1) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  const fail = (err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  };
+
+  let db;
+  let migrator;
+  try {
+    db = createStorage(config.database, __dirname);
+    migrator = createMigrator(db);
+  } catch (err) {
+    return fail(err);
+  }
+  const finish = (err) => db.close(() => {
+    if (err) fail(err);
+  });
+
+  db.connect(err => {
+    if (err) return finish(err);
+    if (command === 'status') {
+      return migrator.status((err, status) => {
+        if (!err) printStatus(db, status);
+        finish(err);
+      });
+    }
+    if (command === 'up') {
+      return migrator.migrate((err, applied) => {
+        if (!err) console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ No pending migrations');
+        finish(err);
+      });
+    }
+    migrator.rollback(count, (err, reverted) => {
+      if (!err) console.log(`✅ Reverted ${reverted.length} migration(s)`);
+      finish(err);
+    });
+  });
+}
+
+main();
@@ -0,0 +1,42 @@
+// Sample table. Tables created by the old install.sh backend lack the indexes.
+
+const { runInSequence, runStatements, addIndexIfMissing } = require('../lib/migrations');
+
+exports.up = (db, callback) => {
+  db.query(`
+    CREATE TABLE IF NOT EXISTS vnstat_data (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      server_name VARCHAR(255) NOT NULL,
+      timestamp DATETIME NOT NULL,
+      rx_rate FLOAT NOT NULL DEFAULT 0,
+      tx_rate FLOAT NOT NULL DEFAULT 0,
+      INDEX idx_server_timestamp (server_name, timestamp),
+      INDEX idx_timestamp (timestamp)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `, err => {
+    if (err) return callback(err);
+    runInSequence([
+      cb => addIndexIfMissing(db, 'vnstat_data', 'idx_server_timestamp', 'ADD INDEX idx_server_timestamp (server_name, timestamp)', cb),
+      cb => addIndexIfMissing(db, 'vnstat_data', 'idx_timestamp', 'ADD INDEX idx_timestamp (timestamp)', cb)
+    ], callback);
+  });
+};
+
+exports.down = (db, callback) => {
+  db.query('DROP TABLE IF EXISTS vnstat_data', err => callback(err));
+};
+
+exports.sqlite = {
+  up: (db, callback) => runStatements(db, [
+    `CREATE TABLE IF NOT EXISTS vnstat_data (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      server_name TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      rx_rate REAL NOT NULL DEFAULT 0,
+      tx_rate REAL NOT NULL DEFAULT 0
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_server_timestamp ON vnstat_data (server_name, timestamp)',
+    'CREATE INDEX IF NOT EXISTS idx_timestamp ON vnstat_data (timestamp)'
+  ], callback),
+  down: (db, callback) => runStatements(db, ['DROP TABLE IF EXISTS vnstat_data'], callback)
+};
@@ -0,0 +1,29 @@
+// Per-interface samples; rows stored before interfaces existed become 'default'
+
+const { runStatements, addColumnIfMissing } = require('../lib/migrations');
+
+exports.up = (db, callback) => {
+  addColumnIfMissing(db, 'vnstat_data', 'interface', `
+    ADD COLUMN interface VARCHAR(32) NOT NULL DEFAULT 'default' AFTER server_name,
+    ADD INDEX idx_server_interface_timestamp (server_name, interface, timestamp)
+  `, callback);
+};
+
+exports.down = (db, callback) => {
+  db.query(`
+    ALTER TABLE vnstat_data
+    DROP INDEX idx_server_interface_timestamp,
+    DROP COLUMN interface
+  `, err => callback(err));
+};
+
+exports.sqlite = {
+  up: (db, callback) => runStatements(db, [
+    'ALTER TABLE vnstat_data ADD COLUMN interface TEXT NOT NULL DEFAULT \'default\'',
+    'CREATE INDEX idx_server_interface_timestamp ON vnstat_data (server_name, interface, timestamp)'
+  ], callback),
+  down: (db, callback) => runStatements(db, [
+    'DROP INDEX idx_server_interface_timestamp',
+    'ALTER TABLE vnstat_data DROP COLUMN interface'
+  ], callback)
+};
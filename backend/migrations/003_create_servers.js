@@ -0,0 +1,46 @@
+// Registered agents and their credentials
+
+exports.up = (db, callback) => {
+  db.query(`
+    CREATE TABLE IF NOT EXISTS servers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      server_name VARCHAR(255) NOT NULL,
+      description VARCHAR(255) NULL,
+      token_hash CHAR(64) NOT NULL,
+      token_prefix VARCHAR(16) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      rotated_at DATETIME NULL,
+      revoked_at DATETIME NULL,
+      last_seen_at DATETIME NULL,
+      UNIQUE KEY uniq_server_name (server_name),
+      UNIQUE KEY uniq_token_hash (token_hash)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `, err => callback(err));
+};
+
+exports.down = (db, callback) => {
+  db.query('DROP TABLE IF EXISTS servers', err => callback(err));
+};
+
+exports.sqlite = {
+  up: (db, callback) => {
+    db.query(`
+      CREATE TABLE IF NOT EXISTS servers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_name TEXT NOT NULL,
+        description TEXT NULL,
+        token_hash TEXT NOT NULL,
+        token_prefix TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now', 'localtime')),
+        rotated_at TEXT NULL,
+        revoked_at TEXT NULL,
+        last_seen_at TEXT NULL,
+        CONSTRAINT uniq_server_name UNIQUE (server_name),
+        CONSTRAINT uniq_token_hash UNIQUE (token_hash)
+      )
+    `, err => callback(err));
+  },
+  down: (db, callback) => {
+    db.query('DROP TABLE IF EXISTS servers', err => callback(err));
+  }
+};
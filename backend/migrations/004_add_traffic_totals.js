@@ -0,0 +1,71 @@
+// Interface byte counters on samples, and the transferred bytes derived from them
+
+const { runStatements, addColumnIfMissing } = require('../lib/migrations');
+
+exports.up = (db, callback) => {
+  addColumnIfMissing(db, 'vnstat_data', 'rx_bytes',
+    'ADD COLUMN rx_bytes BIGINT UNSIGNED NULL, ADD COLUMN tx_bytes BIGINT UNSIGNED NULL', err => {
+      if (err) return callback(err);
+      runStatements(db, [
+        // Transferred bytes per hour, day and month, derived from counter deltas
+        `CREATE TABLE IF NOT EXISTS traffic_totals (
+          server_name VARCHAR(255) NOT NULL,
+          interface VARCHAR(32) NOT NULL DEFAULT 'default',
+          period ENUM('hour', 'day', 'month') NOT NULL,
+          period_start DATETIME NOT NULL,
+          rx_bytes BIGINT UNSIGNED NOT NULL DEFAULT 0,
+          tx_bytes BIGINT UNSIGNED NOT NULL DEFAULT 0,
+          PRIMARY KEY (server_name, interface, period, period_start),
+          INDEX idx_period_start (period, period_start)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+        // Last counter reading per server and interface, so deltas survive restarts
+        `CREATE TABLE IF NOT EXISTS traffic_counters (
+          server_name VARCHAR(255) NOT NULL,
+          interface VARCHAR(32) NOT NULL DEFAULT 'default',
+          timestamp DATETIME NOT NULL,
+          rx_bytes BIGINT UNSIGNED NOT NULL,
+          tx_bytes BIGINT UNSIGNED NOT NULL,
+          PRIMARY KEY (server_name, interface)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+      ], callback);
+    });
+};
+
+exports.down = (db, callback) => {
+  runStatements(db, [
+    'DROP TABLE IF EXISTS traffic_counters',
+    'DROP TABLE IF EXISTS traffic_totals',
+    'ALTER TABLE vnstat_data DROP COLUMN rx_bytes, DROP COLUMN tx_bytes'
+  ], callback);
+};
+
+exports.sqlite = {
+  up: (db, callback) => runStatements(db, [
+    'ALTER TABLE vnstat_data ADD COLUMN rx_bytes INTEGER NULL',
+    'ALTER TABLE vnstat_data ADD COLUMN tx_bytes INTEGER NULL',
+    `CREATE TABLE IF NOT EXISTS traffic_totals (
+      server_name TEXT NOT NULL,
+      interface TEXT NOT NULL DEFAULT 'default',
+      period TEXT NOT NULL CHECK (period IN ('hour', 'day', 'month')),
+      period_start TEXT NOT NULL,
+      rx_bytes INTEGER NOT NULL DEFAULT 0,
+      tx_bytes INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (server_name, interface, period, period_start)
+    )`,
+    'CREATE INDEX idx_traffic_totals_period_start ON traffic_totals (period, period_start)',
+    `CREATE TABLE IF NOT EXISTS traffic_counters (
+      server_name TEXT NOT NULL,
+      interface TEXT NOT NULL DEFAULT 'default',
+      timestamp TEXT NOT NULL,
+      rx_bytes INTEGER NOT NULL,
+      tx_bytes INTEGER NOT NULL,
+      PRIMARY KEY (server_name, interface)
+    )`
+  ], callback),
+  down: (db, callback) => runStatements(db, [
+    'DROP TABLE IF EXISTS traffic_counters',
+    'DROP TABLE IF EXISTS traffic_totals',
+    'ALTER TABLE vnstat_data DROP COLUMN rx_bytes',
+    'ALTER TABLE vnstat_data DROP COLUMN tx_bytes'
+  ], callback)
+};
@@ -0,0 +1,52 @@
+// Make (server_name, interface, timestamp) unique so agent retries can't
+// store a sample twice. Duplicates stored by older versions are removed
+// first, keeping the oldest copy.
+
+const { runStatements, indexExists } = require('../lib/migrations');
+
+exports.up = (db, callback) => {
+  indexExists(db, 'vnstat_data', 'uniq_sample', (err, found) => {
+    if (err) return callback(err);
+    if (found) return callback(null);
+
+    db.query(`
+      DELETE newer FROM vnstat_data newer
+      JOIN vnstat_data older
+        ON newer.server_name = older.server_name
+        AND newer.interface = older.interface
+        AND newer.timestamp = older.timestamp
+        AND newer.id > older.id
+    `, (err, result) => {
+      if (err) return callback(err);
+      console.log(`   Removed ${result.affectedRows} duplicate samples`);
+      // The unique key covers the same columns as the old lookup index
+      db.query(`
+        ALTER TABLE vnstat_data
+        ADD UNIQUE KEY uniq_sample (server_name, interface, timestamp),
+        DROP INDEX idx_server_interface_timestamp
+      `, err => callback(err));
+    });
+  });
+};
+
+exports.down = (db, callback) => {
+  db.query(`
+    ALTER TABLE vnstat_data
+    ADD INDEX idx_server_interface_timestamp (server_name, interface, timestamp),
+    DROP INDEX uniq_sample
+  `, err => callback(err));
+};
+
+exports.sqlite = {
+  up: (db, callback) => runStatements(db, [
+    `DELETE FROM vnstat_data WHERE id NOT IN (
+      SELECT MIN(id) FROM vnstat_data GROUP BY server_name, interface, timestamp
+    )`,
+    'CREATE UNIQUE INDEX uniq_sample ON vnstat_data (server_name, interface, timestamp)',
+    'DROP INDEX idx_server_interface_timestamp'
+  ], callback),
+  down: (db, callback) => runStatements(db, [
+    'CREATE INDEX idx_server_interface_timestamp ON vnstat_data (server_name, interface, timestamp)',
+    'DROP INDEX uniq_sample'
+  ], callback)
+};
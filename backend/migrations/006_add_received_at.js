@@ -0,0 +1,20 @@
+// Time the backend received each sample, for clock skew and online status
+
+const { addColumnIfMissing } = require('../lib/migrations');
+
+exports.up = (db, callback) => {
+  addColumnIfMissing(db, 'vnstat_data', 'received_at', 'ADD COLUMN received_at DATETIME NULL', callback);
+};
+
+exports.down = (db, callback) => {
+  db.query('ALTER TABLE vnstat_data DROP COLUMN received_at', err => callback(err));
+};
+
+exports.sqlite = {
+  up: (db, callback) => {
+    db.query('ALTER TABLE vnstat_data ADD COLUMN received_at TEXT NULL', err => callback(err));
+  },
+  down: (db, callback) => {
+    db.query('ALTER TABLE vnstat_data DROP COLUMN received_at', err => callback(err));
+  }
+};
@@ -0,0 +1,23 @@
+// Packets per second; NULL for samples from agents that don't report them
+
+const { runStatements, addColumnIfMissing } = require('../lib/migrations');
+
+exports.up = (db, callback) => {
+  addColumnIfMissing(db, 'vnstat_data', 'rx_pps',
+    'ADD COLUMN rx_pps FLOAT NULL AFTER tx_rate, ADD COLUMN tx_pps FLOAT NULL AFTER rx_pps', callback);
+};
+
+exports.down = (db, callback) => {
+  db.query('ALTER TABLE vnstat_data DROP COLUMN rx_pps, DROP COLUMN tx_pps', err => callback(err));
+};
+
+exports.sqlite = {
+  up: (db, callback) => runStatements(db, [
+    'ALTER TABLE vnstat_data ADD COLUMN rx_pps REAL NULL',
+    'ALTER TABLE vnstat_data ADD COLUMN tx_pps REAL NULL'
+  ], callback),
+  down: (db, callback) => runStatements(db, [
+    'ALTER TABLE vnstat_data DROP COLUMN rx_pps',
+    'ALTER TABLE vnstat_data DROP COLUMN tx_pps'
+  ], callback)
+};
@@ -0,0 +1,55 @@
+// 1-minute, 1-hour and 1-day rollups of vnstat_data, maintained by lib/rollups.js
+
+const { runStatements } = require('../lib/migrations');
+
+const TABLES = ['vnstat_rollup_1m', 'vnstat_rollup_1h', 'vnstat_rollup_1d'];
+
+const rollupTable = (table) => `
+  CREATE TABLE IF NOT EXISTS ${table} (
+    server_name VARCHAR(255) NOT NULL,
+    interface VARCHAR(32) NOT NULL DEFAULT 'default',
+    bucket_start DATETIME NOT NULL,
+    samples INT UNSIGNED NOT NULL,
+    pps_samples INT UNSIGNED NOT NULL DEFAULT 0,
+    rx_min FLOAT NULL, rx_avg FLOAT NULL, rx_max FLOAT NULL,
+    tx_min FLOAT NULL, tx_avg FLOAT NULL, tx_max FLOAT NULL,
+    rx_pps_min FLOAT NULL, rx_pps_avg FLOAT NULL, rx_pps_max FLOAT NULL,
+    tx_pps_min FLOAT NULL, tx_pps_avg FLOAT NULL, tx_pps_max FLOAT NULL,
+    last_timestamp DATETIME NOT NULL,
+    last_received_at DATETIME NULL,
+    PRIMARY KEY (server_name, interface, bucket_start),
+    INDEX idx_bucket_start (bucket_start)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+`;
+
+exports.up = (db, callback) => {
+  runStatements(db, TABLES.map(rollupTable), callback);
+};
+
+exports.down = (db, callback) => {
+  runStatements(db, TABLES.map(table => `DROP TABLE IF EXISTS ${table}`), callback);
+};
+
+// SQLite index names are global, so each table's index carries its name
+const sqliteRollupTable = (table) => [
+  `CREATE TABLE IF NOT EXISTS ${table} (
+    server_name TEXT NOT NULL,
+    interface TEXT NOT NULL DEFAULT 'default',
+    bucket_start TEXT NOT NULL,
+    samples INTEGER NOT NULL,
+    pps_samples INTEGER NOT NULL DEFAULT 0,
+    rx_min REAL NULL, rx_avg REAL NULL, rx_max REAL NULL,
+    tx_min REAL NULL, tx_avg REAL NULL, tx_max REAL NULL,
+    rx_pps_min REAL NULL, rx_pps_avg REAL NULL, rx_pps_max REAL NULL,
+    tx_pps_min REAL NULL, tx_pps_avg REAL NULL, tx_pps_max REAL NULL,
+    last_timestamp TEXT NOT NULL,
+    last_received_at TEXT NULL,
+    PRIMARY KEY (server_name, interface, bucket_start)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_${table}_bucket_start ON ${table} (bucket_start)`
+];
+
+exports.sqlite = {
+  up: (db, callback) => runStatements(db, TABLES.flatMap(sqliteRollupTable), callback),
+  down: (db, callback) => runStatements(db, TABLES.map(table => `DROP TABLE IF EXISTS ${table}`), callback)
+};
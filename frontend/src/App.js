@@ -6,6 +6,8 @@ import LoadingSpinner from './components/LoadingSpinner';
 import ErrorDisplay from './components/ErrorDisplay';
 import VersionFooter from './components/VersionFooter';
 import ThemeToggle from './components/ThemeToggle';
+import BillingReport from './components/BillingReport';
+import TopTalkers from './components/TopTalkers';
 import { apiService } from './services/apiService';
 import { getRandomRefreshInterval } from './utils/browserCache';
 
@@ -308,7 +310,7 @@ function App() {
                 <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#4caf50' }}>
                   {servers.filter(s => {
                     const now = new Date();
-                    const lastUpdate = new Date(s.latest_time);
+                    const lastUpdate = new Date(s.latest_received_at || s.latest_time);
                     const diffMinutes = Math.floor((now - lastUpdate) / (1000 * 60));
                     return diffMinutes <= 15;
                   }).length}
@@ -333,6 +335,12 @@ function App() {
             </div>
           </div>
 
+          {/* Top Talkers Leaderboard */}
+          <TopTalkers timeRange={timeRange} refreshTrigger={refreshTrigger} />
+
+          {/* Monthly 95th Percentile Report */}
+          <BillingReport refreshTrigger={refreshTrigger} />
+
           {/* Individual Server Cards */}
           <div style={{ marginTop: '30px' }}>
             <h2 style={{ marginBottom: '20px', color: '#333' }}>
@@ -343,6 +351,7 @@ function App() {
                 <ServerCard 
                   key={`${server.server_name}-${index}`}
                   server={server}
+                  timeRange={timeRange}
                   refreshTrigger={refreshTrigger}
                 />
               ))}
@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/apiService';
+import { formatMbps } from '../utils/formatUtils';
+
+// Months offered in the selector, newest first
+const MONTHS_SHOWN = 12;
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+const getRecentMonths = () => {
+  const now = new Date();
+  return Array.from({ length: MONTHS_SHOWN }, (_, i) => {
+    const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+    return {
+      value: monthKey(date),
+      label: date.toLocaleString(undefined, { month: 'long', year: 'numeric' })
+    };
+  });
+};
+
+const cellStyle = { padding: '6px 8px', textAlign: 'right', whiteSpace: 'nowrap' };
+const headerStyle = { ...cellStyle, borderBottom: '2px solid #ddd', fontSize: '12px', color: '#666' };
+
+// One table row of billing figures for a server or the fleet
+const ReportRow = ({ name, figures, bold }) => (
+  <tr style={{ borderBottom: '1px solid #eee', fontWeight: bold ? 'bold' : 'normal' }}>
+    <td style={{ ...cellStyle, textAlign: 'left' }}>{name}</td>
+    <td style={cellStyle}>{formatMbps(figures.rx.avg)}</td>
+    <td style={{ ...cellStyle, color: '#4caf50' }}>{formatMbps(figures.rx.p95)}</td>
+    <td style={cellStyle}>{formatMbps(figures.rx.p99)}</td>
+    <td style={cellStyle}>{formatMbps(figures.rx.max)}</td>
+    <td style={cellStyle}>{formatMbps(figures.tx.avg)}</td>
+    <td style={{ ...cellStyle, color: '#2196f3' }}>{formatMbps(figures.tx.p95)}</td>
+    <td style={cellStyle}>{formatMbps(figures.tx.p99)}</td>
+    <td style={cellStyle}>{formatMbps(figures.tx.max)}</td>
+    <td style={{ ...cellStyle, fontWeight: 'bold' }}>{formatMbps(figures.billable_p95)}</td>
+  </tr>
+);
+
+const BillingReport = ({ refreshTrigger }) => {
+  const [months] = useState(getRecentMonths);
+  const [month, setMonth] = useState(months[0].value);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setReport(await apiService.getBillingReport(month));
+    } catch (err) {
+      console.error(`Failed to fetch billing report for ${month}:`, err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [month]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport, refreshTrigger]);
+
+  // Share of the month's 5-minute intervals (so far) that have samples
+  const coverage = report && report.expected_intervals > 0
+    ? Math.min(report.fleet.intervals / report.expected_intervals, 1) * 100
+    : null;
+
+  return (
+    <div className="card" style={{ marginTop: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+        <h3 style={{ margin: '0' }}>Monthly Bandwidth Report (95th percentile)</h3>
+        <div>
+          <label style={{ marginRight: '10px' }}>Month:</label>
+          <select
+            value={month}
+            onChange={(e) => setMonth(e.target.value)}
+            style={{
+              padding: '5px 10px',
+              borderRadius: '4px',
+              border: '1px solid #ccc'
+            }}
+          >
+            {months.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading && !report && (
+        <div style={{ textAlign: 'center', padding: '20px', color: '#666' }}>
+          Loading billing report...
+        </div>
+      )}
+
+      {error && (
+        <div style={{ textAlign: 'center', padding: '20px', color: '#f44336' }}>
+          <div>Report Error: {error}</div>
+          <button
+            onClick={fetchReport}
+            style={{
+              marginTop: '10px',
+              padding: '4px 8px',
+              backgroundColor: '#2196f3',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '12px'
+            }}
+          >
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!error && report && report.servers.length === 0 && (
+        <div style={{ textAlign: 'center', padding: '20px', color: '#666' }}>
+          No samples recorded in this month
+        </div>
+      )}
+
+      {!error && report && report.servers.length > 0 && (
+        <>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr>
+                  <th style={{ ...headerStyle, textAlign: 'left' }}>Server</th>
+                  <th style={headerStyle}>RX avg</th>
+                  <th style={headerStyle}>RX 95th</th>
+                  <th style={headerStyle}>RX 99th</th>
+                  <th style={headerStyle}>RX max</th>
+                  <th style={headerStyle}>TX avg</th>
+                  <th style={headerStyle}>TX 95th</th>
+                  <th style={headerStyle}>TX 99th</th>
+                  <th style={headerStyle}>TX max</th>
+                  <th style={headerStyle} title="Higher of the RX and TX 95th percentile">Billable</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.servers.map(server => (
+                  <ReportRow key={server.server_name} name={server.server_name} figures={server} />
+                ))}
+                <ReportRow name={`Fleet (${report.fleet.server_count} servers)`} figures={report.fleet} bold />
+              </tbody>
+            </table>
+          </div>
+          <div style={{ fontSize: '11px', color: '#666', marginTop: '10px' }}>
+            Based on 5-minute average rates; intervals without samples are left out.
+            {coverage !== null && ` ${coverage.toFixed(1)}% of the month's intervals up to now have data.`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BillingReport;
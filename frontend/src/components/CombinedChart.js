@@ -13,8 +13,8 @@ import {
 } from 'chart.js';
 import 'chartjs-adapter-date-fns';
 import { apiService } from '../services/apiService';
-import { getValueAndUnit } from '../utils/formatUtils';
-import { aggregateCombinedServerData, getBackendTimeRange, getBackendLimit } from '../utils/dataAggregation';
+import { getValueAndUnit, CHART_METRICS, chartMetricValue, COMPARE_OFFSETS, ghostDataset, compareTooltipLine } from '../utils/formatUtils';
+import { getSeriesWindow } from '../utils/dataAggregation';
 import { getRandomRefreshInterval } from '../utils/browserCache';
 
 ChartJS.register(
@@ -33,6 +33,14 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [timeRange, setTimeRange] = useState('1h');
+  const [selectedInterface, setSelectedInterface] = useState('all');
+  const [chartMetric, setChartMetric] = useState('throughput');
+  const [compareOffset, setCompareOffset] = useState('');
+
+  // Every interface name reported by any server, for the interface filter
+  const interfaceNames = Array.from(new Set(
+    (servers || []).flatMap(server => (server.interfaces || []).map(iface => iface.interface))
+  )).sort();
 
   const fetchCombinedData = useCallback(async () => {
     if (!servers || servers.length === 0) {
@@ -45,50 +53,36 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
       setLoading(true);
       setError(null);
 
-      // Get backend parameters for more data points
-      const backendTimeRange = getBackendTimeRange(timeRange);
-      const backendLimit = getBackendLimit(timeRange);
-
-      // Fetch historical data for all servers with increased limits
-      const historyPromises = servers.map(server =>
-        apiService.getServerHistory(server.server_name, backendTimeRange, backendLimit, false)
+      // One request for the whole fleet; the backend sums every server's
+      // buckets, and empty buckets come back with null rates and show as gaps
+      const interfaceName = selectedInterface === 'all' ? null : selectedInterface;
+      const { total: series, compare } = await apiService.getFleetSeries(
+        getSeriesWindow(timeRange), false, interfaceName, compareOffset || null
       );
+      const valueAt = (point, kib, pps) => (point.samples > 0 ? chartMetricValue(chartMetric, kib, pps) : null);
 
-      const allHistoryResults = await Promise.allSettled(historyPromises);
-
-      // Extract successful results
-      const allServerData = allHistoryResults
-        .filter(result => result.status === 'fulfilled' && result.value)
-        .map(result => result.value);
-
-      if (allServerData.length === 0) {
+      if (!series || !series.some(point => point.samples > 0)) {
         setChartData(null);
         setLoading(false);
         return;
       }
 
-      // Aggregate data using time-based averaging
-      const aggregatedData = aggregateCombinedServerData(allServerData, timeRange);
-
-      if (aggregatedData.length === 0) {
-        setChartData(null);
-        setLoading(false);
-        return;
-      }
+      // Packet sizes are fleet-wide averages, not totals
+      const unit = CHART_METRICS[chartMetric].unit;
+      const prefix = chartMetric === 'packetSize' ? 'Average' : 'Total';
 
-      // Convert KiB/s to Mbps (megabits per second)
-      // Data from vnstat is in KiB/s (kibibytes per second)
-      // 1 KiB/s = 1024 bytes/s = 1024 * 8 bits/s = 8192 bits/s
-      // 1 Mbps = 1,000,000 bits/s
-      const kibToMbps = (kibPerSecond) => (kibPerSecond * 8192) / 1000000;
+      // Compared buckets line up with the current ones index for index
+      const rxCompare = compare ? compare.map(point => valueAt(point, point.rx_rate, point.rx_pps)) : undefined;
+      const txCompare = compare ? compare.map(point => valueAt(point, point.tx_rate, point.tx_pps)) : undefined;
 
       // Prepare chart data
       const chartData = {
-        labels: aggregatedData.map(point => new Date(point.timestamp)),
+        labels: series.map(point => new Date(point.timestamp)),
         datasets: [
           {
-            label: 'Total Inbound (Mbps)',
-            data: aggregatedData.map(point => kibToMbps(point.total_rx || 0).toFixed(2)),
+            label: `${prefix} Inbound (${unit})`,
+            data: series.map(point => valueAt(point, point.rx_rate, point.rx_pps)),
+            compareData: rxCompare,
             borderColor: '#4caf50',
             backgroundColor: 'rgba(76, 175, 80, 0.1)',
             fill: false,
@@ -97,8 +91,9 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
             pointHoverRadius: 4
           },
           {
-            label: 'Total Outbound (Mbps)',
-            data: aggregatedData.map(point => kibToMbps(point.total_tx || 0).toFixed(2)),
+            label: `${prefix} Outbound (${unit})`,
+            data: series.map(point => valueAt(point, point.tx_rate, point.tx_pps)),
+            compareData: txCompare,
             borderColor: '#2196f3',
             backgroundColor: 'rgba(33, 150, 243, 0.1)',
             fill: false,
@@ -109,6 +104,15 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
         ]
       };
 
+      if (compare) {
+        const [rx, tx] = chartData.datasets;
+        const ago = COMPARE_OFFSETS[compareOffset].short;
+        chartData.datasets.push(
+          ghostDataset({ ...rx, compareData: undefined }, `${prefix} Inbound ${ago} (${unit})`, rxCompare),
+          ghostDataset({ ...tx, compareData: undefined }, `${prefix} Outbound ${ago} (${unit})`, txCompare)
+        );
+      }
+
       setChartData(chartData);
     } catch (err) {
       console.error('Failed to fetch combined chart data:', err);
@@ -116,7 +120,7 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
     } finally {
       setLoading(false);
     }
-  }, [servers, timeRange]);
+  }, [servers, timeRange, selectedInterface, chartMetric, compareOffset]);
 
   useEffect(() => {
     fetchCombinedData();
@@ -178,7 +182,7 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
     plugins: {
       title: {
         display: true,
-        text: `Combined Network Throughput - ${servers?.length || 0} servers (${getDataPointDescription(timeRange)})`
+        text: `Combined ${CHART_METRICS[chartMetric].title} - ${servers?.length || 0} servers (${getDataPointDescription(timeRange)})`
       },
       legend: {
         position: 'top'
@@ -193,10 +197,12 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
           afterLabel: function(context) {
             const dataIndex = context.dataIndex;
             const aggregatedPoint = chartData?.labels ? chartData.labels[dataIndex] : null;
+            const change = compareOffset ? compareTooltipLine(context, compareOffset) : null;
             if (aggregatedPoint) {
-              return `Time: ${apiService.formatTimestamp(aggregatedPoint, 'MMM dd, HH:mm:ss')}`;
+              const time = `Time: ${apiService.formatTimestamp(aggregatedPoint, 'MMM dd, HH:mm:ss')}`;
+              return change ? [time, change] : time;
             }
-            return '';
+            return change || '';
           }
         }
       }
@@ -216,7 +222,7 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
         beginAtZero: true,
         title: {
           display: true,
-          text: 'Throughput (Mbps)'
+          text: `${CHART_METRICS[chartMetric].label} (${CHART_METRICS[chartMetric].unit})`
         },
         ticks: {
           callback: function(value) {
@@ -300,6 +306,54 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
             <option value="3d">3 Days</option>
             <option value="1w">1 Week</option>
           </select>
+          <label style={{ margin: '0 10px 0 15px' }}>Metric:</label>
+          <select 
+            value={chartMetric} 
+            onChange={(e) => setChartMetric(e.target.value)}
+            style={{
+              padding: '5px 10px',
+              borderRadius: '4px',
+              border: '1px solid #ccc'
+            }}
+          >
+            {Object.entries(CHART_METRICS).map(([value, metric]) => (
+              <option key={value} value={value}>{metric.label}</option>
+            ))}
+          </select>
+          <label style={{ margin: '0 10px 0 15px' }}>Compare:</label>
+          <select 
+            value={compareOffset} 
+            onChange={(e) => setCompareOffset(e.target.value)}
+            style={{
+              padding: '5px 10px',
+              borderRadius: '4px',
+              border: '1px solid #ccc'
+            }}
+          >
+            <option value="">None</option>
+            {Object.entries(COMPARE_OFFSETS).map(([value, offset]) => (
+              <option key={value} value={value}>{offset.label}</option>
+            ))}
+          </select>
+          {interfaceNames.length > 1 && (
+            <>
+              <label style={{ margin: '0 10px 0 15px' }}>Interface:</label>
+              <select 
+                value={selectedInterface} 
+                onChange={(e) => setSelectedInterface(e.target.value)}
+                style={{
+                  padding: '5px 10px',
+                  borderRadius: '4px',
+                  border: '1px solid #ccc'
+                }}
+              >
+                <option value="all">All interfaces</option>
+                {interfaceNames.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </>
+          )}
         </div>
       </div>
       
@@ -314,7 +368,7 @@ const CombinedChart = ({ servers, refreshTrigger }) => {
         textAlign: 'center' 
       }}>
         Displaying data in your local timezone: {apiService.getUserTimezone()}<br/>
-        Data points are averaged over time buckets • Chart updates every 50-70 seconds (randomized)
+        Data points are averaged over time buckets and summed across servers • Chart updates every 50-70 seconds (randomized)
       </div>
     </div>
   );
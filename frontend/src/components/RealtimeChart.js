@@ -13,9 +13,9 @@ import {
 } from 'chart.js';
 import 'chartjs-adapter-date-fns';
 import { apiService } from '../services/apiService';
-import { addSeconds, subMinutes } from 'date-fns';
 import { useTheme } from '../contexts/ThemeContext';
 import { mergeChartOptions } from '../utils/chartTheme';
+import { kibToMbps } from '../utils/formatUtils';
 
 ChartJS.register(
   CategoryScale,
@@ -28,6 +28,10 @@ ChartJS.register(
   TimeScale
 );
 
+// Shown window and bucket width
+const REALTIME_WINDOW_MS = 15 * 60 * 1000;
+const REALTIME_STEP_MS = 30 * 1000;
+
 const RealtimeChart = ({ servers, refreshTrigger }) => {
   const [chartData, setChartData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -44,99 +48,6 @@ const RealtimeChart = ({ servers, refreshTrigger }) => {
     return colors[index % colors.length];
   };
 
-
-  // Aggregate data into 30-second buckets with timezone correction
-  const aggregateRealtimeData = useCallback((rawData) => {
-    if (!rawData || !Array.isArray(rawData) || rawData.length === 0) {
-      return [];
-    }
-
-    // Use current time in browser timezone for bucketing
-    const now = new Date();
-    const startTime = subMinutes(now, 15); // 15 minutes ago
-    const buckets = new Map();
-
-    // Create 30-second buckets for the last 15 minutes
-    for (let i = 0; i < 30; i++) {
-      const bucketTime = addSeconds(startTime, i * 30);
-      const bucketKey = Math.floor(bucketTime.getTime() / 30000) * 30000; // Round to 30-second intervals
-      buckets.set(bucketKey, {
-        timestamp: new Date(bucketKey),
-        rx_values: [],
-        tx_values: [],
-        count: 0
-      });
-    }
-
-    // Group data points into buckets with timezone offset correction
-    rawData.forEach(point => {
-      if (!point.timestamp || (!point.rx_rate && point.rx_rate !== 0) || (!point.tx_rate && point.tx_rate !== 0)) {
-        return;
-      }
-
-      // Parse the timestamp (comes from apiService already normalized)
-      const originalTime = new Date(point.timestamp);
-      
-      // Apply timezone offset to align with browser timezone for Chart.js display
-      // This ensures RealtimeChart shows the same time as other components
-      const serverTimezone = apiService.getUserTimezone();
-      const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-      
-      // Calculate the difference and adjust
-      // For now, detect the offset by comparing what apiService returns vs browser expectation
-      let adjustedTime = originalTime;
-      
-      // If server timezone differs from browser timezone, adjust the timestamp
-      if (serverTimezone !== browserTimezone) {
-        // Simple approach: if we detect a consistent offset, apply it
-        const sampleServerTime = apiService.normalizeTimestamp(new Date());
-        const sampleBrowserTime = new Date();
-        const detectedOffset = sampleBrowserTime.getTime() - sampleServerTime.getTime();
-        adjustedTime = new Date(originalTime.getTime() + detectedOffset);
-      }
-      
-      // Debug: Log timezone correction
-      if (Math.random() < 0.01) { // Only log 1% of points to avoid spam
-        console.log(`RealtimeChart timezone correction - Original: ${originalTime.toISOString()}, Adjusted: ${adjustedTime.toISOString()}, Server TZ: ${serverTimezone}, Browser TZ: ${browserTimezone}`);
-      }
-      
-      // Filter to last 15 minutes only
-      if (adjustedTime < startTime) {
-        return;
-      }
-
-      // Use adjusted time for bucketing
-      const bucketKey = Math.floor(adjustedTime.getTime() / 30000) * 30000;
-      const bucket = buckets.get(bucketKey);
-      
-      if (bucket) {
-        bucket.rx_values.push(Number(point.rx_rate) || 0);
-        bucket.tx_values.push(Number(point.tx_rate) || 0);
-        bucket.count++;
-      }
-    });
-
-    // Calculate averages for each bucket and sum RX + TX for total throughput
-    const aggregatedData = Array.from(buckets.values())
-      .map(bucket => {
-        const avgRx = bucket.rx_values.length > 0 
-          ? bucket.rx_values.reduce((sum, val) => sum + val, 0) / bucket.rx_values.length 
-          : 0;
-        const avgTx = bucket.tx_values.length > 0 
-          ? bucket.tx_values.reduce((sum, val) => sum + val, 0) / bucket.tx_values.length 
-          : 0;
-        
-        return {
-          timestamp: bucket.timestamp,
-          total_throughput: avgRx + avgTx, // Sum RX + TX for total throughput
-          data_points: bucket.count
-        };
-      })
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-    return aggregatedData;
-  }, []);
-
   const fetchRealtimeData = useCallback(async () => {
     if (!servers || servers.length === 0) {
       setChartData(null);
@@ -148,43 +59,29 @@ const RealtimeChart = ({ servers, refreshTrigger }) => {
       setLoading(true);
       setError(null);
 
-      // Fetch last 20 minutes of data with high frequency for each server
-      const historyPromises = servers.map(server =>
-        apiService.getServerHistory(server.server_name, '20m', 240, false)
-      );
-
-      const allHistoryResults = await Promise.allSettled(historyPromises);
-
-      // Extract successful results
-      const allServerData = allHistoryResults
-        .map((result, index) => ({
-          serverName: servers[index].server_name,
-          data: result.status === 'fulfilled' && result.value ? result.value : []
-        }))
-        .filter(server => server.data.length > 0);
+      // The last 15 minutes of every server in 30-second buckets, from one
+      // request; empty buckets come back with null rates and show as gaps
+      const to = new Date(Math.ceil(Date.now() / REALTIME_STEP_MS) * REALTIME_STEP_MS);
+      const { servers: serverSeries } = await apiService.getFleetSeries({
+        from: new Date(to.getTime() - REALTIME_WINDOW_MS),
+        to,
+        step: REALTIME_STEP_MS / 1000
+      });
 
-      if (allServerData.length === 0) {
+      if (serverSeries.length === 0) {
         setChartData(null);
         setLoading(false);
         return;
       }
 
-      // Convert KiB/s to Mbps
-      const kibToMbps = (kibPerSecond) => (kibPerSecond * 8192) / 1000000;
-
-      // Process each server's data
-      const datasets = [];
-      
-      allServerData.forEach((serverData, index) => {
-        const aggregatedData = aggregateRealtimeData(serverData.data);
+      // Total throughput dataset (RX + TX combined) per server
+      const datasets = serverSeries.map((series, index) => {
         const color = getServerColor(index);
-
-        // Total throughput dataset (RX + TX combined)
-        datasets.push({
-          label: `${serverData.serverName} Total (Mbps)`,
-          data: aggregatedData.map(point => ({
+        return {
+          label: `${series.server_name} Total (Mbps)`,
+          data: series.buckets.map(point => ({
             x: point.timestamp,
-            y: kibToMbps(point.total_throughput || 0).toFixed(3)
+            y: point.samples > 0 ? kibToMbps((point.rx_rate || 0) + (point.tx_rate || 0)).toFixed(3) : null
           })),
           borderColor: color,
           backgroundColor: color + '20',
@@ -193,7 +90,7 @@ const RealtimeChart = ({ servers, refreshTrigger }) => {
           pointRadius: 1,
           pointHoverRadius: 3,
           borderWidth: 2
-        });
+        };
       });
 
       setChartData({ datasets });
@@ -203,7 +100,7 @@ const RealtimeChart = ({ servers, refreshTrigger }) => {
     } finally {
       setLoading(false);
     }
-  }, [servers, aggregateRealtimeData]);
+  }, [servers]);
 
   useEffect(() => {
     fetchRealtimeData();
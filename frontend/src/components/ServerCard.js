@@ -1,15 +1,33 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Line } from 'react-chartjs-2';
 import { apiService } from '../services/apiService';
-import { formatKiB, getTimeDifference, getValueAndUnit, calculateUptime } from '../utils/formatUtils';
-import { aggregateDataByTime, getBackendTimeRange, getBackendLimit } from '../utils/dataAggregation';
+import { formatKiB, formatPackets, getTimeDifference, getValueAndUnit, formatAvailability, formatDuration, CHART_METRICS, chartMetricValue, COMPARE_OFFSETS, ghostDataset, compareTooltipLine } from '../utils/formatUtils';
+import { getSeriesWindow } from '../utils/dataAggregation';
 
-const ServerCard = ({ server, refreshTrigger }) => {
+// Most recent outages listed on a card
+const MAX_OUTAGES_SHOWN = 3;
+
+const ServerCard = ({ server, timeRange: dashboardRange, refreshTrigger }) => {
   const [chartData, setChartData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showChart, setShowChart] = useState(false);
   const [timeRange, setTimeRange] = useState('1h');
+  const [selectedInterface, setSelectedInterface] = useState('all');
+  const [chartMetric, setChartMetric] = useState('throughput');
+  const [compareOffset, setCompareOffset] = useState('');
+
+  const interfaces = Array.isArray(server?.interfaces) ? server.interfaces : [];
+
+  const availability = server.availability;
+  const getAvailabilityColor = (percentage) => {
+    if (percentage >= 99.9) return '#4caf50';
+    if (percentage >= 99) return '#ff9800';
+    return '#f44336';
+  };
+
+  // Tooltip with when a peak happened
+  const peakTime = (peak) => `Peak at ${apiService.formatTimestamp(peak.time, 'MMM dd, HH:mm:ss')}`;
 
   const fetchServerHistory = useCallback(async () => {
     if (!showChart || !server?.server_name) return;
@@ -18,53 +36,58 @@ const ServerCard = ({ server, refreshTrigger }) => {
       setLoading(true);
       setError(null);
 
-      // Get backend parameters for more data points
-      const backendTimeRange = getBackendTimeRange(timeRange);
-      const backendLimit = getBackendLimit(timeRange);
-
-      const historyData = await apiService.getServerHistory(server.server_name, backendTimeRange, backendLimit, false);
+      // The backend averages the samples into equal time buckets; empty
+      // buckets come back with null rates and show as gaps
+      const interfaceName = selectedInterface === 'all' ? null : selectedInterface;
+      const { buckets: series, compare } = await apiService.getServerSeries(
+        server.server_name, getSeriesWindow(timeRange), false, interfaceName, compareOffset || null
+      );
+      const valueAt = (point, kib, pps) => (point.samples > 0 ? chartMetricValue(chartMetric, kib, pps) : null);
       
-      if (historyData && Array.isArray(historyData) && historyData.length > 0) {
-        // Aggregate data using time-based averaging
-        const aggregatedData = aggregateDataByTime(historyData, timeRange);
-
-        if (aggregatedData.length > 0) {
-          // Convert KiB/s to Mbps (megabits per second)
-          // Data from vnstat is in KiB/s (kibibytes per second)
-          // 1 KiB/s = 1024 bytes/s = 1024 * 8 bits/s = 8192 bits/s
-          // 1 Mbps = 1,000,000 bits/s
-          const kibToMbps = (kibPerSecond) => (kibPerSecond * 8192) / 1000000;
-
-          const chartData = {
-            labels: aggregatedData.map(point => new Date(point.timestamp)),
-            datasets: [
-              {
-                label: 'RX (Mbps)',
-                data: aggregatedData.map(point => kibToMbps(point.rx_rate || 0).toFixed(2)),
-                borderColor: '#4caf50',
-                backgroundColor: 'rgba(76, 175, 80, 0.1)',
-                fill: false,
-                tension: 0.2,
-                pointRadius: 1,
-                pointHoverRadius: 3
-              },
-              {
-                label: 'TX (Mbps)',
-                data: aggregatedData.map(point => kibToMbps(point.tx_rate || 0).toFixed(2)),
-                borderColor: '#2196f3',
-                backgroundColor: 'rgba(33, 150, 243, 0.1)',
-                fill: false,
-                tension: 0.2,
-                pointRadius: 1,
-                pointHoverRadius: 3
-              }
-            ]
-          };
-
-          setChartData(chartData);
-        } else {
-          setChartData(null);
+      if (series && series.some(point => point.samples > 0)) {
+        const unit = CHART_METRICS[chartMetric].unit;
+        // Compared buckets line up with the current ones index for index
+        const rxCompare = compare ? compare.map(point => valueAt(point, point.rx_rate, point.rx_pps)) : undefined;
+        const txCompare = compare ? compare.map(point => valueAt(point, point.tx_rate, point.tx_pps)) : undefined;
+
+        const chartData = {
+          labels: series.map(point => new Date(point.timestamp)),
+          datasets: [
+            {
+              label: `RX (${unit})`,
+              data: series.map(point => valueAt(point, point.rx_rate, point.rx_pps)),
+              compareData: rxCompare,
+              borderColor: '#4caf50',
+              backgroundColor: 'rgba(76, 175, 80, 0.1)',
+              fill: false,
+              tension: 0.2,
+              pointRadius: 1,
+              pointHoverRadius: 3
+            },
+            {
+              label: `TX (${unit})`,
+              data: series.map(point => valueAt(point, point.tx_rate, point.tx_pps)),
+              compareData: txCompare,
+              borderColor: '#2196f3',
+              backgroundColor: 'rgba(33, 150, 243, 0.1)',
+              fill: false,
+              tension: 0.2,
+              pointRadius: 1,
+              pointHoverRadius: 3
+            }
+          ]
+        };
+
+        if (compare) {
+          const [rx, tx] = chartData.datasets;
+          const ago = COMPARE_OFFSETS[compareOffset].short;
+          chartData.datasets.push(
+            ghostDataset({ ...rx, compareData: undefined }, `RX ${ago} (${unit})`, rxCompare),
+            ghostDataset({ ...tx, compareData: undefined }, `TX ${ago} (${unit})`, txCompare)
+          );
         }
+
+        setChartData(chartData);
       } else {
         setChartData(null);
       }
@@ -74,7 +97,7 @@ const ServerCard = ({ server, refreshTrigger }) => {
     } finally {
       setLoading(false);
     }
-  }, [server?.server_name, timeRange, showChart]);
+  }, [server?.server_name, timeRange, showChart, selectedInterface, chartMetric, compareOffset]);
 
   useEffect(() => {
     if (showChart) {
@@ -86,7 +109,9 @@ const ServerCard = ({ server, refreshTrigger }) => {
     return null;
   }
 
-  const timeStatus = getTimeDifference(server.latest_time);
+  // Judge freshness by when the backend received data, so a drifting agent
+  // clock doesn't make the server look offline or always "Just now"
+  const timeStatus = getTimeDifference(server.latest_received_at || server.latest_time);
 
   const chartOptions = {
     responsive: true,
@@ -99,7 +124,9 @@ const ServerCard = ({ server, refreshTrigger }) => {
       tooltip: {
         callbacks: {
           afterLabel: function(context) {
-            return `Time: ${apiService.formatTimestamp(chartData.labels[context.dataIndex], 'HH:mm:ss')}`;
+            const time = `Time: ${apiService.formatTimestamp(chartData.labels[context.dataIndex], 'HH:mm:ss')}`;
+            const change = compareOffset ? compareTooltipLine(context, compareOffset) : null;
+            return change ? [time, change] : time;
           }
         }
       }
@@ -121,7 +148,7 @@ const ServerCard = ({ server, refreshTrigger }) => {
         beginAtZero: true,
         title: {
           display: true,
-          text: 'Throughput (Mbps)'
+          text: `${CHART_METRICS[chartMetric].label} (${CHART_METRICS[chartMetric].unit})`
         },
         ticks: {
           callback: function(value) {
@@ -195,9 +222,71 @@ const ServerCard = ({ server, refreshTrigger }) => {
           </div>
         </div>
 
-        {/* Uptime */}
+        {/* Peak rates over the dashboard's range */}
+        {server.peak && (
+          <div style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+            Peak:{' '}
+            <span style={{ color: '#4caf50' }} title={peakTime(server.peak.rx)}>↓ {formatKiB(server.peak.rx.rate)}</span>
+            {'  '}
+            <span style={{ color: '#2196f3' }} title={peakTime(server.peak.tx)}>↑ {formatKiB(server.peak.tx.rate)}</span>
+            {'  '}
+            <span title={peakTime(server.peak.total)}>Σ {formatKiB(server.peak.total.rate)}</span>
+            <span style={{ marginLeft: '6px' }}>at {apiService.formatTimestamp(server.peak.total.time, 'MMM dd, HH:mm')}</span>
+          </div>
+        )}
+
+        {/* Packet rates (agents that report them) */}
+        {server.rx_pps !== null && server.rx_pps !== undefined && (
+          <div style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+            Packets:{' '}
+            <span style={{ color: '#4caf50' }}>↓ {formatPackets(server.rx_pps)}</span>
+            {'  '}
+            <span style={{ color: '#2196f3' }}>↑ {formatPackets(server.tx_pps)}</span>
+          </div>
+        )}
+
+        {/* Per-interface breakdown */}
+        {interfaces.length > 1 && (
+          <div style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+            {interfaces.map(iface => (
+              <div
+                key={iface.interface}
+                style={{ display: 'flex', justifyContent: 'space-between', padding: '2px 0' }}
+              >
+                <span style={{ fontFamily: 'monospace' }}>{iface.interface}</span>
+                <span>
+                  <span style={{ color: '#4caf50' }}>↓ {formatKiB(iface.rx_rate)}</span>
+                  {'  '}
+                  <span style={{ color: '#2196f3' }}>↑ {formatKiB(iface.tx_rate)}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Availability over the dashboard's range, from gaps in the samples */}
         <div style={{ fontSize: '12px', color: '#666', marginBottom: '8px' }}>
-          {server.data_points ? calculateUptime(server.data_points, '1d').text : 'Uptime: N/A'}
+          {availability ? (
+            <>
+              <span style={{ color: getAvailabilityColor(availability.availability), fontWeight: 'bold' }}>
+                {formatAvailability(availability.availability)}
+              </span>
+              {' '}available{dashboardRange ? ` (${dashboardRange})` : ''}
+              {availability.outages.length > 0 && (
+                <span>
+                  {' • '}{availability.outages.length} outage{availability.outages.length === 1 ? '' : 's'},{' '}
+                  {formatDuration(availability.downtime_seconds)} down
+                </span>
+              )}
+            </>
+          ) : 'Availability: N/A'}
+          {availability && availability.outages.slice(-MAX_OUTAGES_SHOWN).reverse().map(outage => (
+            <div key={outage.from.toString()} style={{ fontSize: '11px', paddingLeft: '8px' }}>
+              {apiService.formatTimestamp(outage.from, 'MMM dd, HH:mm')}
+              {outage.ongoing ? ' – now' : ` – ${apiService.formatTimestamp(outage.to, 'HH:mm')}`}
+              {' '}({formatDuration(outage.duration_seconds)})
+            </div>
+          ))}
         </div>
       </div>
 
@@ -222,6 +311,26 @@ const ServerCard = ({ server, refreshTrigger }) => {
         )}
       </div>
 
+      {/* Clock Skew Warning */}
+      {server.clock_skew_warning && (
+        <div
+          title="Difference between the agent's timestamps and the time the backend received them"
+          style={{
+            fontSize: '11px',
+            color: '#ff9800',
+            fontWeight: 'bold',
+            textAlign: 'center',
+            marginBottom: '15px',
+            padding: '4px',
+            backgroundColor: 'rgba(255, 152, 0, 0.1)',
+            border: '1px solid #ff9800',
+            borderRadius: '4px'
+          }}
+        >
+          ⚠️ Agent clock {server.clock_skew_seconds > 0 ? 'ahead' : 'behind'} by {Math.abs(server.clock_skew_seconds)}s
+        </div>
+      )}
+
       {/* Chart Toggle */}
       <div style={{ textAlign: 'center', marginBottom: showChart ? '15px' : '0' }}>
         <button
@@ -259,6 +368,62 @@ const ServerCard = ({ server, refreshTrigger }) => {
             <option value="1w">1w</option>
           </select>
         )}
+
+        {showChart && (
+          <select 
+            value={chartMetric} 
+            onChange={(e) => setChartMetric(e.target.value)}
+            style={{
+              padding: '4px 8px',
+              borderRadius: '4px',
+              border: '1px solid #ccc',
+              fontSize: '12px',
+              marginLeft: '10px'
+            }}
+          >
+            {Object.entries(CHART_METRICS).map(([value, metric]) => (
+              <option key={value} value={value}>{metric.label}</option>
+            ))}
+          </select>
+        )}
+
+        {showChart && (
+          <select 
+            value={compareOffset} 
+            onChange={(e) => setCompareOffset(e.target.value)}
+            style={{
+              padding: '4px 8px',
+              borderRadius: '4px',
+              border: '1px solid #ccc',
+              fontSize: '12px',
+              marginLeft: '10px'
+            }}
+          >
+            <option value="">No comparison</option>
+            {Object.entries(COMPARE_OFFSETS).map(([value, offset]) => (
+              <option key={value} value={value}>{offset.label}</option>
+            ))}
+          </select>
+        )}
+
+        {showChart && interfaces.length > 1 && (
+          <select 
+            value={selectedInterface} 
+            onChange={(e) => setSelectedInterface(e.target.value)}
+            style={{
+              padding: '4px 8px',
+              borderRadius: '4px',
+              border: '1px solid #ccc',
+              fontSize: '12px',
+              marginLeft: '10px'
+            }}
+          >
+            <option value="all">All interfaces</option>
+            {interfaces.map(iface => (
+              <option key={iface.interface} value={iface.interface}>{iface.interface}</option>
+            ))}
+          </select>
+        )}
       </div>
 
       {/* Chart */}
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/apiService';
+import { formatKiB, formatVolume } from '../utils/formatUtils';
+
+const TOP_COUNT = 10;
+
+const MEASURES = {
+  avg: 'Average rate',
+  peak: 'Peak rate',
+  volume: 'Volume'
+};
+
+const METRICS = {
+  total: 'RX + TX',
+  rx: 'RX',
+  tx: 'TX'
+};
+
+const METRIC_COLORS = { total: '#9c27b0', rx: '#4caf50', tx: '#2196f3' };
+
+const selectStyle = {
+  padding: '4px 8px',
+  borderRadius: '4px',
+  border: '1px solid #ccc',
+  fontSize: '12px',
+  marginLeft: '10px'
+};
+
+const TopTalkers = ({ timeRange, refreshTrigger }) => {
+  const [top, setTop] = useState(null);
+  const [error, setError] = useState(null);
+  const [metric, setMetric] = useState('total');
+  const [by, setBy] = useState('avg');
+
+  const fetchTop = useCallback(async () => {
+    try {
+      setError(null);
+      setTop(await apiService.getTopTalkers({ range: timeRange, metric, by, n: TOP_COUNT }));
+    } catch (err) {
+      console.error('Failed to fetch top talkers:', err);
+      setError(err.message);
+    }
+  }, [timeRange, metric, by]);
+
+  useEffect(() => {
+    fetchTop();
+  }, [fetchTop, refreshTrigger]);
+
+  const formatValue = (value) => (top.unit === 'bytes' ? formatVolume(value) : formatKiB(value));
+
+  return (
+    <div className="card" style={{ marginTop: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+        <h3 style={{ margin: '0' }}>Top Talkers ({timeRange})</h3>
+        <div>
+          <select value={metric} onChange={(e) => setMetric(e.target.value)} style={selectStyle}>
+            {Object.entries(METRICS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={by} onChange={(e) => setBy(e.target.value)} style={selectStyle}>
+            {Object.entries(MEASURES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div style={{ textAlign: 'center', padding: '10px', color: '#f44336', fontSize: '14px' }}>
+          Failed to load top talkers: {error}
+        </div>
+      )}
+
+      {!error && top && top.servers.length === 0 && (
+        <div style={{ textAlign: 'center', padding: '10px', color: '#666', fontSize: '14px' }}>
+          {by === 'volume' ? 'No traffic totals recorded in this range' : 'No samples recorded in this range'}
+        </div>
+      )}
+
+      {!error && top && top.servers.map(server => {
+        const share = server.share === null ? 0 : server.share * 100;
+        return (
+          <div key={server.server_name} style={{ marginBottom: '8px', fontSize: '13px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px' }}>
+              <span>
+                <span style={{ color: '#666', display: 'inline-block', width: '28px' }}>#{server.rank}</span>
+                {server.server_name}
+              </span>
+              <span>
+                {formatValue(server.value)}
+                <span style={{ color: '#666', marginLeft: '8px' }}>{share.toFixed(1)}%</span>
+              </span>
+            </div>
+            <div style={{ height: '6px', backgroundColor: 'rgba(0, 0, 0, 0.08)', borderRadius: '3px' }}>
+              <div style={{
+                width: `${Math.min(share, 100)}%`,
+                height: '100%',
+                backgroundColor: METRIC_COLORS[metric],
+                borderRadius: '3px'
+              }}></div>
+            </div>
+          </div>
+        );
+      })}
+
+      {!error && top && top.servers.length > 0 && (
+        <div style={{ fontSize: '11px', color: '#666', marginTop: '10px' }}>
+          Share of fleet {METRICS[metric]} {MEASURES[by].toLowerCase()} across {top.server_count} servers
+          {by === 'volume' && ' (from interface counters, hourly)'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TopTalkers;
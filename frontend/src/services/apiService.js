@@ -133,6 +133,13 @@ const retryRequest = async (requestFn, retries = 2, delay = 2000) => {
   }
 };
 
+// Normalize series buckets from the backend
+const processSeriesBuckets = (buckets) => buckets.map(bucket => ({
+  ...bucket,
+  timestamp: normalizeTimestamp(bucket.timestamp),
+  timestamp_formatted: formatTimestamp(bucket.timestamp, 'HH:mm:ss')
+}));
+
 export const apiService = {
   // Get all servers with current data
   getServers: async (timeRange = '1d', forceRefresh = false) => {
@@ -158,7 +165,8 @@ export const apiService = {
     const processedData = servers.map(server => ({
       ...server,
       latest_time: normalizeTimestamp(server.latest_time),
-      latest_time_formatted: formatTimestamp(server.latest_time)
+      latest_time_formatted: formatTimestamp(server.latest_time),
+      latest_received_at: server.latest_received_at ? normalizeTimestamp(server.latest_received_at) : null
     }));
     
     // Cache for 8 seconds (shorter than refresh interval)
@@ -201,48 +209,191 @@ export const apiService = {
     return processedData;
   },
 
-  // Get historical data for charts
-  getServerHistory: async (serverName, timeRange = '1h', limit = 50, forceRefresh = false) => {
-    const cacheParams = { server: serverName, range: timeRange, limit };
-    
+  // Get a server's rates in fixed-width buckets (avg/min/max/samples per
+  // bucket, computed by the backend). from and to are Dates, step is seconds.
+  // With `compare` (e.g. '1w') the result's compare holds the buckets of the
+  // same window that long ago, lined up with the current ones
+  getServerSeries: async (serverName, { from, to, step }, forceRefresh = false, interfaceName = null, compare = null) => {
+    const cacheParams = { server: serverName, from: from.toISOString(), to: to.toISOString(), step, interface: interfaceName || 'all', compare: compare || 'none' };
+
     // Check browser cache first (unless force refresh)
     if (!forceRefresh) {
-      const cachedData = getCacheData('history', cacheParams);
+      const cachedData = getCacheData('series', cacheParams);
       if (cachedData) {
-        console.log(`Using cached history data for ${serverName} (${timeRange})`);
+        console.log(`Using cached series data for ${serverName} (${step}s steps)`);
         return cachedData;
       }
     }
-    
+
     // Fetch fresh data
-    console.log(`Fetching fresh history data for ${serverName} (${timeRange})`);
-    const historyData = await retryRequest(async () => {
-      const response = await apiClient.get(`/servers/${encodeURIComponent(serverName)}/history?range=${timeRange}&limit=${limit}`);
+    console.log(`Fetching fresh series data for ${serverName} (${step}s steps)`);
+    const interfaceParam = interfaceName ? `&interface=${encodeURIComponent(interfaceName)}` : '';
+    const compareParam = compare ? `&compare=${compare}` : '';
+    const series = await retryRequest(async () => {
+      const response = await apiClient.get(`/servers/${encodeURIComponent(serverName)}/series?from=${from.toISOString()}&to=${to.toISOString()}&step=${step}${interfaceParam}${compareParam}`);
       return response.data;
     });
-    
+
     // Process and normalize data
-    const processedData = historyData.map(point => ({
-      ...point,
-      timestamp: normalizeTimestamp(point.timestamp),
-      timestamp_formatted: formatTimestamp(point.timestamp, 'HH:mm:ss')
-    })).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    
+    const processedData = {
+      buckets: processSeriesBuckets(series.buckets),
+      compare: series.compare ? processSeriesBuckets(series.compare.buckets) : null
+    };
+
     // Cache the processed data for 45 seconds (shorter than refresh interval)
-    setCacheData('history', processedData, cacheParams, 45000);
-    
+    setCacheData('series', processedData, cacheParams, 45000);
+
     return processedData;
   },
 
+  // Get every server's rates in fixed-width buckets plus the fleet-wide sum
+  // in one request. With `compare` the result's compare holds the summed
+  // buckets of the same window that long ago, lined up with the current ones.
+  getFleetSeries: async ({ from, to, step }, forceRefresh = false, interfaceName = null, compare = null) => {
+    const cacheParams = { from: from.toISOString(), to: to.toISOString(), step, interface: interfaceName || 'all', compare: compare || 'none' };
+
+    // Check browser cache first (unless force refresh)
+    if (!forceRefresh) {
+      const cachedData = getCacheData('fleet_series', cacheParams);
+      if (cachedData) {
+        console.log(`Using cached fleet series data (${step}s steps)`);
+        return cachedData;
+      }
+    }
+
+    // Fetch fresh data
+    console.log(`Fetching fresh fleet series data (${step}s steps)`);
+    const interfaceParam = interfaceName ? `&interface=${encodeURIComponent(interfaceName)}` : '';
+    const compareParam = compare ? `&compare=${compare}` : '';
+    const series = await retryRequest(async () => {
+      const response = await apiClient.get(`/series?from=${from.toISOString()}&to=${to.toISOString()}&step=${step}${interfaceParam}${compareParam}`);
+      return response.data;
+    });
+
+    // Process and normalize data
+    const processedData = {
+      servers: series.servers.map(server => ({
+        server_name: server.server_name,
+        buckets: processSeriesBuckets(server.buckets)
+      })),
+      total: processSeriesBuckets(series.total),
+      compare: series.compare ? processSeriesBuckets(series.compare.total) : null
+    };
+
+    // Cache the processed data for 25 seconds (shorter than the realtime refresh)
+    setCacheData('fleet_series', processedData, cacheParams, 25000);
+
+    return processedData;
+  },
+
+  // Get the top servers by average rate, peak rate or volume, with their share of the fleet
+  getTopTalkers: async ({ range, metric = 'total', by = 'avg', n = 10 }, forceRefresh = false) => {
+    const cacheParams = { range, metric, by, n };
+
+    // Check browser cache first (unless force refresh)
+    if (!forceRefresh) {
+      const cachedData = getCacheData('top', cacheParams);
+      if (cachedData) {
+        console.log(`Using cached top talkers for ${range} (${metric} by ${by})`);
+        return cachedData;
+      }
+    }
+
+    // Fetch fresh data
+    console.log(`Fetching fresh top talkers for ${range} (${metric} by ${by})`);
+    const top = await retryRequest(async () => {
+      const response = await apiClient.get(`/top?range=${range}&metric=${metric}&by=${by}&n=${n}`);
+      return response.data;
+    });
+
+    // Cache for 45 seconds (shorter than refresh interval)
+    setCacheData('top', top, cacheParams, 45000);
+
+    return top;
+  },
+
+  // Get each server's availability and outages over a range, detected by the
+  // backend from gaps in the server's samples
+  getAvailability: async (timeRange = '1d', forceRefresh = false) => {
+    const cacheParams = { range: timeRange };
+
+    // Check browser cache first (unless force refresh)
+    if (!forceRefresh) {
+      const cachedData = getCacheData('availability', cacheParams);
+      if (cachedData) {
+        console.log(`Using cached availability data (${timeRange})`);
+        return cachedData;
+      }
+    }
+
+    // Fetch fresh data
+    console.log(`Fetching fresh availability data (${timeRange})`);
+    const availability = await retryRequest(async () => {
+      const response = await apiClient.get(`/availability?range=${timeRange}`);
+      return response.data;
+    });
+
+    // Process and normalize data
+    const processedData = {
+      ...availability,
+      servers: availability.servers.map(server => ({
+        ...server,
+        outages: server.outages.map(outage => ({
+          ...outage,
+          from: normalizeTimestamp(outage.from),
+          to: normalizeTimestamp(outage.to)
+        }))
+      }))
+    };
+
+    // Cache for 8 seconds (shorter than refresh interval)
+    setCacheData('availability', processedData, cacheParams, 8000);
+
+    return processedData;
+  },
+
+  // Get 95th percentile billing figures for a month (YYYY-MM) per server and fleet-wide
+  getBillingReport: async (month, forceRefresh = false) => {
+    const cacheParams = { month };
+
+    // Check browser cache first (unless force refresh)
+    if (!forceRefresh) {
+      const cachedData = getCacheData('billing', cacheParams);
+      if (cachedData) {
+        console.log(`Using cached billing report for ${month}`);
+        return cachedData;
+      }
+    }
+
+    // Fetch fresh data
+    console.log(`Fetching fresh billing report for ${month}`);
+    const report = await retryRequest(async () => {
+      const response = await apiClient.get(`/billing?month=${encodeURIComponent(month)}`);
+      return response.data;
+    });
+
+    // A month's percentiles move slowly, so cache for 5 minutes
+    setCacheData('billing', report, cacheParams, 300000);
+
+    return report;
+  },
+
   // Get all data at once with error resilience
   getAllData: async (timeRange = '1d', forceRefresh = false) => {
     try {
-      const [serversResult, aggregateResult] = await Promise.allSettled([
+      const [serversResult, aggregateResult, availabilityResult] = await Promise.allSettled([
         apiService.getServers(timeRange, forceRefresh),
-        apiService.getAggregate(timeRange, forceRefresh)
+        apiService.getAggregate(timeRange, forceRefresh),
+        apiService.getAvailability(timeRange, forceRefresh)
       ]);
       
-      const servers = serversResult.status === 'fulfilled' ? serversResult.value : [];
+      // Availability is shown on the server cards; without it they show N/A
+      const availability = new Map(availabilityResult.status === 'fulfilled'
+        ? availabilityResult.value.servers.map(server => [server.server_name, server])
+        : []);
+      const servers = serversResult.status === 'fulfilled'
+        ? serversResult.value.map(server => ({ ...server, availability: availability.get(server.server_name) || null }))
+        : [];
       const aggregate = aggregateResult.status === 'fulfilled' ? aggregateResult.value : { 
         total_rx: 0, 
         total_tx: 0, 
@@ -12,6 +12,17 @@ export const formatBytes = (bytes, decimals = 2) => {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 };
 
+// Format an amount of data transferred (not a rate)
+export const formatVolume = (bytes, decimals = 2) => {
+  if (!bytes || isNaN(bytes) || bytes < 1) {
+    return '0 B';
+  }
+
+  const sizes = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1);
+  return parseFloat((bytes / Math.pow(1024, i)).toFixed(decimals)) + ' ' + sizes[i];
+};
+
 // Format bytes specifically for KiB/s data from backend
 export const formatKiB = (kib, decimals = 2) => {
   if (kib === 0 || kib === null || kib === undefined || isNaN(kib)) {
@@ -50,6 +61,123 @@ export const getValueAndUnit = (kib) => {
   return { value, unit: sizes[i] };
 };
 
+// Format a packet rate in packets per second
+export const formatPackets = (pps) => {
+  if (pps === null || pps === undefined || isNaN(pps)) {
+    return 'N/A';
+  }
+  if (pps >= 1000000) return `${(pps / 1000000).toFixed(2)} Mpps`;
+  if (pps >= 1000) return `${(pps / 1000).toFixed(1)} kpps`;
+  return `${Math.round(pps)} pps`;
+};
+
+// Convert KiB/s to Mbps (megabits per second)
+// Data from vnstat is in KiB/s (kibibytes per second)
+// 1 KiB/s = 1024 bytes/s = 1024 * 8 bits/s = 8192 bits/s
+// 1 Mbps = 1,000,000 bits/s
+export const kibToMbps = (kibPerSecond) => (kibPerSecond * 8192) / 1000000;
+
+// Format a KiB/s rate in Mbps, the unit transit is billed in
+export const formatMbps = (kib, decimals = 2) => {
+  if (kib === null || kib === undefined || isNaN(kib)) {
+    return 'N/A';
+  }
+  return `${kibToMbps(kib).toFixed(decimals)} Mbps`;
+};
+
+// Average packet size in bytes from a KiB/s rate and a packet rate, or null
+// when there were no packets to divide by
+export const averagePacketSize = (kib, pps) => {
+  if (!pps || pps <= 0 || kib === null || kib === undefined || isNaN(kib)) {
+    return null;
+  }
+  return (kib * 1024) / pps;
+};
+
+// Metrics the charts can plot
+export const CHART_METRICS = {
+  throughput: { label: 'Throughput', title: 'Network Throughput', unit: 'Mbps' },
+  packets: { label: 'Packets', title: 'Packet Rate', unit: 'pps' },
+  packetSize: { label: 'Avg packet size', title: 'Average Packet Size', unit: 'bytes' }
+};
+
+// Chart value of a metric for one direction, from a KiB/s rate and a packet
+// rate. Null where the data has no packet rates, which leaves a gap in the line.
+export const chartMetricValue = (metric, kib, pps) => {
+  if (metric === 'packets') {
+    return pps === null || pps === undefined ? null : Number(Number(pps).toFixed(1));
+  }
+  if (metric === 'packetSize') {
+    const size = averagePacketSize(kib, pps);
+    return size === null ? null : Math.round(size);
+  }
+  return Number(kibToMbps(kib || 0).toFixed(2));
+};
+
+// Earlier periods the charts can overlay as a ghost line (backend ?compare=)
+export const COMPARE_OFFSETS = {
+  '1d': { label: 'vs 1 day ago', short: '1d ago' },
+  '1w': { label: 'vs 1 week ago', short: '1w ago' }
+};
+
+// Percentage change from an earlier value, e.g. '+12.5%', or null when there
+// is nothing to compare with
+export const formatChange = (current, previous) => {
+  if (current === null || current === undefined || previous === null || previous === undefined) {
+    return null;
+  }
+  if (previous === 0) {
+    return current === 0 ? '±0%' : null;
+  }
+  const change = ((current - previous) / Math.abs(previous)) * 100;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+};
+
+// Faded, dashed copy of a chart dataset for the compared period
+export const ghostDataset = (dataset, label, data) => ({
+  ...dataset,
+  label,
+  data,
+  borderColor: `${dataset.borderColor}66`,
+  backgroundColor: 'transparent',
+  borderDash: [4, 4],
+  borderWidth: 1.5,
+  pointRadius: 0,
+  pointHoverRadius: 2
+});
+
+// Tooltip line with the change against the ghost line's value at the same
+// point, for datasets that carry the compared values in compareData
+export const compareTooltipLine = (context, compareKey) => {
+  const previous = context.dataset.compareData ? context.dataset.compareData[context.dataIndex] : undefined;
+  const change = formatChange(context.parsed.y, previous);
+  return change === null ? null : `${COMPARE_OFFSETS[compareKey].label}: ${change}`;
+};
+
+// Format a duration in seconds compactly, e.g. '45s', '12m', '3h 5m', '2d 4h'
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined || isNaN(seconds)) {
+    return 'N/A';
+  }
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+};
+
+// Format an availability percentage: two decimals below 100%, so that
+// e.g. 99.95% doesn't round up to 100%
+export const formatAvailability = (percentage) => {
+  if (percentage === null || percentage === undefined || isNaN(percentage)) {
+    return 'N/A';
+  }
+  if (percentage >= 100) return '100%';
+  return `${(Math.floor(percentage * 100) / 100).toFixed(2)}%`;
+};
+
 // Calculate time difference for status display
 export const getTimeDifference = (timestamp) => {
   if (!timestamp) return { text: 'Unknown', status: 'offline', color: '#f44336' };
@@ -100,27 +228,3 @@ export const calculateAverage = (values) => {
   
   return validValues.reduce((sum, val) => sum + Number(val), 0) / validValues.length;
 };
-
-// Calculate uptime based on data points over time
-export const calculateUptime = (dataPoints, timeRange = '24h') => {
-  if (!dataPoints || dataPoints <= 0) return { percentage: 0, text: '0% uptime' };
-  
-  // Expected data points based on time range (assuming ~5 second intervals)
-  const expectedPointsMap = {
-    '1h': 720,    // 60 minutes * 12 points per minute
-    '6h': 4320,   // 6 * 60 * 12
-    '12h': 8640,  // 12 * 60 * 12
-    '1d': 17280,  // 24 * 60 * 12
-    '3d': 51840,  // 3 * 24 * 60 * 12
-    '1w': 120960  // 7 * 24 * 60 * 12
-  };
-  
-  const expectedPoints = expectedPointsMap[timeRange] || expectedPointsMap['1d'];
-  const percentage = Math.min(100, (dataPoints / expectedPoints) * 100);
-  
-  if (percentage >= 99) return { percentage, text: '99%+ uptime' };
-  if (percentage >= 95) return { percentage, text: `${percentage.toFixed(1)}% uptime` };
-  if (percentage >= 80) return { percentage, text: `${percentage.toFixed(1)}% uptime` };
-  
-  return { percentage, text: `${percentage.toFixed(1)}% uptime` };
-};
\ No newline at end of file
@@ -184,6 +184,22 @@ restart_services() {
     done
 }
 
+# Function to apply pending database migrations after a backend update
+migrate_database() {
+    print_status "$BLUE" "Checking database schema..."
+    
+    if [[ ! -f "$INSTALL_DIR/backend/config.js" ]]; then
+        print_status "$YELLOW" "⚠️  Backend config.js not found - migrations will run when the backend starts"
+        return 0
+    fi
+    
+    cd "$INSTALL_DIR/backend"
+    if ! node migrate.js status; then
+        return 1
+    fi
+    node migrate.js up
+}
+
 # Function to update existing installation
 update_installation() {
     local existing_components=("$@")
@@ -515,12 +531,39 @@ download_backend() {
         print_status "$BLUE" "Updating backend files while preserving configuration..."
     fi
     
-    mkdir -p backend
+    mkdir -p backend/lib/storage backend/migrations
     
     download_file "$BASE_URL/backend/package.json" "backend/package.json"
     download_file "$BASE_URL/backend/index.js" "backend/index.js"
     download_file "$BASE_URL/backend/index.template.js" "backend/index.template.js"
     download_file "$BASE_URL/backend/config.template.js" "backend/config.template.js"
+    download_file "$BASE_URL/backend/import-vnstat.js" "backend/import-vnstat.js"
+    download_file "$BASE_URL/backend/migrate.js" "backend/migrate.js"
+    
+    # Backend modules
+    download_file "$BASE_URL/backend/lib/trafficCounters.js" "backend/lib/trafficCounters.js"
+    download_file "$BASE_URL/backend/lib/validation.js" "backend/lib/validation.js"
+    download_file "$BASE_URL/backend/lib/clockSkew.js" "backend/lib/clockSkew.js"
+    download_file "$BASE_URL/backend/lib/vnstatImport.js" "backend/lib/vnstatImport.js"
+    download_file "$BASE_URL/backend/lib/rollups.js" "backend/lib/rollups.js"
+    download_file "$BASE_URL/backend/lib/retention.js" "backend/lib/retention.js"
+    download_file "$BASE_URL/backend/lib/timeRange.js" "backend/lib/timeRange.js"
+    download_file "$BASE_URL/backend/lib/billing.js" "backend/lib/billing.js"
+    download_file "$BASE_URL/backend/lib/pagination.js" "backend/lib/pagination.js"
+    download_file "$BASE_URL/backend/lib/availability.js" "backend/lib/availability.js"
+    download_file "$BASE_URL/backend/lib/openapi.js" "backend/lib/openapi.js"
+    download_file "$BASE_URL/backend/lib/apiSpec.js" "backend/lib/apiSpec.js"
+    download_file "$BASE_URL/backend/lib/metrics.js" "backend/lib/metrics.js"
+    download_file "$BASE_URL/backend/lib/migrations.js" "backend/lib/migrations.js"
+    download_file "$BASE_URL/backend/lib/storage/index.js" "backend/lib/storage/index.js"
+    download_file "$BASE_URL/backend/lib/storage/mysql.js" "backend/lib/storage/mysql.js"
+    download_file "$BASE_URL/backend/lib/storage/sqlite.js" "backend/lib/storage/sqlite.js"
+    
+    # Schema migrations
+    for migration in 001_create_vnstat_data 002_add_interface 003_create_servers 004_add_traffic_totals \
+        005_unique_sample_key 006_add_received_at 007_add_packet_rates 008_create_rollup_tables; do
+        download_file "$BASE_URL/backend/migrations/$migration.js" "backend/migrations/$migration.js"
+    done
     
     # Restore configurations in update mode
     if [[ "$UPDATE_MODE" == "true" ]] && [[ -n "$backup_dir" ]]; then
@@ -776,6 +819,18 @@ main() {
             fi
         fi
         
+        # Bring the database schema up to date before the new backend starts
+        if [[ "$INSTALL_BACKEND" == "true" ]]; then
+            if migrate_database; then
+                print_status "$GREEN" "✅ Database schema up to date"
+            else
+                print_status "$RED" "❌ Database migration failed - the backend will not be restarted"
+                echo "  Fix the error above, then run:"
+                echo "  cd $INSTALL_DIR/backend && node migrate.js up"
+                updated_components=("${updated_components[@]/backend}")
+            fi
+        fi
+        
         # Ask if user wants to restart services
         echo -n "Restart remaining services now? (y/n): "
         read -r restart_now
@@ -83,6 +83,21 @@ generate_api_key() {
 # Function to prompt for database configuration
 prompt_database_config() {
     print_status "$BLUE" "Database Configuration"
+    echo ""
+    echo "Where should the dashboard store its data?"
+    echo "  1) MySQL/MariaDB server"
+    echo "  2) SQLite file (no database server needed)"
+    echo -n "Storage type (default: 1): "
+    read -r storage_choice
+    if [[ "$storage_choice" == "2" ]]; then
+        DB_TYPE="sqlite"
+        DB_FILE="./data/vnstat-dashboard.db"
+        echo ""
+        print_status "$GREEN" "SQLite selected - data will be stored in backend/${DB_FILE#./}"
+        return 0
+    fi
+    DB_TYPE="mysql"
+    
     echo ""
     echo "Please provide your MySQL/MariaDB database details:"
     echo ""
@@ -170,9 +185,29 @@ create_backend_config() {
     local db_user="$5"
     local db_password="$6"
     local db_name="$7"
+    local db_type="${8:-mysql}"
+    local db_file="${9:-./data/vnstat-dashboard.db}"
+    local metrics_token="${10:-}"
+    local database_block
     
     print_status "$BLUE" "Creating backend configuration..."
     
+    if [[ "$db_type" == "sqlite" ]]; then
+        database_block="    type: 'sqlite', // 'mysql' or 'sqlite'
+    file: '$db_file', // Relative to the backend directory"
+    else
+        database_block="    type: 'mysql', // 'mysql' or 'sqlite'
+    host: '$db_host',
+    user: '$db_user',
+    password: '$db_password',
+    database: '$db_name',
+    port: $db_port,
+    connectionLimit: 10,          // Pooled connections
+    healthCheckSeconds: 15,       // How often the connection is checked
+    reconnectMaxDelaySeconds: 30, // Longest wait between reconnect attempts
+    queueTimeoutMs: 5000,         // How long queries wait for a reconnect before failing with 503"
+    fi
+    
     # Create config.js from template
     cat > "$install_dir/backend/config.js" << EOF
 // VnStat Dashboard Backend Configuration
@@ -188,11 +223,60 @@ module.exports = {
   
   // Database Configuration
   database: {
-    host: '$db_host',
-    user: '$db_user',
-    password: '$db_password',
-    database: '$db_name',
-    port: $db_port
+$database_block
+    autoMigrate: true // Apply pending schema migrations on startup (else run: node migrate.js up)
+  },
+  
+  // Ingestion Configuration
+  ingest: {
+    maxBatchSize: 5000, // Samples accepted by one POST /api/data/batch call
+    bodyLimit: '10mb'   // Largest request body the API will parse
+  },
+  
+  // Sample Validation
+  validation: {
+    maxServerNameLength: 255,
+    maxRate: 12500000,        // KiB/s, roughly 100 Gbit/s
+    maxPacketRate: 150000000, // Packets/s, above 100 Gbit/s line rate
+    maxFutureSeconds: 300,    // Reject timestamps further ahead of server time
+    maxAgeDays: 30            // Reject timestamps further behind server time
+  },
+  
+  // Agent Clock Skew
+  clockSkew: {
+    warningSeconds: 30, // Flag agents whose clock is further off than this
+    windowSize: 30      // Recent samples the per-agent estimate is based on
+  },
+  
+  // Downsampling Rollups (1-minute, 1-hour and 1-day min/avg/max tables)
+  rollups: {
+    enabled: true,
+    intervalSeconds: 60 // How often new samples are rolled up
+  },
+  
+  // Data Retention in days (0 keeps data forever)
+  retention: {
+    rawDays: 30,       // Individual samples
+    rollup1mDays: 90,  // 1-minute rollups
+    rollup1hDays: 730, // 1-hour rollups
+    rollup1dDays: 0,   // 1-day rollups
+    purgeIntervalMinutes: 60, // How often expired rows are purged
+    deleteChunkSize: 5000,    // Rows removed per DELETE statement
+    chunkDelayMs: 100,        // Pause between DELETE statements
+    servers: {
+      // Per-server overrides, e.g.:
+      // 'busy-server': { rawDays: 7 }
+    }
+  },
+  
+  // Agent Credentials
+  agents: {
+    allowSharedKey: true // Set to false once every agent uses its own token
+  },
+  
+  // Prometheus Metrics
+  metrics: {
+    token: '$metrics_token' // Bearer token Prometheus scrapes /metrics with; empty turns /metrics off
   },
   
   // CORS Configuration
@@ -331,24 +415,30 @@ install_backend_service() {
         # Generate API key
         API_KEY=$(generate_api_key)
         print_status "$GREEN" "🔐 Generated API key: $API_KEY"
+        METRICS_TOKEN=$(generate_api_key)
         echo ""
         
         # Get database configuration
         prompt_database_config
         
-        # Test database connection
-        if ! test_database_connection "$DB_HOST" "$DB_PORT" "$DB_USER" "$DB_PASSWORD" "$DB_NAME"; then
+        # Test database connection (a SQLite file is created on first start)
+        if [[ "$DB_TYPE" == "mysql" ]] && ! test_database_connection "$DB_HOST" "$DB_PORT" "$DB_USER" "$DB_PASSWORD" "$DB_NAME"; then
             print_status "$RED" "Database configuration failed. Aborting backend installation."
             return 1
         fi
         
         # Create configuration file
-        create_backend_config "$SCRIPT_DIR" "$API_KEY" "$DB_HOST" "$DB_PORT" "$DB_USER" "$DB_PASSWORD" "$DB_NAME"
+        create_backend_config "$SCRIPT_DIR" "$API_KEY" "$DB_HOST" "$DB_PORT" "$DB_USER" "$DB_PASSWORD" "$DB_NAME" "$DB_TYPE" "$DB_FILE" "$METRICS_TOKEN"
         
         echo ""
         print_status "$GREEN" "📝 Configuration Summary:"
         echo "   API Key: $API_KEY"
-        echo "   Database: $DB_USER@$DB_HOST:$DB_PORT/$DB_NAME"
+        echo "   Metrics scrape token: $METRICS_TOKEN"
+        if [[ "$DB_TYPE" == "sqlite" ]]; then
+            echo "   Database: SQLite file $SCRIPT_DIR/backend/${DB_FILE#./}"
+        else
+            echo "   Database: $DB_USER@$DB_HOST:$DB_PORT/$DB_NAME"
+        fi
         echo ""
         print_status "$YELLOW" "⚠️  IMPORTANT: Save these credentials securely!"
         echo "   The API key is required for agent configuration."